@@ -62,6 +62,17 @@ program
   .option('-s, --summary',                 'Generate extended summary after deployment')
   .option('-d, --debug',                   'Enable debug output')
   .option('-t, --type <type>',             'Project type: api | frontend | fullstack', 'api')
+  .option('-a, --answers <file>',          'Answer questions from a JSON/YAML file (non-interactive)')
+  .option('--spec <file>',                 'Build the API from an OpenAPI 3 spec (YAML/JSON); the prompt becomes optional')
+  .option('-y, --yes',                     'Accept default answers without prompting (non-interactive)')
+  .option('--dry-run',                     'Analyze, ask and generate code, then print the plan — no system changes')
+  .option('--scratch <dir>',               'With --dry-run: write the generated files to <dir> for review')
+  .option('--self-heal',                   'On install/build/launch failure, let the AI fix the code and retry')
+  .option('--max-repairs <n>',             'With --self-heal: repair attempts per build (default: 3)')
+  .option('--rollback-on-failure',         'If the build fails, undo its system changes without asking')
+  .option('--record <id>',                 'Record every AI call to ~/.vbs/cassettes/<id>')
+  .option('--replay <id>',                 'Replay AI responses from a recorded cassette (offline)')
+  .option('--replay-strict',               'With --replay: fail when a request differs from the recording')
   .addHelpText('after', `
 Project types:
   api        REST API (Express.js + optional DB)         [default]
@@ -77,10 +88,42 @@ Build examples:
   Full syntax:
   vbs=${pkg.version} -h -s & --type=fullstack & prompt='your description'
 
+Non-interactive (CI / provisioning):
+  vbs --yes prompt='Todo API'                    Use every question's default
+  vbs --answers build.yaml prompt='Todo API'     Answer from file (missing → default)
+
+From an OpenAPI spec (routes, schemas and auth come from the contract):
+  vbs --spec openapi.yaml                        Build exactly the spec's operations
+  vbs --spec openapi.yaml prompt='Use MongoDB'   Extra instructions on top of the spec
+
+Dry run (no nginx, ufw, PostgreSQL, pm2 or npm changes):
+  vbs --dry-run prompt='Todo API'                Print the build plan
+  vbs --dry-run --scratch /tmp/todo prompt='…'   …and write the generated tree to /tmp/todo
+
+Self-healing:
+  vbs --self-heal prompt='Todo API'              Feed npm/pm2 errors back to the AI and retry
+  vbs --self-heal --max-repairs 5 prompt='…'     Allow up to 5 repair attempts
+
+Record / replay:
+  vbs --record <id> prompt='Todo API'            Save AI calls to ~/.vbs/cassettes/<id>
+  vbs --replay <id> prompt='Todo API'            Re-run the build from the cassette
+  vbs --replay <id> modify my-blog prompt='…'    Works for modify too
+  vbs --replay <id> --replay-strict prompt='…'   Fail if a prompt drifted from the recording
+
 Project management:
   vbs list                              List all saved projects
   vbs open  <name>                      Show project details
+  vbs status [name]                     Live pm2 / health / nginx dashboard
+  vbs logs <name>                       Merged pm2 + nginx logs (--follow, --explain)
+  vbs test <name>                       Re-run the endpoint tests (JUnit/JSON reports)
+  vbs bench <name>                      Load test: throughput, p50/p95/p99, error rate
+  vbs export-collection <name>          Postman / Insomnia collection or .http file
   vbs modify <name> prompt='changes'    Modify project with AI
+  vbs history <name>                    Modification snapshots of a project
+  vbs undo <name> [snapshot]            Restore the files from before a modification
+  vbs resume [build-id]                 Continue an interrupted build
+  vbs rollback <build-id>               Undo the system changes of a failed build
+  vbs destroy <name>                    Tear down a project (pm2, nginx, ports, files)
 `)
   .action(async (prompt, options) => {
     // Validate type
@@ -89,6 +132,10 @@ Project management:
       console.error(`\n  Error: unknown type "${options.type}". Use: api | frontend | fullstack\n`);
       process.exit(1);
     }
+    if (options.spec && options.type === 'frontend') {
+      console.error('\n  Error: --spec describes an API — use --type=api or --type=fullstack\n');
+      process.exit(1);
+    }
 
     const { run } = await import('../src/index.mjs');
     await run(prompt, options);
@@ -112,19 +159,224 @@ program
     await runOpen(name);
   });
 
+// ── Subcommand: STATUS ─────────────────────────────────────────────────────────
+program
+  .command('status [name]')
+  .description('Live health of all projects: pm2 state, health probe, nginx site')
+  .option('--json',            'Print the status as JSON and exit')
+  .option('--once',            'Render the table once instead of refreshing')
+  .option('--interval <sec>',  'Refresh interval in seconds', '3')
+  .addHelpText('after', `
+Examples:
+  vbs status                    Refreshing table of every project (Ctrl+C to exit)
+  vbs status my-blog --once     One project, single render
+  vbs status --json             Machine-readable, e.g. for monitoring scripts
+`)
+  .action(async (name, opts) => {
+    const { runStatus } = await import('../src/commands/status.mjs');
+    await runStatus(name, opts);
+  });
+
+// ── Subcommand: LOGS ───────────────────────────────────────────────────────────
+program
+  .command('logs <name>')
+  .description('Merged backend, frontend and nginx logs of a project')
+  .option('-f, --follow',        'Keep streaming new lines')
+  .option('--since <time>',      'Only lines newer than 30s / 15m / 2h / 1d or a date')
+  .option('--grep <pattern>',    'Only lines matching a (case-insensitive) regex')
+  .option('-n, --lines <n>',     'Number of lines to show', '100')
+  .option('--explain',           'Let the AI summarise the recent errors')
+  .addHelpText('after', `
+Each line is tagged with its source: api:out, api:err, front:out, front:err,
+nginx:access, nginx:error — and merged by time.
+
+Examples:
+  vbs logs my-blog --follow
+  vbs logs my-blog --since 1h --grep "error|timeout"
+  vbs logs shop-api --since 30m --explain
+`)
+  .action(async (name, opts, cmd) => {
+    const { runLogs } = await import('../src/commands/logs.mjs');
+    await runLogs(name, opts, cmd.parent?.opts() || {});
+  });
+
+// ── Subcommand: TEST ───────────────────────────────────────────────────────────
+program
+  .command('test <name>')
+  .description('Re-run the endpoint tests of a project against the live deployment')
+  .option('--report <format>',   'Emit a report: junit | json')
+  .option('--out <file>',        'Write the report to <file> (default: stdout)')
+  .option('--base-url <url>',    'Test another address (default: http://localhost:<port>)')
+  .addHelpText('after', `
+Every run is recorded in <project>/.vbs/test-history.json. The command exits
+with code 1 when an endpoint that passed in the previous run fails now.
+
+Examples:
+  vbs test my-blog
+  vbs test my-blog --report junit --out reports/vbs.xml
+  vbs test shop-api --report json > result.json
+`)
+  .action(async (name, opts) => {
+    const { runTest } = await import('../src/commands/test.mjs');
+    await runTest(name, opts);
+  });
+
+// ── Subcommand: BENCH ──────────────────────────────────────────────────────────
+program
+  .command('bench <name>')
+  .description('Load test a project: throughput, latency percentiles and error rate per endpoint')
+  .option('-c, --concurrency <n>', 'Parallel connections (default: 10)')
+  .option('--duration <seconds>', 'How long to run (default: 10)')
+  .option('--mix <spec>',        'Request mix, e.g. "GET /api/posts=3, POST /api/posts=1" (default: all GETs)')
+  .option('--base-url <url>',    'Benchmark another address (default: http://localhost:<port>)')
+  .option('--json',              'Print the run as JSON')
+  .addHelpText('after', `
+Protected endpoints get a token from the register/login endpoints, and :id
+paths use records created before the run (deleted afterwards). Each run is
+saved in <project>/.vbs/bench-history.json and compared with the previous one.
+
+Examples:
+  vbs bench my-blog
+  vbs bench shop-api -c 50 --duration 30
+  vbs bench shop-api --mix "GET /api/products=8, GET /api/products/:id=4, POST /api/orders=1"
+`)
+  .action(async (name, opts) => {
+    const { runBench } = await import('../src/commands/bench.mjs');
+    await runBench(name, opts);
+  });
+
+// ── Subcommand: EXPORT-COLLECTION ──────────────────────────────────────────────
+program
+  .command('export-collection <name>')
+  .description('Export the endpoints of a project as a Postman / Insomnia collection or .http file')
+  .option('-f, --format <format>', 'postman | insomnia | http (default: postman)')
+  .option('--out <file>',          'Write the collection to <file> (default: stdout)')
+  .option('--base-url <url>',      'Base URL variable, e.g. https://api.example.com (default: server IP)')
+  .addHelpText('after', `
+Every format has a baseUrl variable, a token variable filled in by the login
+request, one variable per path parameter and the example request bodies.
+
+Examples:
+  vbs export-collection my-blog --out my-blog.postman_collection.json
+  vbs export-collection shop-api -f insomnia --base-url https://api.shop.io --out shop.json
+  vbs export-collection shop-api -f http > shop.http
+`)
+  .action(async (name, opts) => {
+    const { runExportCollection } = await import('../src/commands/export-collection.mjs');
+    await runExportCollection(name, opts);
+  });
+
 // ── Subcommand: MODIFY ─────────────────────────────────────────────────────────
 program
   .command('modify <name> [prompt]')
   .description('Modify an existing project with AI')
+  .option('--auto-approve',      'Apply every proposed file without asking (scripted use)')
   .addHelpText('after', `
+Each proposed file is shown as a diff against the file on disk. Answer
+y (apply), n (skip), e (edit in $EDITOR), a (apply all remaining) or
+d (skip all remaining). --auto-approve (or -y) prints the diffs and applies everything.
+
 Examples:
   vbs modify my-blog prompt='add dark mode toggle'
   vbs modify shop-api prompt='add product categories and search endpoint'
-  vbs modify blog-app prompt='add user dashboard with stats'
+  vbs modify blog-app prompt='add user dashboard with stats' --auto-approve
 `)
   .action(async (name, prompt, opts, cmd) => {
     const { runModify } = await import('../src/commands/modify.mjs');
-    await runModify(name, prompt, cmd.parent?.opts() || {});
+    await runModify(name, prompt, { ...(cmd.parent?.opts() || {}), ...opts });
+  });
+
+// ── Subcommand: HISTORY ────────────────────────────────────────────────────────
+program
+  .command('history <name>')
+  .description('List the modification snapshots of a project')
+  .option('--json',              'Print the snapshots as JSON (without file contents)')
+  .addHelpText('after', `
+Every vbs modify saves the previous contents of the files it changes in
+<project>/.vbs/history/ before writing them.
+
+Examples:
+  vbs history my-blog
+  vbs history my-blog --json
+`)
+  .action(async (name, opts) => {
+    const { runHistory } = await import('../src/commands/history.mjs');
+    await runHistory(name, opts);
+  });
+
+// ── Subcommand: UNDO ───────────────────────────────────────────────────────────
+program
+  .command('undo <name> [id]')
+  .description('Restore the files of a modification snapshot and redeploy')
+  .addHelpText('after', `
+Without an id, the newest modification that is not undone yet is restored, so
+repeated undos walk back in time. The undo saves a snapshot itself — undo that
+one to redo. npm install, frontend rebuild and pm2 restart run as the original
+modification needed.
+
+Examples:
+  vbs undo my-blog
+  vbs undo my-blog 20250101-120000-ab12
+  vbs -y undo my-blog                    No confirmation
+`)
+  .action(async (name, id, opts, cmd) => {
+    const { runUndo } = await import('../src/commands/undo.mjs');
+    await runUndo(name, id, cmd.parent?.opts() || {});
+  });
+
+// ── Subcommand: RESUME ─────────────────────────────────────────────────────────
+program
+  .command('resume [id]')
+  .description('Resume an interrupted build from its last checkpoint')
+  .addHelpText('after', `
+Every build saves a checkpoint after each phase to ~/.vbs/builds/<id>.json.
+Resuming skips completed phases — no repeated AI calls, installs or setup.
+
+Examples:
+  vbs resume                          List builds that can be resumed
+  vbs resume 20250101-120000-ab12     Continue that build
+`)
+  .action(async (id, opts, cmd) => {
+    const { runResume } = await import('../src/commands/resume.mjs');
+    await runResume(id, cmd.parent?.opts() || {});
+  });
+
+// ── Subcommand: ROLLBACK ───────────────────────────────────────────────────────
+program
+  .command('rollback <id>')
+  .description('Undo the system changes made by a failed build')
+  .addHelpText('after', `
+Builds journal every system change (ufw ports, PostgreSQL user/database,
+nginx site, pm2 processes, project directory) in ~/.vbs/builds/<id>.json.
+Rollback undoes them in reverse order; pre-existing resources are never touched.
+
+Examples:
+  vbs rollback 20250101-120000-ab12        Confirm, then undo
+  vbs -y rollback 20250101-120000-ab12     Undo without confirmation
+`)
+  .action(async (id, opts, cmd) => {
+    const { runRollback } = await import('../src/commands/rollback.mjs');
+    await runRollback(id, cmd.parent?.opts() || {});
+  });
+
+// ── Subcommand: DESTROY ────────────────────────────────────────────────────────
+program
+  .command('destroy <name>')
+  .description('Tear down a project: pm2, nginx site, ufw ports, files and registry entry')
+  .option('--drop-db',      'Also drop the PostgreSQL database and user')
+  .option('--delete-files', 'Delete the project directory instead of archiving it')
+  .addHelpText('after', `
+The project directory is archived to ~/.vbs/archive/<name>-<time>.tar.gz
+(node_modules excluded) before it is removed, unless --delete-files is given.
+
+Examples:
+  vbs destroy my-blog                      List every action, confirm, destroy
+  vbs destroy shop-api --drop-db           …and drop its PostgreSQL database/user
+  vbs -y destroy old-demo --delete-files   No confirmation, no archive
+`)
+  .action(async (name, opts, cmd) => {
+    const { runDestroy } = await import('../src/commands/destroy.mjs');
+    await runDestroy(name, opts, cmd.parent?.opts() || {});
   });
 
 program.parse(processedArgv);
@@ -1,4 +1,19 @@
-import { sendMessage, extractJSON, MODELS } from './client.mjs';
+import { requestJSON, TASKS } from './client.mjs';
+
+export const ANALYSIS_SCHEMA = {
+  type:     'object',
+  required: ['detectedStack', 'complexity', 'requiredSystemPackages', 'suggestedProjectName', 'summary'],
+  properties: {
+    projectType:            { type: 'string' },
+    detectedStack:          { type: 'array', items: { type: 'string' } },
+    complexity:             { type: 'string', enum: ['simple', 'medium', 'complex'] },
+    estimatedFiles:         { type: 'number' },
+    requiredSystemPackages: { type: 'array', items: { type: 'string' } },
+    suggestedProjectName:   { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/ },
+    frontendFramework:      { enum: ['react', 'nextjs', null] },
+    summary:                { type: 'string' },
+  },
+};
 
 const BASE_SYSTEM = `You are VBS (Virtual Based Scenography), an AI that analyzes user requests to build projects on Ubuntu VPS.
 
@@ -62,6 +77,5 @@ export async function analyzeRequest(userPrompt, projectType = 'api') {
   const addon        = TYPE_ADDONS[projectType] || TYPE_ADDONS.api;
   const systemPrompt = BASE_SYSTEM + '\n' + addon;
 
-  const text = await sendMessage(MODELS.OPUS, systemPrompt, userPrompt, 1024);
-  return extractJSON(text);
+  return requestJSON(TASKS.ANALYSIS, systemPrompt, userPrompt, 1024, ANALYSIS_SCHEMA);
 }
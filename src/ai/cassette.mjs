@@ -0,0 +1,122 @@
+import { promises as fs } from 'fs';
+import { join }           from 'path';
+import { createHash }     from 'crypto';
+
+import { VBS_DIR } from '../projects/registry.mjs';
+import { log }     from '../ui/display.mjs';
+
+// ─── Record / replay of AI calls ──────────────────────────────────────────────
+// Record: every sendMessage() request/response pair is written to
+//   ~/.vbs/cassettes/<build-id>/<NNN>-<task>.json  (an existing cassette is replaced)
+// Replay: responses are served back from the cassette — no network, no API key.
+
+export const CASSETTES_DIR = join(VBS_DIR, 'cassettes');
+
+let _cassette = null;
+
+function hashRequest(systemPrompt, userMessage) {
+  return createHash('sha256').update(systemPrompt).update('\0').update(userMessage).digest('hex');
+}
+
+/**
+ * Activate a cassette for the rest of the process.
+ * @param {'record'|'replay'} mode
+ * @param {string} id               - Build id (cassette directory name)
+ * @param {object} [opts]
+ * @param {boolean} [opts.strict]   - Replay: fail instead of serving a response recorded for a different request
+ */
+export async function useCassette(mode, id, { strict = false } = {}) {
+  if (!id || /[\\/]|^\.\.?$/.test(id)) throw new Error(`Invalid cassette id: ${JSON.stringify(id)}`);
+
+  const dir      = join(CASSETTES_DIR, id);
+  const cassette = { mode, id, dir, strict, entries: [], used: new Set(), next: 0 };
+
+  if (mode === 'record') {
+    // Numbering restarts at 000 — entries of an older, longer recording must not survive
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+  } else {
+    let names;
+    try {
+      names = (await fs.readdir(dir)).filter(n => n.endsWith('.json')).sort();
+    } catch {
+      throw new Error(`Cassette not found: ${dir}`);
+    }
+    for (const n of names) {
+      cassette.entries.push(JSON.parse(await fs.readFile(join(dir, n), 'utf8')));
+    }
+    if (cassette.entries.length === 0) throw new Error(`Cassette is empty: ${dir}`);
+  }
+
+  _cassette = cassette;
+  return cassette;
+}
+
+/**
+ * Activate record/replay from CLI options (--record <id> / --replay <id> / --replay-strict)
+ * or the VBS_RECORD / VBS_REPLAY / VBS_REPLAY_STRICT environment variables.
+ * @returns {Promise<object|null>} the active cassette, or null
+ */
+export async function useCassetteFromOptions(options = {}) {
+  const replayId = options.replay || process.env.VBS_REPLAY;
+  const recordId = options.record || process.env.VBS_RECORD;
+
+  if (replayId && recordId) throw new Error('Use either --record or --replay, not both');
+  if (replayId) return useCassette('replay', replayId, { strict: Boolean(options.replayStrict) || process.env.VBS_REPLAY_STRICT === '1' });
+  if (recordId) return useCassette('record', recordId);
+  return null;
+}
+
+export function getCassette() {
+  return _cassette;
+}
+
+/**
+ * Save one request/response pair to the active recording cassette.
+ */
+export async function recordMessage({ task, provider, model, maxTokens, systemPrompt, userMessage, output }) {
+  const c     = _cassette;
+  const index = c.next++;
+  const entry = {
+    index,
+    task,
+    provider,
+    model,
+    maxTokens,
+    hash:       hashRequest(systemPrompt, userMessage),
+    systemPrompt,
+    userMessage,
+    output,
+    recordedAt: new Date().toISOString(),
+  };
+  const file = `${String(index).padStart(3, '0')}-${task}.json`;
+  await fs.writeFile(join(c.dir, file), JSON.stringify(entry, null, 2), 'utf8');
+}
+
+/**
+ * Serve a recorded response.
+ * Prefers an exact request match; otherwise falls back to the next unused
+ * entry for the same task (answers or timestamps may differ between runs) —
+ * with a warning, or an error in strict mode.
+ */
+export function replayMessage(task, systemPrompt, userMessage) {
+  const c    = _cassette;
+  const hash = hashRequest(systemPrompt, userMessage);
+
+  const exact = c.entries.find(e => !c.used.has(e.index) && e.hash === hash);
+  const entry = exact || c.entries.find(e => !c.used.has(e.index) && e.task === task);
+
+  if (!entry) {
+    throw new Error(`Cassette ${c.id} has no recorded response left for task "${task}"`);
+  }
+  if (!exact) {
+    const file = `${String(entry.index).padStart(3, '0')}-${entry.task}.json`;
+    if (c.strict) {
+      throw new Error(`Cassette ${c.id}: the "${task}" request differs from every recorded one (strict replay)`);
+    }
+    log('warning', `Cassette ${c.id}: "${task}" request differs from the recording — serving ${file}`);
+  }
+
+  c.used.add(entry.index);
+  return entry.output;
+}
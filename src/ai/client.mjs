@@ -1,74 +1,59 @@
-import OpenAI from 'openai';
+import { resolveTask, complete } from './providers.mjs';
+import { getCassette, recordMessage, replayMessage } from './cassette.mjs';
+import { validate, repairJSON } from './schema.mjs';
 
-let _client = null;
+// Total attempts per JSON task (first try + re-prompts with validation errors)
+const MAX_JSON_ATTEMPTS = 3;
 
-// DeepSeek models via OpenAI-compatible API
-// OPUS  → deepseek-reasoner (R1) — best reasoning + code generation
-// HAIKU → deepseek-chat    (V3) — fast, high-quality for quick tasks
-export const MODELS = {
-  OPUS:  process.env.AI_MODEL_OPUS  || 'deepseek-reasoner',
-  HAIKU: process.env.AI_MODEL_HAIKU || 'deepseek-chat',
+// AI tasks — each one can run on its own provider/model.
+// See providers.mjs for presets and the .env / ~/.vbs/config.json overrides.
+export const TASKS = {
+  ANALYSIS:  'analysis',
+  QUESTIONS: 'questions',
+  CODEGEN:   'codegen',
+  MODIFY:    'modify',
+  TESTS:     'tests',
+  DIAGNOSIS: 'diagnosis',
+  REPAIR:    'repair',
 };
 
-export function getClient() {
-  if (!_client) {
-    const apiKey = process.env.DEEPSEEK_API_KEY;
-    if (!apiKey) {
-      throw new Error(
-        'DEEPSEEK_API_KEY not found.\n' +
-        'Set it in your .env file or run:\n' +
-        '  export DEEPSEEK_API_KEY=sk-...\n' +
-        'Get your key at: https://platform.deepseek.com/'
-      );
-    }
-    _client = new OpenAI({
-      apiKey,
-      baseURL: 'https://api.deepseek.com',
-    });
-  }
-  return _client;
-}
-
 /**
- * Send a single-turn message to the DeepSeek API and return the response text.
- *
- * Uses deepseek-reasoner (R1) for MODELS.OPUS — the most capable model.
- * R1 performs chain-of-thought reasoning internally; temperature is fixed.
+ * Send a single-turn message for an AI task and return the response text.
  *
- * Uses deepseek-chat (V3) for MODELS.HAIKU — fast, still excellent quality.
+ * The task decides the provider (DeepSeek, OpenAI-compatible, Anthropic,
+ * Ollama, llama.cpp) and model — see resolveTask() in providers.mjs.
+ * With an active cassette the call is recorded, or served from disk on replay.
  *
- * @param {string} model
+ * @param {string} task           - One of TASKS
  * @param {string} systemPrompt
  * @param {string} userMessage
  * @param {number} [maxTokens=8192]
  */
-export async function sendMessage(model, systemPrompt, userMessage, maxTokens = 8192) {
-  const client = getClient();
-
-  const params = {
-    model,
-    max_tokens: maxTokens,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user',   content: userMessage  },
-    ],
-  };
-
-  // deepseek-chat supports temperature; use 0 for deterministic output
-  // deepseek-reasoner (R1) does not accept temperature — omit it
-  if (model === 'deepseek-chat' || model === process.env.AI_MODEL_HAIKU) {
-    params.temperature = 0;
+export async function sendMessage(task, systemPrompt, userMessage, maxTokens = 8192) {
+  const cassette = getCassette();
+  if (cassette?.mode === 'replay') {
+    return replayMessage(task, systemPrompt, userMessage);
   }
 
-  const response = await client.chat.completions.create(params);
-  return response.choices[0].message.content;
+  const target = resolveTask(task);
+  const output = await complete(target, systemPrompt, userMessage, maxTokens);
+
+  if (cassette?.mode === 'record') {
+    await recordMessage({
+      task,
+      provider: target.provider,
+      model:    target.model,
+      maxTokens,
+      systemPrompt,
+      userMessage,
+      output,
+    });
+  }
+
+  return output;
 }
 
-/**
- * Extract JSON from an AI response, stripping any markdown fences.
- * @param {string} text
- */
-export function extractJSON(text) {
+function cleanJSONText(text) {
   // Remove markdown code blocks
   let cleaned = text
     .replace(/^```(?:json)?\s*/m, '')
@@ -79,5 +64,79 @@ export function extractJSON(text) {
   const jsonStart = cleaned.search(/[{[]/);
   if (jsonStart > 0) cleaned = cleaned.slice(jsonStart);
 
-  return JSON.parse(cleaned);
+  return cleaned;
+}
+
+/**
+ * Extract JSON from an AI response, stripping any markdown fences.
+ * @param {string} text
+ */
+export function extractJSON(text) {
+  return JSON.parse(cleanJSONText(text));
+}
+
+/**
+ * Like extractJSON(), but falls back to repairing truncated output.
+ * `repaired` is true when brackets had to be closed — the data is then cut
+ * short. A complete document followed by stray text is not a repair.
+ * @returns {{ data: any, repaired: boolean }}
+ */
+export function extractJSONLoose(text) {
+  const cleaned = cleanJSONText(text);
+  try {
+    return { data: JSON.parse(cleaned), repaired: false };
+  } catch (err) {
+    const fixed = repairJSON(cleaned);
+    if (!fixed) throw err;
+    return { data: JSON.parse(fixed), repaired: !cleaned.startsWith(fixed) };
+  }
+}
+
+/**
+ * Send a message whose response must be JSON matching `schema`.
+ *
+ * Truncated output is never accepted — a repaired document can pass the
+ * schema with files or endpoints missing. It is repaired only to report its
+ * validation errors too. Rejected output is re-prompted with the exact
+ * errors, up to MAX_JSON_ATTEMPTS in total, before giving up.
+ *
+ * @param {string} task
+ * @param {string} systemPrompt
+ * @param {string} userMessage
+ * @param {number} maxTokens
+ * @param {object} schema       - See schema.mjs
+ * @throws {Error} with every validation error of the last attempt
+ */
+export async function requestJSON(task, systemPrompt, userMessage, maxTokens, schema) {
+  let message = userMessage;
+  let errors  = [];
+
+  for (let attempt = 1; attempt <= MAX_JSON_ATTEMPTS; attempt++) {
+    const text = await sendMessage(task, systemPrompt, message, maxTokens);
+
+    let parsed;
+    try {
+      parsed = extractJSONLoose(text);
+      errors = validate(parsed.data, schema);
+      if (parsed.repaired) {
+        errors.unshift('response was truncated — keep it shorter so the JSON is complete');
+      }
+    } catch (err) {
+      errors = [`response is not valid JSON (${err.message})`];
+    }
+
+    if (errors.length === 0) return parsed.data;
+
+    message = `${userMessage}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Return the complete, corrected JSON only — no markdown, no explanation.`;
+  }
+
+  throw new Error(
+    `AI ${task} output failed validation after ${MAX_JSON_ATTEMPTS} attempts:\n` +
+    errors.slice(0, 10).map(e => `  - ${e}`).join('\n')
+  );
 }
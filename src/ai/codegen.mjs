@@ -1,4 +1,24 @@
-import { sendMessage, extractJSON, MODELS } from './client.mjs';
+import { requestJSON, TASKS } from './client.mjs';
+import { FILE_SCHEMA, ENDPOINT_SCHEMA } from './schema.mjs';
+import { specForCodegen } from '../projects/spec.mjs';
+
+export const CODEGEN_SCHEMA = {
+  type:     'object',
+  required: ['files', 'allEndpoints'],
+  properties: {
+    files:                { type: 'array', minItems: 1, items: FILE_SCHEMA },
+    allEndpoints:         { type: 'array', items: ENDPOINT_SCHEMA },
+    frontendFramework:    { type: 'string', enum: ['react', 'nextjs'] },
+    startCommand:         { type: 'string' },
+    buildCommand:         { type: 'string' },
+    pm2Name:              { type: 'string' },
+    healthEndpoint:       { type: 'string' },
+    backendStartCommand:  { type: 'string' },
+    frontendStartCommand: { type: 'string' },
+    backendPm2Name:       { type: 'string' },
+    frontendPm2Name:      { type: 'string' },
+  },
+};
 
 // ── Shared rules ──────────────────────────────────────────────────────────────
 
@@ -9,12 +29,25 @@ CRITICAL COMMENT RULE — MUST FOLLOW WITHOUT EXCEPTION:
 - Examples: // 사용자 인증 미들웨어  |  /* 데이터베이스 연결 풀 */  |  // 포트 번호 설정
 - NEVER write comments in English or any other language — Korean only`;
 
+// ── Endpoint contract (checked by system/tester.mjs) ──────────────────────────
+
+export const CONTRACT_RULES = `- expectedStatus: status code of a successful call with a valid body and token (e.g. 200, 201 for creates, 204 for empty deletes)
+- responseShape: JSON skeleton of the success response with type names as values —
+  "string" | "number" | "boolean" | "object" | "any", suffix "?" when it may be null or absent,
+  arrays as [itemShape], e.g. { "data": [{ "id": "number", "title": "string", "tags": ["string"] }] }
+  null when the response has no JSON body (204)`;
+
+// ── API docs (written by summary/openapi.mjs after generation) ─────────────────
+
+const DOCS_RULE = `- Serve the docs/ folder of the backend package root as static files at /docs:
+  app.use('/docs', express.static(path.join(<package root>, 'docs'))) — register it before the 404 handler.
+  VBS writes docs/index.html (Swagger UI) and docs/openapi.json there; do NOT generate those files`;
+
 // ── API system prompt ─────────────────────────────────────────────────────────
 
-const API_SYSTEM = `You are VBS (Virtual Based Scenography) code generator. Generate complete, production-ready Node.js REST API code.
+const API_INTRO = `You are VBS (Virtual Based Scenography) code generator. Generate complete, production-ready Node.js REST API code.`;
 
-Return ONLY valid JSON (no markdown) in exactly this structure:
-{
+const API_FORMAT = `{
   "files": [
     { "path": "relative/path/from/project/root", "content": "complete file content" }
   ],
@@ -27,12 +60,14 @@ Return ONLY valid JSON (no markdown) in exactly this structure:
       "path": "/health",
       "description": "Health check",
       "requiresAuth": false,
-      "exampleBody": null
+      "exampleBody": null,
+      "expectedStatus": 200,
+      "responseShape": { "status": "string", "uptime": "number" }
     }
   ]
-}
+}`;
 
-Mandatory rules:
+const API_RULES = `Mandatory rules:
 - Generate COMPLETE, WORKING code — no placeholders, no TODO
 - Always include package.json with exact dependency versions
 - Always include .env with all required environment variables filled in
@@ -44,22 +79,30 @@ Mandatory rules:
 - Include CORS middleware ("cors")
 - Include proper error handling middleware (last in chain)
 - include express.json() body parser
+${DOCS_RULE}
 - Write complete route files — not stubs
 - allEndpoints must list EVERY endpoint the API exposes
 - exampleBody: realistic payload for POST/PUT/PATCH, null otherwise
 - requiresAuth: true if endpoint requires Bearer token
+${CONTRACT_RULES}
 - pm2Name: lowercase with hyphens
-- startCommand: valid node/npm command
+- startCommand: valid node/npm command`;
+
+const API_SYSTEM = `${API_INTRO}
+
+Return ONLY valid JSON (no markdown) in exactly this structure:
+${API_FORMAT}
+
+${API_RULES}
 ${SHARED_RULES}`;
 
 // ── Frontend system prompt ────────────────────────────────────────────────────
 
-const FRONTEND_SYSTEM = `You are VBS (Virtual Based Scenography) code generator. Generate complete, production-ready frontend applications.
+const FRONTEND_INTRO = `You are VBS (Virtual Based Scenography) code generator. Generate complete, production-ready frontend applications.
 
-IMPORTANT: You generate either React (Vite) or Next.js apps based on user configuration.
+IMPORTANT: You generate either React (Vite) or Next.js apps based on user configuration.`;
 
-Return ONLY valid JSON (no markdown) in exactly this structure:
-{
+const FRONTEND_FORMAT = `{
   "files": [
     { "path": "relative/path/from/project/root", "content": "complete file content" }
   ],
@@ -68,9 +111,9 @@ Return ONLY valid JSON (no markdown) in exactly this structure:
   "buildCommand": "npm run build",
   "pm2Name": "project-name-front",
   "allEndpoints": []
-}
+}`;
 
-React (Vite) SPA rules:
+const FRONTEND_RULES = `React (Vite) SPA rules:
 - Use Vite as build tool (vite + @vitejs/plugin-react in devDependencies)
 - package.json scripts: { "dev": "vite", "build": "vite build", "start": "vite preview" }
 - Entry: src/main.jsx (or .tsx if TypeScript)
@@ -96,17 +139,23 @@ General frontend rules:
 - Include realistic sample data or API integration where described
 - pm2Name: lowercase with hyphens (e.g. "my-app-front")
 - startCommand: "npm start" (Next.js) or N/A for static React (nginx serves it)
-- allEndpoints: [] (frontend has no server endpoints)
+- allEndpoints: [] (frontend has no server endpoints)`;
+
+const FRONTEND_SYSTEM = `${FRONTEND_INTRO}
+
+Return ONLY valid JSON (no markdown) in exactly this structure:
+${FRONTEND_FORMAT}
+
+${FRONTEND_RULES}
 ${SHARED_RULES}`;
 
 // ── Fullstack system prompt ───────────────────────────────────────────────────
 
-const FULLSTACK_SYSTEM = `You are VBS (Virtual Based Scenography) code generator. Generate a complete full-stack application.
+const FULLSTACK_INTRO = `You are VBS (Virtual Based Scenography) code generator. Generate a complete full-stack application.
 
-Structure: backend/ (Express API) + frontend/ (React/Next.js)
+Structure: backend/ (Express API) + frontend/ (React/Next.js)`;
 
-Return ONLY valid JSON (no markdown) in exactly this structure:
-{
+const FULLSTACK_FORMAT = `{
   "files": [
     { "path": "backend/src/index.js", "content": "..." },
     { "path": "frontend/src/App.jsx", "content": "..." }
@@ -122,12 +171,14 @@ Return ONLY valid JSON (no markdown) in exactly this structure:
       "path": "/health",
       "description": "Health check",
       "requiresAuth": false,
-      "exampleBody": null
+      "exampleBody": null,
+      "expectedStatus": 200,
+      "responseShape": { "status": "string", "uptime": "number" }
     }
   ]
-}
+}`;
 
-Backend (backend/) rules:
+const FULLSTACK_RULES = `Backend (backend/) rules:
 - Express.js REST API, all files under backend/
 - backend/package.json with exact dependency versions
 - backend/.env with all required vars filled in
@@ -136,6 +187,7 @@ Backend (backend/) rules:
 - If PostgreSQL: use "pg" with connection pooling
 - If JWT: "jsonwebtoken" + "bcryptjs"
 - CORS configured to allow requests from frontend (origin: * or configured)
+${DOCS_RULE}
 
 Frontend (frontend/) rules:
 - React (Vite SPA) or Next.js App Router (v14+)
@@ -156,28 +208,133 @@ Nginx integration:
 General:
 - Generate COMPLETE, WORKING code — no placeholders, no TODO
 - allEndpoints lists only BACKEND API endpoints
-- backendPm2Name / frontendPm2Name: lowercase with hyphens
+${CONTRACT_RULES}
+- backendPm2Name / frontendPm2Name: lowercase with hyphens`;
+
+const FULLSTACK_SYSTEM = `${FULLSTACK_INTRO}
+
+Return ONLY valid JSON (no markdown) in exactly this structure:
+${FULLSTACK_FORMAT}
+
+${FULLSTACK_RULES}
 ${SHARED_RULES}`;
 
-// ─────────────────────────────────────────────────────────────────────────────
+// ── Multi-pass prompts ────────────────────────────────────────────────────────
+// A single response is capped at 16k tokens, which complex projects overflow.
+// Multi-pass: a planner writes the file manifest + module contract, then each
+// module (or batch of files) is generated in its own request.
 
-/**
- * Generate complete project code based on analysis and user answers.
- *
- * @param {object} analysis       - Analysis from analyzeRequest()
- * @param {object} answers        - User answers
- * @param {string} originalPrompt - Original user prompt
- * @param {string} [serverIp]     - Server IPv4 for context
- * @param {string} [projectType]  - 'api' | 'frontend' | 'fullstack'
- */
-export async function generateCode(analysis, answers, originalPrompt, serverIp = null, projectType = 'api') {
-  const systemPromptMap = {
-    api:       API_SYSTEM,
-    frontend:  FRONTEND_SYSTEM,
-    fullstack: FULLSTACK_SYSTEM,
-  };
-  const systemPrompt = systemPromptMap[projectType] || API_SYSTEM;
+const TYPE_PROMPTS = {
+  api:       { intro: API_INTRO,       format: API_FORMAT,       rules: API_RULES,       system: API_SYSTEM },
+  frontend:  { intro: FRONTEND_INTRO,  format: FRONTEND_FORMAT,  rules: FRONTEND_RULES,  system: FRONTEND_SYSTEM },
+  fullstack: { intro: FULLSTACK_INTRO, format: FULLSTACK_FORMAT, rules: FULLSTACK_RULES, system: FULLSTACK_SYSTEM },
+};
+
+const MANIFEST_SAMPLE = `"files": [
+    { "path": "relative/path/from/project/root", "module": "routes", "purpose": "What the file does and what it exports" }
+  ],
+  "contract": "Shared contract every file must follow",`;
+
+const PLANNER_INTRO = `You are VBS (Virtual Based Scenography) project planner. Plan the complete project — do NOT write any file contents.
+Every file will be generated later in a separate request, so the manifest and contract must be precise enough for independently written files to fit together.`;
 
+const PLANNER_RULES = `Planner rules:
+- "files" lists EVERY file the project needs (package.json, .env, configs, entry point, routes, pages, components…)
+- "module": short group name — files that depend closely on each other share a module
+- "purpose": one sentence — what the file does, what it exports and what it imports
+- "contract": exact dependency versions, env var names, DB tables/models, exported names + signatures, route paths + JSON shapes, shared UI components
+- All other fields follow the structure above exactly`;
+
+const MODULE_INTRO = `You are VBS (Virtual Based Scenography) code generator. You write a subset of the files of a larger, already planned project.
+
+Return ONLY valid JSON (no markdown) in exactly this structure:
+{
+  "files": [
+    { "path": "relative/path/from/project/root", "content": "complete file content" }
+  ]
+}
+
+Module rules:
+- Return EXACTLY the requested files — no others
+- Follow the project contract exactly (names, signatures, env vars, dependency versions)
+- The other files in the manifest exist — import from them as described, never re-implement them`;
+
+function plannerSystem(type) {
+  const { format, rules } = TYPE_PROMPTS[type];
+  return `${PLANNER_INTRO}
+
+Return ONLY valid JSON (no markdown) in exactly this structure:
+${format.replace(/"files": \[[\s\S]*?\n  \],/, MANIFEST_SAMPLE)}
+
+${PLANNER_RULES}
+
+The planned files must follow these project rules:
+${rules}`;
+}
+
+function moduleSystem(type) {
+  return `${MODULE_INTRO}
+
+Project rules:
+${TYPE_PROMPTS[type].rules}
+${SHARED_RULES}`;
+}
+
+const PLAN_SCHEMA = {
+  type:     'object',
+  required: ['files', 'contract', 'allEndpoints'],
+  properties: {
+    ...CODEGEN_SCHEMA.properties,
+    files: {
+      type:     'array',
+      minItems: 1,
+      items: {
+        type:     'object',
+        required: ['path'],
+        properties: {
+          path:    { type: 'string', check: v => (v.trim() ? null : 'empty path') },
+          module:  { type: 'string' },
+          purpose: { type: 'string' },
+        },
+      },
+    },
+    contract: { type: 'string' },
+  },
+};
+
+const BATCH_SCHEMA = {
+  type:       'object',
+  required:   ['files'],
+  properties: { files: CODEGEN_SCHEMA.properties.files },
+};
+
+// Files per generation request, by analysis.complexity.
+// 'simple' projects (and unknown values) stay single-pass.
+const BATCH_SIZE = {
+  medium:  8,
+  complex: 3,
+};
+
+function planBatches(manifest, size) {
+  const modules = new Map();
+  for (const file of manifest) {
+    const key = file.module || 'main';
+    if (!modules.has(key)) modules.set(key, []);
+    modules.get(key).push(file);
+  }
+
+  const batches = [];
+  for (const [module, files] of modules) {
+    for (let i = 0; i < files.length; i += size) {
+      batches.push({ module, files: files.slice(i, i + size) });
+    }
+  }
+  return batches;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+function buildProjectContext(analysis, answers, originalPrompt, serverIp, projectType) {
   const serverContext = serverIp
     ? `\nServer IPv4: ${serverIp} — use this IP for absolute URLs or example links`
     : '';
@@ -197,11 +354,11 @@ export async function generateCode(analysis, answers, originalPrompt, serverIp =
       ? `Generate a complete frontend app using ${frontendLabel}.`
       : `Generate a full-stack app:\n- Backend: Express.js REST API in backend/\n- Frontend: ${frontendLabel} in frontend/\n- Backend port: ${answers.backendPort || 3001}, Frontend port: ${answers.frontendPort || 3000}`;
 
-  const userMessage = `${typeContext}
+  return `${typeContext}
 
 Original request: ${originalPrompt}
 
-Detected stack: ${analysis.detectedStack.join(', ')}
+Detected stack: ${(analysis.detectedStack || []).join(', ')}
 Complexity: ${analysis.complexity}
 Frontend framework: ${frontendFramework}
 TypeScript: ${answers.typescript === true || answers.typescript === 'true' ? 'yes' : 'no'}
@@ -210,11 +367,123 @@ Styling: ${answers.styling || 'Tailwind CSS'}
 User configuration:
 ${JSON.stringify(answers, null, 2)}
 
-Project name: ${answers.projectName || analysis.suggestedProjectName}${serverContext}
+Project name: ${answers.projectName || analysis.suggestedProjectName}${serverContext}`;
+}
+
+/**
+ * Contract section for builds from an OpenAPI spec (vbs --spec).
+ */
+function specContext(spec) {
+  return `
+
+OPENAPI CONTRACT — the backend MUST implement exactly this spec:
+- Every path + method below, with the same path parameters (Express syntax: /posts/{id} → /posts/:id)
+- Request bodies validated against the request schemas (400 on invalid input)
+- Response bodies and status codes as in the response schemas
+- Operations with "security" require "Authorization: Bearer <JWT>" (401 without it); all others are public
+- The server URL's path (servers[0].url) is the route prefix
+- No other API routes besides GET /health and the /docs static folder
+
+\`\`\`yaml
+${specForCodegen(spec.text)}
+\`\`\`
+
+allEndpoints will be taken from the spec — list them anyway.`;
+}
+
+/**
+ * Generate complete project code based on analysis and user answers.
+ *
+ * Simple projects are generated in one request. Medium/complex projects
+ * go through a planner pass and then one request per module/batch, so the
+ * output is not limited by a single response's token budget.
+ *
+ * @param {object} analysis       - Analysis from analyzeRequest()
+ * @param {object} answers        - User answers
+ * @param {string} originalPrompt - Original user prompt
+ * @param {string} [serverIp]     - Server IPv4 for context
+ * @param {string} [projectType]  - 'api' | 'frontend' | 'fullstack'
+ * @param {object} [opts]
+ * @param {(text: string) => void} [opts.onProgress] - Called before each AI pass
+ * @param {object} [opts.spec] - OpenAPI contract to implement: { text, endpoints } (projects/spec.mjs);
+ *                               its endpoints replace the model's allEndpoints
+ */
+export async function generateCode(analysis, answers, originalPrompt, serverIp = null, projectType = 'api', { onProgress, spec } = {}) {
+  const type      = TYPE_PROMPTS[projectType] ? projectType : 'api';
+  const context   = buildProjectContext(analysis, answers, originalPrompt, serverIp, type) + (spec ? specContext(spec) : '');
+  const batchSize = BATCH_SIZE[analysis.complexity];
+
+  if (!batchSize) {
+    const userMessage = `${context}
 
 Generate all necessary files for a complete, working, immediately deployable project.
 Remember: ALL code comments MUST be in Korean (한국어).`;
 
-  const text = await sendMessage(MODELS.OPUS, systemPrompt, userMessage, 16384);
-  return extractJSON(text);
+    const result = await requestJSON(TASKS.CODEGEN, TYPE_PROMPTS[type].system, userMessage, 16384, CODEGEN_SCHEMA);
+    return spec ? { ...result, allEndpoints: spec.endpoints } : result;
+  }
+
+  // ── Pass 1: plan ────────────────────────────────────────────────────────────
+  onProgress?.('Planning file manifest and module contract...');
+
+  const plan = await requestJSON(TASKS.CODEGEN, plannerSystem(type), `${context}
+
+Plan every file for a complete, working, immediately deployable project.`, 8192, PLAN_SCHEMA);
+  if (spec) plan.allEndpoints = spec.endpoints;
+
+  const manifestText = plan.files
+    .map(f => `- ${f.path}${f.module ? ` [${f.module}]` : ''}${f.purpose ? ` — ${f.purpose}` : ''}`)
+    .join('\n');
+
+  const endpointsText = plan.allEndpoints.length > 0
+    ? `\n\nAPI ENDPOINTS:\n${JSON.stringify(plan.allEndpoints, null, 2)}`
+    : '';
+
+  // ── Pass 2: generate each batch ─────────────────────────────────────────────
+  const generated = new Map();
+
+  async function generateBatch(batch, label) {
+    onProgress?.(`${label} — ${batch.files.length} file(s)...`);
+
+    const userMessage = `${context}
+
+PROJECT CONTRACT:
+${plan.contract}
+
+FILE MANIFEST (whole project):
+${manifestText}${endpointsText}
+
+GENERATE NOW — module "${batch.module}":
+${batch.files.map(f => `- ${f.path}${f.purpose ? ` — ${f.purpose}` : ''}`).join('\n')}
+
+Return ONLY these files with complete contents.
+Remember: ALL code comments MUST be in Korean (한국어).`;
+
+    const result = await requestJSON(TASKS.CODEGEN, moduleSystem(type), userMessage, 16384, BATCH_SCHEMA);
+    for (const file of result.files) {
+      if (!generated.has(file.path)) generated.set(file.path, file);
+    }
+  }
+
+  const batches = planBatches(plan.files, batchSize);
+  for (let i = 0; i < batches.length; i++) {
+    await generateBatch(batches[i], `Generating ${batches[i].module} (${i + 1}/${batches.length})`);
+  }
+
+  // ── Pass 3: one retry for planned files the model skipped ───────────────────
+  let missing = plan.files.filter(f => !generated.has(f.path));
+  if (missing.length > 0) {
+    const retries = planBatches(missing.map(f => ({ ...f, module: 'missing' })), batchSize);
+    for (let i = 0; i < retries.length; i++) {
+      await generateBatch(retries[i], `Retrying missing files (${i + 1}/${retries.length})`);
+    }
+    missing = plan.files.filter(f => !generated.has(f.path));
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Code generation skipped ${missing.length} planned file(s): ${missing.map(f => f.path).join(', ')}`);
+  }
+
+  const { files: _manifest, contract: _contract, ...meta } = plan;
+  return { ...meta, files: [...generated.values()] };
 }
@@ -1,8 +1,38 @@
-import { sendMessage, extractJSON, MODELS } from './client.mjs';
+import { requestJSON, TASKS } from './client.mjs';
+import { FILE_SCHEMA, ENDPOINT_SCHEMA } from './schema.mjs';
+import { CONTRACT_RULES } from './codegen.mjs';
+
+const RENAME_SCHEMA = {
+  type:     'object',
+  required: ['from', 'to'],
+  properties: {
+    from: { type: 'string', check: v => (v.trim() ? null : 'empty path') },
+    to:   { type: 'string', check: v => (v.trim() ? null : 'empty path') },
+  },
+  check: r => (r.from === r.to ? `rename of ${r.from} to itself` : null),
+};
+
+export const MODIFICATION_SCHEMA = {
+  type:     'object',
+  required: ['summary', 'files'],
+  properties: {
+    summary:         { type: 'string' },
+    files:           { type: 'array', items: FILE_SCHEMA },
+    deletes:         { type: 'array', items: { type: 'string', check: v => (v.trim() ? null : 'empty path') } },
+    renames:         { type: 'array', items: RENAME_SCHEMA },
+    restartRequired: { type: 'boolean' },
+    rebuildRequired: { type: 'boolean' },
+    endpoints:       { type: 'array', nullable: true, items: ENDPOINT_SCHEMA },
+    stack:           { type: 'array', nullable: true, items: { type: 'string' } },
+    notes:           { type: 'string', nullable: true },
+  },
+};
 
 const SYSTEM_PROMPT = `You are VBS (Virtual Based Scenography) project modifier.
-You receive a full project context (config.vbs) and a modification request.
-You return ONLY the files that need to be created or changed — not the entire project.
+You receive the project context (config.vbs), the current contents of the project
+files most relevant to the request, the list of files you were NOT shown, and a
+modification request.
+You return ONLY the files that need to be created, changed, deleted or moved — not the entire project.
 
 Return ONLY valid JSON (no markdown):
 {
@@ -10,28 +40,120 @@ Return ONLY valid JSON (no markdown):
   "files": [
     { "path": "relative/path/from/project/root", "content": "complete file content" }
   ],
+  "deletes": ["relative/path/of/an/obsolete/file"],
+  "renames": [
+    { "from": "old/relative/path", "to": "new/relative/path" }
+  ],
   "restartRequired": true,
   "rebuildRequired": false,
+  "endpoints": null,
+  "stack": null,
   "notes": "Any important notes for the user"
 }
 
 Rules:
 - Only return files that actually changed — do NOT return unchanged files
 - Files MUST contain complete, working content (not diffs or partials)
+- Start from the shown contents: keep every existing route, export, import and feature you were not asked to remove
+- Never return a file listed under NOT SHOWN — you do not know its content, and returning it would overwrite it.
+  If one of them must change, describe the change in "notes" instead
+- "deletes" and "renames" are optional — use them to remove obsolete files and move files instead of leaving dead code behind.
+  Only delete or rename files that exist (shown or NOT SHOWN). A rename keeps the content; to also change it,
+  return the new content in "files" under the NEW path. A path may appear in only one of files / deletes / renames (from or to)
+- When you delete or move a file, update every shown file that imports or requires it
 - If adding a new dependency, update package.json
 - Keep all existing Korean comments — add new ones in Korean too
+- endpoints: null if no API route was added, removed or changed. Otherwise the COMPLETE updated list —
+  every endpoint from config.vbs that still exists (unchanged entries copied as they are), plus the new
+  and changed ones — with the fields of config.vbs endpoints (method, path, description, requiresAuth,
+  exampleBody, expectedStatus, responseShape):
+${CONTRACT_RULES.split('\n').map(l => `  ${l}`).join('\n')}
+- stack: null if the stack did not change. Otherwise the COMPLETE updated list in the style of config.vbs stack
+  (e.g. a new database, cache or framework added, or one removed)
 - restartRequired: true if the backend needs to restart (pm2 restart)
 - rebuildRequired: true if the frontend needs to rebuild (npm run build)
 - Be precise — if only one route changes, only return that route file (+ package.json if needed)`;
 
+// Longest NOT SHOWN list sent — the rest is summarised as a count
+const MAX_OMITTED_LISTED = 200;
+
+/**
+ * MODIFICATION_SCHEMA that also rejects files the model was not shown,
+ * deletes / renames of files that do not exist or are withheld (secrets,
+ * lock files) and paths used twice.
+ *
+ * @param {Array} shown   - [{ path }] sent in full
+ * @param {Array} omitted - [{ path, withheld? }] existing files that were not sent
+ */
+export function modificationSchema(shown, omitted) {
+  const unseen   = new Set(omitted.map(f => f.path));
+  const withheld = new Set(omitted.filter(f => f.withheld).map(f => f.path));
+  const known    = new Set([...shown.map(f => f.path), ...unseen]);
+  const exists   = p => {
+    if (withheld.has(p)) return `${p} is withheld from modifications — describe its change in "notes" instead`;
+    return known.has(p) ? null : `${p} does not exist in the project`;
+  };
+
+  return {
+    ...MODIFICATION_SCHEMA,
+    properties: {
+      ...MODIFICATION_SCHEMA.properties,
+      files: {
+        type:  'array',
+        items: {
+          ...FILE_SCHEMA,
+          check: f => (unseen.has(f.path) ? `${f.path} was not shown to you — describe its change in "notes" instead` : null),
+        },
+      },
+      deletes: { ...MODIFICATION_SCHEMA.properties.deletes, items: { type: 'string', check: exists } },
+      renames: {
+        type:  'array',
+        items: {
+          ...RENAME_SCHEMA,
+          check: r => RENAME_SCHEMA.check(r) || exists(r.from) || (known.has(r.to) ? `${r.to} already exists` : null),
+        },
+      },
+    },
+    check: result => {
+      const renames   = result.renames || [];
+      // The new content of a renamed file comes under its new path
+      const renamedTo = new Map(renames.map(r => [r.to, r.from]));
+      const edited    = (result.files || []).map(f => f.path);
+      const paths     = [
+        ...edited.filter(p => !renamedTo.has(p)),
+        ...(result.deletes || []),
+        ...renames.flatMap(r => [r.from, r.to]),
+      ];
+      const twice = [...new Set(paths.filter((p, i) => paths.indexOf(p) !== i))];
+      const blind = edited.filter(p => unseen.has(renamedTo.get(p)));
+      if (twice.length > 0) return `${twice.join(', ')} used in more than one operation`;
+      if (blind.length > 0) return `${blind.join(', ')}: renamed from a file you were not shown — rename it without new content`;
+      return null;
+    },
+  };
+}
+
 /**
  * Generate file modifications for an existing VBS project.
  *
  * @param {object} configVbs       - Full config.vbs object
  * @param {string} modification    - User's modification request
- * @returns {Promise<object>}      - { summary, files, restartRequired, rebuildRequired, notes }
+ * @param {object} [context]       - From selectContextFiles() (ai/retriever.mjs)
+ * @param {Array}  [context.shown]   - [{ path, content }] sent in full
+ * @param {Array}  [context.omitted] - [{ path, size }] existing files that were not sent
+ * @returns {Promise<object>}      - { summary, files, deletes, renames, restartRequired, rebuildRequired, endpoints, stack, notes }
  */
-export async function generateModification(configVbs, modification) {
+export async function generateModification(configVbs, modification, { shown = [], omitted = [] } = {}) {
+  const fileBlocks = shown
+    .map(f => `=== ${f.path} ===\n${f.content}`)
+    .join('\n\n');
+
+  const omittedList = omitted
+    .slice(0, MAX_OMITTED_LISTED)
+    .map(f => `- ${f.path} (${f.size} bytes)${f.withheld ? ' — withheld, never edit, delete or rename' : ''}`)
+    .concat(omitted.length > MAX_OMITTED_LISTED ? [`- … and ${omitted.length - MAX_OMITTED_LISTED} more`] : [])
+    .join('\n');
+
   const userMessage = `Modify this existing VBS project.
 
 MODIFICATION REQUEST:
@@ -40,9 +162,15 @@ ${modification}
 CURRENT PROJECT CONTEXT (config.vbs):
 ${JSON.stringify(configVbs, null, 2)}
 
+PROJECT FILES — ${shown.length} of ${shown.length + omitted.length} shown with their current content:
+${fileBlocks || '(none)'}
+
+NOT SHOWN (these files exist, but you have not seen their content — do not return them):
+${omittedList || '(none — you have seen every file)'}
+
 Generate ONLY the files that need to change. Return complete file contents.
+Delete or rename files that become obsolete or misplaced.
 All comments must be in Korean (한국어).`;
 
-  const text = await sendMessage(MODELS.OPUS, SYSTEM_PROMPT, userMessage, 8192);
-  return extractJSON(text);
+  return requestJSON(TASKS.MODIFY, SYSTEM_PROMPT, userMessage, 8192, modificationSchema(shown, omitted));
 }
@@ -0,0 +1,260 @@
+import OpenAI from 'openai';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+import { VBS_DIR } from '../projects/registry.mjs';
+
+// ─── Provider presets ─────────────────────────────────────────────────────────
+// kind 'openai'    → any OpenAI-compatible chat completions endpoint
+// kind 'anthropic' → Anthropic Messages API (plain fetch, no SDK)
+// models.opus      → reasoning / code generation tasks
+// models.haiku     → quick tasks (test notes, diagnosis)
+
+export const PROVIDERS = {
+  deepseek: {
+    kind:    'openai',
+    baseURL: 'https://api.deepseek.com',
+    keyEnv:  'DEEPSEEK_API_KEY',
+    keyHelp: 'https://platform.deepseek.com/',
+    models:  { opus: 'deepseek-reasoner', haiku: 'deepseek-chat' },
+  },
+  openai: {
+    kind:    'openai',
+    baseURL: 'https://api.openai.com/v1',
+    keyEnv:  'OPENAI_API_KEY',
+    keyHelp: 'https://platform.openai.com/api-keys',
+    models:  { opus: 'gpt-4o', haiku: 'gpt-4o-mini' },
+  },
+  anthropic: {
+    kind:    'anthropic',
+    baseURL: 'https://api.anthropic.com',
+    keyEnv:  'ANTHROPIC_API_KEY',
+    keyHelp: 'https://console.anthropic.com/',
+    models:  { opus: 'claude-3-5-sonnet-latest', haiku: 'claude-3-5-haiku-latest' },
+  },
+  ollama: {
+    kind:    'openai',
+    baseURL: 'http://127.0.0.1:11434/v1',
+    keyEnv:  null,
+    models:  { opus: 'qwen2.5-coder:14b', haiku: 'llama3.1:8b' },
+  },
+  llamacpp: {
+    kind:    'openai',
+    baseURL: 'http://127.0.0.1:8080/v1',
+    keyEnv:  null,
+    models:  { opus: 'local', haiku: 'local' },
+  },
+};
+
+// Each AI task and the model tier it uses by default
+export const TASK_TIERS = {
+  analysis:  'opus',
+  questions: 'opus',
+  codegen:   'opus',
+  modify:    'opus',
+  tests:     'haiku',
+  diagnosis: 'haiku',
+  repair:    'opus',
+};
+
+// ─── Settings (~/.vbs/config.json) ────────────────────────────────────────────
+// {
+//   "ai": {
+//     "provider": "deepseek",
+//     "providers": { "ollama": { "baseURL": "http://10.0.0.5:11434/v1" } },
+//     "tasks":     { "codegen": { "provider": "ollama", "model": "qwen2.5-coder:32b" } }
+//   }
+// }
+
+const SETTINGS_PATH = join(VBS_DIR, 'config.json');
+
+let _settings = null;
+
+function loadSettings() {
+  if (_settings) return _settings;
+  _settings = {};
+  if (existsSync(SETTINGS_PATH)) {
+    try {
+      _settings = JSON.parse(readFileSync(SETTINGS_PATH, 'utf8')).ai || {};
+    } catch (err) {
+      throw new Error(`Invalid ${SETTINGS_PATH}: ${err.message}`);
+    }
+  }
+  return _settings;
+}
+
+function envKey(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Resolve which provider + model a task runs on.
+ *
+ * Precedence (highest first):
+ *   AI_PROVIDER_<TASK> / AI_MODEL_<TASK>   (.env)
+ *   ai.tasks.<task>                         (~/.vbs/config.json)
+ *   AI_PROVIDER / AI_MODEL_OPUS / AI_MODEL_HAIKU  (the tier models only apply
+ *                                                 to tasks on the default provider)
+ *   ai.provider
+ *   ai.providers.<provider>.models / preset model for the task's tier
+ *
+ * @param {string} task - One of TASK_TIERS keys
+ * @returns {{ task, tier, provider, kind, model, baseURL, apiKey, keyEnv, keyHelp }}
+ */
+export function resolveTask(task) {
+  const tier      = TASK_TIERS[task] || 'opus';
+  const settings  = loadSettings();
+  const taskCfg   = settings.tasks?.[task] || {};
+  const T         = envKey(task);
+
+  const defaultProvider = process.env.AI_PROVIDER || settings.provider || 'deepseek';
+  const providerName    =
+    process.env[`AI_PROVIDER_${T}`] ||
+    taskCfg.provider ||
+    defaultProvider;
+
+  const preset = PROVIDERS[providerName];
+  if (!preset) {
+    throw new Error(
+      `Unknown AI provider "${providerName}" for task "${task}".\n` +
+      `Use one of: ${Object.keys(PROVIDERS).join(' | ')}`
+    );
+  }
+
+  const providerCfg = settings.providers?.[providerName] || {};
+  const P           = envKey(providerName);
+
+  // AI_MODEL_OPUS / AI_MODEL_HAIKU name models of the default provider —
+  // a task routed to another provider keeps that provider's own models
+  const tierModel = providerName === defaultProvider
+    ? process.env[`AI_MODEL_${tier.toUpperCase()}`]
+    : null;
+
+  const model =
+    process.env[`AI_MODEL_${T}`] ||
+    taskCfg.model ||
+    tierModel ||
+    providerCfg.models?.[tier] ||
+    preset.models[tier];
+
+  const baseURL =
+    process.env[`${P}_BASE_URL`] ||
+    providerCfg.baseURL ||
+    preset.baseURL;
+
+  const apiKey = preset.keyEnv
+    ? process.env[preset.keyEnv] || providerCfg.apiKey || null
+    : providerCfg.apiKey || null;
+
+  return {
+    task,
+    tier,
+    provider: providerName,
+    kind:     preset.kind,
+    model,
+    baseURL,
+    apiKey,
+    keyEnv:   preset.keyEnv,
+    keyHelp:  preset.keyHelp || null,
+  };
+}
+
+/**
+ * List every task whose provider needs an API key that is not set.
+ * Used by the startup phase to fail early instead of mid-build.
+ *
+ * @param {string[]} [tasks] - Defaults to all tasks
+ */
+export function findMissingKeys(tasks = Object.keys(TASK_TIERS)) {
+  const missing = [];
+  for (const task of tasks) {
+    const r = resolveTask(task);
+    if (r.keyEnv && !r.apiKey && !missing.some(m => m.keyEnv === r.keyEnv)) {
+      missing.push({ task, provider: r.provider, keyEnv: r.keyEnv, keyHelp: r.keyHelp });
+    }
+  }
+  return missing;
+}
+
+// ─── Transports ───────────────────────────────────────────────────────────────
+
+const _clients = new Map();
+
+function getOpenAIClient(target) {
+  const cacheKey = `${target.provider}|${target.baseURL}`;
+  if (!_clients.has(cacheKey)) {
+    _clients.set(cacheKey, new OpenAI({
+      // Local servers (ollama, llama.cpp) ignore the key but the SDK requires one
+      apiKey:  target.apiKey || target.provider,
+      baseURL: target.baseURL,
+    }));
+  }
+  return _clients.get(cacheKey);
+}
+
+async function completeOpenAI(target, systemPrompt, userMessage, maxTokens) {
+  const params = {
+    model:      target.model,
+    max_tokens: maxTokens,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user',   content: userMessage  },
+    ],
+  };
+
+  // Reasoning models (deepseek-reasoner, o1/o3…) reject temperature — omit it
+  if (!/reasoner|^o\d/.test(target.model)) {
+    params.temperature = 0;
+  }
+
+  const response = await getOpenAIClient(target).chat.completions.create(params);
+  return response.choices[0].message.content;
+}
+
+async function completeAnthropic(target, systemPrompt, userMessage, maxTokens) {
+  const res = await fetch(`${target.baseURL.replace(/\/$/, '')}/v1/messages`, {
+    method:  'POST',
+    headers: {
+      'Content-Type':      'application/json',
+      'x-api-key':         target.apiKey,
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify({
+      model:       target.model,
+      max_tokens:  maxTokens,
+      temperature: 0,
+      system:      systemPrompt,
+      messages:    [{ role: 'user', content: userMessage }],
+    }),
+  });
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`Anthropic API ${res.status}: ${body.error?.message || res.statusText}`);
+  }
+
+  return (body.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Run a single-turn completion against the resolved provider.
+ * @param {object} target - Result of resolveTask()
+ */
+export async function complete(target, systemPrompt, userMessage, maxTokens) {
+  if (target.keyEnv && !target.apiKey) {
+    throw new Error(
+      `${target.keyEnv} not found (provider "${target.provider}", task "${target.task}").\n` +
+      'Set it in your .env file or run:\n' +
+      `  export ${target.keyEnv}=...` +
+      (target.keyHelp ? `\nGet your key at: ${target.keyHelp}` : '')
+    );
+  }
+
+  if (target.kind === 'anthropic') {
+    return completeAnthropic(target, systemPrompt, userMessage, maxTokens);
+  }
+  return completeOpenAI(target, systemPrompt, userMessage, maxTokens);
+}
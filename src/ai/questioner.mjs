@@ -1,4 +1,35 @@
-import { sendMessage, extractJSON, MODELS } from './client.mjs';
+import { requestJSON, TASKS } from './client.mjs';
+
+export const QUESTIONS_SCHEMA = {
+  type:     'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type:     'array',
+      minItems: 1,
+      items: {
+        type:     'object',
+        required: ['id', 'type', 'message'],
+        properties: {
+          id:       { type: 'string', pattern: /^[a-z][a-z0-9_]*$/ },
+          type:     { type: 'string', enum: ['input', 'list', 'confirm'] },
+          message:  { type: 'string' },
+          choices:  { type: 'array', items: { type: 'string' } },
+          validate: { type: 'string', enum: ['port_number'] },
+        },
+        check: q =>
+          q.type === 'list' && !(q.choices?.length > 0)         ? '"list" question needs a non-empty "choices" array' :
+          q.type === 'confirm' && typeof q.default !== 'boolean' ? '"confirm" question needs a boolean "default"' :
+          null,
+      },
+      check: qs => {
+        const ids = qs.map(q => q?.id);
+        const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+        return dup ? `duplicate question id "${dup}"` : null;
+      },
+    },
+  },
+};
 
 // ── Base structure prompt ──────────────────────────────────────────────────────
 
@@ -106,7 +137,6 @@ Generate precise technical configuration questions for this ${projectType} proje
 Make sure questions reflect the specific tech in the analysis (e.g. if PostgreSQL detected, ask DB questions).
 For frontend_framework default, use: ${analysis.frontendFramework === 'nextjs' ? '"Next.js (SSR/SSG)"' : '"React (Vite SPA)"'}.`;
 
-  const text   = await sendMessage(MODELS.OPUS, systemPrompt, userMessage, 2048);
-  const parsed = extractJSON(text);
+  const parsed = await requestJSON(TASKS.QUESTIONS, systemPrompt, userMessage, 2048, QUESTIONS_SCHEMA);
   return parsed.questions;
 }
@@ -0,0 +1,112 @@
+import { requestJSON, TASKS } from './client.mjs';
+import { FILE_SCHEMA } from './schema.mjs';
+
+// Source sent along with the error output (characters, roughly 4 per token)
+const CONTEXT_BUDGET = 60000;
+
+export const REPAIR_SCHEMA = {
+  type:     'object',
+  required: ['diagnosis', 'files'],
+  properties: {
+    diagnosis: { type: 'string' },
+    files:     {
+      type:  'array',
+      items: {
+        ...FILE_SCHEMA,
+        check: f => (/^\/|(^|\/)\.\.(\/|$)/.test(f.path) ? `path must stay inside the project: ${f.path}` : null),
+      },
+    },
+  },
+};
+
+const SYSTEM_PROMPT = `You are VBS (Virtual Based Scenography) build repairer.
+A generated project failed to install, build or start. You receive the failing step,
+its error output (npm stderr or pm2 logs) and the relevant project files.
+Fix the root cause with the smallest possible change.
+
+Return ONLY valid JSON (no markdown):
+{
+  "diagnosis": "One or two sentences: root cause and what you changed",
+  "files": [
+    { "path": "relative/path/from/project/root", "content": "complete file content" }
+  ]
+}
+
+Rules:
+- Only return files that need to change — complete content, never diffs
+- Paths are relative to the project root, exactly as given in the file headers
+- Wrong or non-existent package versions → fix package.json
+- Missing module / import errors → add the dependency or fix the import path
+- Keep the port, routes and project structure unchanged
+- If nothing in the files can fix the error (e.g. network outage), return "files": []
+- All comments in Korean (한국어)`;
+
+/**
+ * Pick the generated files most likely related to an error, within a size budget:
+ * files named in the error output first, then package.json and the entry point.
+ *
+ * @param {Array<{ path, content }>} files - All generated files
+ * @param {string} errorOutput
+ * @param {string} [prefix]   - Only consider files under this directory ('backend', 'frontend', '')
+ * @param {string} [entry]    - Entry file of the failing process (e.g. src/index.js)
+ */
+export function pickRepairFiles(files, errorOutput, prefix = '', entry = '') {
+  const base       = prefix ? `${prefix}/` : '';
+  const candidates = files.filter(f => f.path.startsWith(base));
+
+  const score = f => {
+    const rel = f.path.slice(base.length);
+    if (errorOutput.includes(f.path) || errorOutput.includes(rel)) return 0;
+    if (rel === 'package.json')                                    return 1;
+    if (entry && rel === entry)                                    return 2;
+    const name = rel.split('/').pop();
+    if (name.length > 3 && errorOutput.includes(name))             return 3;
+    return null;
+  };
+
+  const picked = [];
+  let   size   = 0;
+  for (const f of candidates.filter(f => score(f) !== null).sort((a, b) => score(a) - score(b))) {
+    if (size + f.content.length > CONTEXT_BUDGET) continue;
+    picked.push(f);
+    size += f.content.length;
+  }
+  return picked;
+}
+
+/**
+ * Ask the AI to fix a failed install / build / launch step.
+ *
+ * @param {object} opts
+ * @param {string} opts.projectType  - 'api' | 'frontend' | 'fullstack'
+ * @param {string} opts.stage        - 'install' | 'build' | 'launch'
+ * @param {string} opts.command      - The command that failed (for context)
+ * @param {string} opts.errorOutput  - npm stderr or pm2 logs
+ * @param {Array}  opts.files        - Relevant files (see pickRepairFiles)
+ * @param {Array}  [opts.previous]   - Earlier attempts in this loop: [{ diagnosis, files }]
+ * @returns {Promise<object>}        - { diagnosis, files }
+ */
+export async function generateRepair({ projectType, stage, command, errorOutput, files, previous = [] }) {
+  const fileBlocks = files
+    .map(f => `=== ${f.path} ===\n${f.content}`)
+    .join('\n\n');
+
+  const history = previous.length > 0
+    ? `\nPREVIOUS REPAIR ATTEMPTS (did not fix the problem — try something different):\n${
+        previous.map((p, i) => `${i + 1}. ${p.diagnosis} (changed: ${p.files.join(', ') || 'nothing'})`).join('\n')
+      }\n`
+    : '';
+
+  const userMessage = `Project type: ${projectType}
+Failed step: ${stage} — \`${command}\`
+
+ERROR OUTPUT:
+${errorOutput.slice(-6000)}
+${history}
+PROJECT FILES:
+${fileBlocks || '(none matched the error)'}
+
+Return the fixed files.`;
+
+  return requestJSON(TASKS.REPAIR, SYSTEM_PROMPT, userMessage, 16384, REPAIR_SCHEMA);
+}
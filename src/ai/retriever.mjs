@@ -0,0 +1,153 @@
+import { promises as fs } from 'fs';
+import { join, relative, extname, basename } from 'path';
+
+// ─── Source retrieval for vbs modify ─────────────────────────────────────────
+// The project tree is read from disk and ranked against the modification
+// request with a keyword score (path and content matches, weighted by how rare
+// the term is in the project). Core files — package.json and entry points —
+// always come first. Everything runs locally; nothing is sent until selected.
+
+// Source sent with the request (characters, roughly 4 per token)
+const CONTEXT_BUDGET = 80000;
+
+// Files larger than this are listed but never sent
+const MAX_FILE_SIZE = 100 * 1024;
+
+const SKIP_DIRS = new Set(['node_modules', '.git', '.vbs', '.next', 'dist', 'build', 'out', 'coverage', 'logs']);
+
+const SKIP_FILES = new Set(['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'config.vbs', 'summary.txt']);
+
+const TEXT_EXTS = new Set([
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.json', '.vue', '.svelte',
+  '.css', '.scss', '.html', '.md', '.sql', '.prisma', '.yaml', '.yml', '.example',
+]);
+
+// Written by VBS itself (summary/openapi.mjs) — regenerated after every modify
+const GENERATED_RE = /(^|\/)docs\/(openapi\.json|index\.html)$/;
+
+// Entry points and manifests: where routes are mounted and dependencies declared
+const CORE_RE = /^(backend\/|frontend\/)?(package\.json|(src\/)?(index|server|app|main)\.(m?js|ts)|src\/(App|main)\.(jsx|tsx)|(src\/)?app\/(layout|page)\.(jsx|tsx))$/;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'add', 'for', 'with', 'new', 'from', 'into', 'that', 'this', 'should',
+  'make', 'use', 'also', 'all', 'each', 'when', 'can', 'get', 'set', 'are', 'not', 'but',
+  'please', 'change', 'update', 'support', 'feature', 'able', 'some', 'any', 'its', 'their',
+]);
+
+/**
+ * Search terms of a request: lower-cased words of 3+ characters, camelCase and
+ * kebab-case split, plural "s" dropped.
+ */
+export function queryTerms(text) {
+  const words = String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !STOP_WORDS.has(w))
+    .map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+  return [...new Set(words)];
+}
+
+function countOccurrences(haystack, term) {
+  let count = 0;
+  for (let i = haystack.indexOf(term); i !== -1 && count < 50; i = haystack.indexOf(term, i + term.length)) count++;
+  return count;
+}
+
+/**
+ * Files of a project, without dependencies, build output or VBS-generated
+ * files. Lock files, secrets (.env) and binaries are listed as withheld.
+ *
+ * @param {string} projectDir
+ * @returns {Promise<Array<{ path, size, content, withheld? }>>} content is null for withheld files and files over MAX_FILE_SIZE
+ */
+export async function readProjectFiles(projectDir) {
+  const files = [];
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) await walk(full);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      const path = relative(projectDir, full);
+      if (GENERATED_RE.test(path)) continue;
+
+      // Secrets, lock files and binaries are never read, but still listed so
+      // the model cannot "create" a file that exists with content it never saw
+      const { size } = await fs.stat(full);
+      const withheld = SKIP_FILES.has(entry.name) ||
+        (entry.name.startsWith('.env') && !entry.name.endsWith('.example')) ||
+        (!TEXT_EXTS.has(extname(entry.name)) && !['Dockerfile', '.gitignore'].includes(basename(path)));
+      if (withheld) {
+        files.push({ path, size, content: null, withheld: true });
+        continue;
+      }
+
+      const content = size <= MAX_FILE_SIZE ? await fs.readFile(full, 'utf8') : null;
+      files.push({ path, size, content });
+    }
+  }
+
+  await walk(projectDir);
+  return files;
+}
+
+/**
+ * Pick the files to show the model for a modification request, within a size budget.
+ *
+ * @param {Array}  files    - From readProjectFiles()
+ * @param {string} request  - The modification request
+ * @param {number} [budget] - Characters of file content
+ * @returns {{ shown: Array<{ path, content }>, omitted: Array<{ path, size, withheld? }> }}
+ */
+export function selectContextFiles(files, request, budget = CONTEXT_BUDGET) {
+  const terms    = queryTerms(request);
+  const readable = files.filter(f => f.content !== null);
+
+  // Rare terms matter more: "comment" in 2 of 40 files beats "post" in 30
+  const lower = new Map(readable.map(f => [f.path, f.content.toLowerCase()]));
+  const idf   = new Map(terms.map(t => {
+    const df = readable.filter(f => lower.get(f.path).includes(t) || f.path.toLowerCase().includes(t)).length;
+    return [t, Math.log(1 + readable.length / (1 + df))];
+  }));
+
+  const score = f => {
+    const path    = f.path.toLowerCase();
+    const content = lower.get(f.path);
+    let   s       = 0;
+    for (const t of terms) {
+      if (path.includes(t)) s += 4 * idf.get(t);
+      s += Math.log(1 + countOccurrences(content, t)) * idf.get(t);
+    }
+    return s;
+  };
+
+  const ranked = readable
+    .map(f => ({ f, core: CORE_RE.test(f.path), s: score(f) }))
+    .filter(r => r.core || r.s > 0)
+    .sort((a, b) => (b.core - a.core) || (b.s - a.s));
+
+  const shown = [];
+  let   size  = 0;
+  for (const { f } of ranked) {
+    if (size + f.content.length > budget) continue;
+    shown.push({ path: f.path, content: f.content });
+    size += f.content.length;
+  }
+
+  const picked  = new Set(shown.map(f => f.path));
+  const omitted = files
+    .filter(f => !picked.has(f.path))
+    .map(f => ({ path: f.path, size: f.size, ...(f.withheld ? { withheld: true } : {}) }));
+  return { shown, omitted };
+}
@@ -0,0 +1,148 @@
+// ─── Minimal JSON schema validation for AI outputs ────────────────────────────
+// Supported keywords (a small JSON Schema subset):
+//   type      'object' | 'array' | 'string' | 'number' | 'boolean'  (omit = any)
+//   nullable  true → null is accepted
+//   required  string[]  (objects)
+//   properties { key: schema }  (objects)
+//   items     schema    (arrays)
+//   minItems  number    (arrays)
+//   enum      any[]
+//   pattern   RegExp    (strings)
+//   check     (value) => string | null — extra rule, returns an error message
+
+function typeOf(value) {
+  if (value === null)        return 'null';
+  if (Array.isArray(value))  return 'array';
+  return typeof value;
+}
+
+function describe(value) {
+  const s = JSON.stringify(value);
+  if (s === undefined) return 'undefined';
+  return s.length > 40 ? s.slice(0, 37) + '…' : s;
+}
+
+function walk(value, schema, path, errors) {
+  if (value === undefined) {
+    errors.push(`${path}: missing`);
+    return;
+  }
+  if (value === null && (schema.nullable || schema.enum?.includes(null))) return;
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    errors.push(`${path}: expected ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(' | ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path}: ${describe(value)} does not match ${schema.pattern}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) walk(value[key], sub, `${path}.${key}`, errors);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => walk(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (schema.check) {
+    const msg = schema.check(value);
+    if (msg) errors.push(`${path}: ${msg}`);
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {string[]} validation errors — empty when valid
+ */
+export function validate(value, schema) {
+  const errors = [];
+  walk(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Repair a truncated JSON document: cut back to the last complete
+ * value/pair and close every open bracket. Returns the full document
+ * unchanged (minus trailing text) if it was already complete.
+ *
+ * @param {string} text - JSON text starting at the first { or [
+ * @returns {string|null} repaired JSON text, or null if nothing is salvageable
+ */
+export function repairJSON(text) {
+  const stack   = [];
+  let inString  = false;
+  let escaped   = false;
+  let safeEnd   = -1;
+  let safeStack = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped)          escaped  = false;
+      else if (ch === '\\') escaped  = true;
+      else if (ch === '"')  inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack.length === 0) return text.slice(0, i + 1);
+      safeEnd   = i + 1;
+      safeStack = [...stack];
+    } else if (ch === ',') {
+      safeEnd   = i;
+      safeStack = [...stack];
+    }
+  }
+
+  if (safeEnd < 0) return null;
+  return text.slice(0, safeEnd).replace(/[\s,]+$/, '') + safeStack.reverse().join('');
+}
+
+// ─── Shared schemas ───────────────────────────────────────────────────────────
+
+export const FILE_SCHEMA = {
+  type:     'object',
+  required: ['path', 'content'],
+  properties: {
+    path:    { type: 'string', check: v => (v.trim() ? null : 'empty path') },
+    content: { type: 'string' },
+  },
+};
+
+export const ENDPOINT_SCHEMA = {
+  type:     'object',
+  required: ['method', 'path'],
+  properties: {
+    method:       { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+    path:         { type: 'string', pattern: /^\// },
+    description:  { type: 'string' },
+    requiresAuth: { type: 'boolean' },
+    exampleBody:  { nullable: true },
+    // Response contract — see system/tester.mjs
+    expectedStatus: { type: 'number', check: v => (v >= 100 && v <= 599 ? null : `invalid status ${v}`) },
+    responseShape:  { nullable: true },
+  },
+};
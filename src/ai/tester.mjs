@@ -1,4 +1,4 @@
-import { sendMessage, MODELS } from './client.mjs';
+import { sendMessage, TASKS } from './client.mjs';
 
 /**
  * Ask the AI to analyze HTTP test results and provide feedback.
@@ -17,12 +17,12 @@ Mention: overall status, any failing endpoints, security observations, and quick
 ${serverIp ? `Base URL for links: ${baseUrl}` : ''}`;
 
   const summary = testResults
-    .map(r => `${r.method} ${r.path}: HTTP ${r.status || 'ERR'} (${r.time}ms) — ${r.passed ? 'PASS' : 'FAIL'} [${r.note}]`)
+    .map(r => `${r.method} ${r.path}${r.auth ? (r.auth === 'token' ? ' (with token)' : ' (no token)') : ''}: HTTP ${r.status || 'ERR'} (${r.time}ms) — ${r.passed ? 'PASS' : 'FAIL'} [${r.note}]${r.diff ? ` ${r.diff.map(d => `${d.path}: expected ${d.expected}, got ${d.actual}`).join('; ')}` : ''}`)
     .join('\n');
 
   const userMessage = `API "${projectName}" endpoint test results:\n\nBase URL: ${baseUrl}\n\n${summary}`;
 
-  return sendMessage(MODELS.HAIKU, systemPrompt, userMessage, 512);
+  return sendMessage(TASKS.TESTS, systemPrompt, userMessage, 512);
 }
 
 /**
@@ -39,5 +39,5 @@ Be concise (under 150 words). State:
 
   const userMessage = `pm2/node startup logs for "${projectName}":\n\n${logs.slice(0, 3000)}`;
 
-  return sendMessage(MODELS.HAIKU, systemPrompt, userMessage, 512);
+  return sendMessage(TASKS.DIAGNOSIS, systemPrompt, userMessage, 512);
 }
@@ -0,0 +1,220 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import Table   from 'cli-table3';
+import figures from 'figures';
+
+import { resolveProject }  from '../projects/resolve.mjs';
+import { loadBenchHistory, saveBenchRun, compareBenchRuns } from '../projects/bench-history.mjs';
+import { parseMix, runBenchmark, deleteCreated } from '../system/bench.mjs';
+import { authenticate, createRecords, deleteRecords, resolvePath } from '../system/tester.mjs';
+import { showTitleScreen, log } from '../ui/display.mjs';
+import { createSpinner, spinnerSuccess } from '../ui/spinner.mjs';
+import { fileURLToPath }   from 'url';
+import { dirname, join }   from 'path';
+import { readFileSync }    from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_DURATION    = 10;   // seconds
+
+function fail(message) {
+  console.error(boxen(chalk.red(message), { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }));
+  process.exit(1);
+}
+
+/**
+ * "+12.5%" — green when the change is an improvement.
+ * @param {number|null} value
+ * @param {boolean} higherIsBetter
+ */
+function formatChange(value, higherIsBetter, unit = '%') {
+  if (value === null || value === undefined) return chalk.gray('—');
+  if (value === 0) return chalk.gray(`±0${unit}`);
+  const better = higherIsBetter ? value > 0 : value < 0;
+  return (better ? chalk.green : chalk.red)(`${value > 0 ? '+' : ''}${value}${unit}`);
+}
+
+function renderTable(run, changes) {
+  const compare = changes.size > 0;
+  const table = new Table({
+    head: [
+      chalk.bold.cyan('Endpoint'),
+      chalk.bold.cyan('Req'),
+      chalk.bold.cyan('RPS'),
+      chalk.bold.cyan('p50'),
+      chalk.bold.cyan('p95'),
+      chalk.bold.cyan('p99'),
+      chalk.bold.cyan('Errors'),
+      ...(compare ? [chalk.bold.cyan('Δ RPS'), chalk.bold.cyan('Δ p95'), chalk.bold.cyan('Δ Err')] : []),
+    ],
+    style: { head: [], border: ['gray'] },
+    colAligns: ['left', 'right', 'right', 'right', 'right', 'right', 'right', 'right', 'right', 'right'],
+  });
+
+  const row = (label, s, change) => [
+    label,
+    chalk.white(String(s.requests)),
+    chalk.white(String(s.rps)),
+    chalk.gray(`${s.p50}ms`),
+    chalk.white(`${s.p95}ms`),
+    chalk.gray(`${s.p99}ms`),
+    (s.errors > 0 ? chalk.red : chalk.green)(`${s.errors} (${s.errorRate}%)`),
+    ...(compare
+      ? [formatChange(change?.rps, true), formatChange(change?.p95, false), formatChange(change?.errorRate, false, 'pp')]
+      : []),
+  ];
+
+  for (const e of run.endpoints) {
+    const [method, ...path] = e.key.split(' ');
+    table.push(row(chalk.cyan(method) + ' ' + chalk.white(path.join(' ')), e, changes.get(e.key)));
+  }
+  table.push(row(chalk.bold.white('Total'), run.total, changes.get('total')));
+
+  return table.toString();
+}
+
+/**
+ * vbs bench <name> — load test the live API with the endpoints in config.vbs:
+ * throughput, p50/p95/p99 latency and error rate per endpoint. Runs are saved
+ * in <project>/.vbs/bench-history.json and compared with the previous one.
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.concurrency] - Parallel connections (default 10)
+ * @param {string} [opts.duration]    - Seconds (default 10)
+ * @param {string} [opts.mix]         - "GET /api/posts=3, POST /api/posts=1"
+ * @param {string} [opts.baseUrl]     - Override http://localhost:<backend port>
+ * @param {boolean} [opts.json]       - Print the run as JSON
+ */
+export async function runBench(name, opts = {}) {
+  if (!opts.json) showTitleScreen(pkg.version);
+
+  const project = await resolveProject(name);
+  if (!project?.config) {
+    fail(project ? `config.vbs not found in ${project.entry.dir}` : `Project "${name}" not found.`);
+  }
+
+  const { entry, config: cfg } = project;
+  const endpoints = cfg.endpoints || [];
+  if (endpoints.length === 0) fail(`${entry.name} has no endpoints in config.vbs — nothing to benchmark`);
+
+  const concurrency = parseInt(opts.concurrency ?? DEFAULT_CONCURRENCY);
+  const duration    = parseFloat(opts.duration ?? DEFAULT_DURATION);
+  if (!(concurrency >= 1 && concurrency <= 1000)) fail('--concurrency must be between 1 and 1000');
+  if (!(duration >= 1 && duration <= 3600))       fail('--duration must be between 1 and 3600 seconds');
+
+  let mix;
+  try {
+    mix = parseMix(opts.mix, endpoints);
+  } catch (err) {
+    fail(err.message);
+  }
+  if (mix.length === 0) fail('No GET endpoints to benchmark — pass a request mix with --mix');
+
+  const port    = cfg.backend?.port || cfg.frontend?.port || 3000;
+  const baseUrl = (opts.baseUrl || `http://localhost:${port}`).replace(/\/$/, '');
+  const say     = (level, message) => { if (!opts.json) log(level, message); };
+
+  // ── Prepare: token + one record per collection for :id paths ─────────────
+  const needsToken = mix.some(m => m.endpoint.requiresAuth);
+  const needsIds   = mix.some(m => /[:{]/.test(m.endpoint.path));
+
+  const { token } = needsToken ? await authenticate(baseUrl, endpoints) : { token: null };
+  if (needsToken && !token) say('warning', 'Could not obtain a token — protected endpoints will answer 401');
+
+  const ids = needsIds ? await createRecords(baseUrl, endpoints, token) : new Map();
+  for (const { endpoint } of mix) {
+    if (/[:{]/.test(endpoint.path) && !resolvePath(endpoint.path, ids).created) {
+      say('warning', `${endpoint.method} ${endpoint.path}: no record could be created — using a placeholder id`);
+    }
+  }
+
+  if (!opts.json) {
+    const totalWeight = mix.reduce((s, m) => s + m.weight, 0);
+    console.log(
+      boxen(
+        chalk.bold.white(`Benchmark ${entry.name}\n\n`) +
+        chalk.gray('Target:       ') + chalk.cyan(baseUrl) + '\n' +
+        chalk.gray('Concurrency:  ') + chalk.white(concurrency) + '\n' +
+        chalk.gray('Duration:     ') + chalk.white(`${duration}s`) + '\n\n' +
+        mix.map(m =>
+          chalk.white(`${figures.bullet} ${m.endpoint.method} ${m.endpoint.path}`) +
+          chalk.gray(`  ${Math.round((m.weight / totalWeight) * 100)}%`)
+        ).join('\n'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
+      )
+    );
+  }
+
+  // ── Run ───────────────────────────────────────────────────────────────────
+  const spinner = opts.json ? null : createSpinner(`Running for ${duration}s...`);
+  spinner?.start();
+
+  const created = new Map();
+  let result, cleanup;
+  try {
+    result = await runBenchmark(baseUrl, mix, {
+      concurrency,
+      durationMs: duration * 1000,
+      token,
+      ids,
+      created,
+      onTick: ({ elapsedMs, requests }) => {
+        if (spinner) spinner.text = chalk.white(`Running... ${(elapsedMs / 1000).toFixed(0)}/${duration}s`) + chalk.gray(`  [${requests} requests]`);
+      },
+    });
+  } finally {
+    // Records from POSTs in the mix first — they may belong to the setup records
+    if (spinner && created.size > 0) spinner.text = chalk.white('Deleting the records created during the run...');
+    cleanup = await deleteCreated(baseUrl, endpoints, created, ids, token);
+    await deleteRecords(baseUrl, endpoints, ids, token);
+  }
+
+  if (spinner) spinnerSuccess(spinner, `${result.total.requests} requests in ${(result.elapsedMs / 1000).toFixed(1)}s`);
+  if (cleanup.remaining > 0) {
+    say('warning', `${cleanup.remaining} record(s) created by POSTs in the mix could not be deleted — no DELETE endpoint for them, or it failed`);
+  }
+
+  // ── Save + compare ────────────────────────────────────────────────────────
+  const history  = await loadBenchHistory(entry.dir);
+  const previous = history[history.length - 1] || null;
+
+  const run = {
+    at: new Date().toISOString(),
+    baseUrl,
+    concurrency,
+    durationMs: duration * 1000,
+    ...result,
+  };
+  const changes = compareBenchRuns(previous, run);
+
+  try {
+    await saveBenchRun(entry.dir, run);
+  } catch (err) {
+    say('warning', `Could not save benchmark history: ${err.message}`);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({
+      project:  entry.name,
+      ...run,
+      previous: previous ? { at: previous.at, concurrency: previous.concurrency, total: previous.total } : null,
+    }, null, 2));
+    return;
+  }
+
+  console.log('\n' + renderTable(run, changes) + '\n');
+
+  if (previous) {
+    const note = previous.concurrency !== concurrency
+      ? chalk.yellow(` (concurrency ${previous.concurrency} → ${concurrency} — not directly comparable)`)
+      : '';
+    log('info', `Δ columns compare with the run of ${chalk.gray(new Date(previous.at).toLocaleString())}${note}`);
+  } else {
+    log('info', 'First recorded run — the next one will be compared against it');
+  }
+  log('info', `Saved to ${chalk.cyan(join(entry.dir, '.vbs', 'bench-history.json'))}`);
+}
@@ -0,0 +1,227 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+import { existsSync }     from 'fs';
+import { promises as fs } from 'fs';
+
+import { removeProject, listProjects, VBS_DIR } from '../projects/registry.mjs';
+import { resolveProject }           from '../projects/resolve.mjs';
+import { undoChange, describeUndo } from '../system/rollback.mjs';
+import { exec }                     from '../system/executor.mjs';
+import { showTitleScreen, showPhaseHeader, log } from '../ui/display.mjs';
+import { confirm }                  from '../ui/prompt-ui.mjs';
+import { createSpinner, spinnerSuccess, spinnerFail } from '../ui/spinner.mjs';
+import { fileURLToPath }            from 'url';
+import { dirname, join, basename }  from 'path';
+import { readFileSync }             from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const ARCHIVE_DIR = join(VBS_DIR, 'archive');
+
+/**
+ * Ports the build recorded as opened. Older config.vbs files don't record
+ * them — nothing is closed then, since the port may have been open before.
+ */
+function projectPorts(cfg) {
+  return Array.isArray(cfg.server?.ports) ? cfg.server.ports.map(String) : [];
+}
+
+/**
+ * Ports another registered project may use: recorded ones, or for older
+ * config.vbs files the ports derived from the type.
+ */
+async function portsInUseElsewhere(name) {
+  const ports = new Set();
+  for (const entry of await listProjects()) {
+    if (entry.name === name) continue;
+    const cfg = (await resolveProject(entry.name))?.config;
+    if (!cfg) continue;
+
+    if (Array.isArray(cfg.server?.ports)) cfg.server.ports.forEach(p => ports.add(String(p)));
+    else if (cfg.type === 'api')          ports.add(String(cfg.backend?.port || 3000));
+    else if (cfg.type === 'fullstack')    ports.add(String(cfg.backend?.port || 3001));
+  }
+  return ports;
+}
+
+/**
+ * Port 80 is shared by every nginx site — keep it open while other sites are enabled.
+ */
+async function otherSitesEnabled(siteName) {
+  try {
+    return (await fs.readdir('/etc/nginx/sites-enabled')).some(n => n !== siteName);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PostgreSQL database / user of a project, or null when it does not use
+ * PostgreSQL (the build only creates them for a postgres stack).
+ * @returns {{ name?: string, user?: string }|null}
+ */
+function postgresOf(cfg) {
+  if (!cfg.stack?.some(s => /postgres/i.test(s))) return null;
+  const { database_name: name, database_user: user } = cfg.answers || {};
+  if (!name && !user) return null;
+  return { ...(name ? { name } : {}), ...(user ? { user } : {}) };
+}
+
+/** 'database "x" and user "y"' from the fields that are present. */
+function describePostgres(db) {
+  return [db.name && `database "${db.name}"`, db.user && `user "${db.user}"`].filter(Boolean).join(' and ');
+}
+
+/**
+ * Teardown steps for a project, in execution order — the same change records
+ * the rollback journal uses, so rollback.mjs performs them.
+ */
+async function planTeardown(name, cfg, { dropDb }) {
+  const changes = [];
+
+  for (const pm2Name of [cfg.backend?.pm2Name, cfg.frontend?.pm2Name]) {
+    if (pm2Name) changes.push({ type: 'pm2', name: pm2Name });
+  }
+
+  const siteName = cfg.server?.nginxConfig ? basename(cfg.server.nginxConfig) : null;
+  if (siteName) changes.push({ type: 'nginx-site', name: siteName, previous: null, wasEnabled: false });
+
+  const keep80 = await otherSitesEnabled(siteName);
+  const shared = await portsInUseElsewhere(name);
+  for (const port of projectPorts(cfg)) {
+    if ((port === '80' && keep80) || shared.has(port)) continue;
+    changes.push({ type: 'ufw-port', port });
+  }
+
+  const db = postgresOf(cfg);
+  if (dropDb && db?.name) changes.push({ type: 'pg-database', name: db.name });
+  if (dropDb && db?.user) changes.push({ type: 'pg-user', user: db.user });
+
+  return changes;
+}
+
+/**
+ * vbs destroy <name> — tear down everything a build created: pm2 processes,
+ * nginx site, ufw ports, optionally the PostgreSQL database/user, the project
+ * directory (archived unless --delete-files) and the registry entry.
+ *
+ * @param {string} name
+ * @param {object} [opts]        - Subcommand options: dropDb, deleteFiles
+ * @param {object} [rootOptions] - Root CLI options (--yes skips the confirmation)
+ */
+export async function runDestroy(name, opts = {}, rootOptions = {}) {
+  showTitleScreen(pkg.version);
+
+  const project = await resolveProject(name);
+  if (!project) {
+    console.log(
+      boxen(
+        chalk.red(`Project "${name}" not found.\n\n`) +
+        chalk.gray('Run ') + chalk.cyan('vbs list') + chalk.gray(' to see saved projects.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  const { entry } = project;
+  const cfg       = project.config || { name: entry.name, type: entry.type };
+  const dirExists = existsSync(entry.dir);
+
+  if (!project.config) {
+    log('warning', `config.vbs not found in ${entry.dir} — only the registry entry${dirExists ? ' and directory' : ''} can be removed`);
+  }
+
+  // Database: --drop-db, or ask (interactive only)
+  const db     = project.config ? postgresOf(cfg) : null;
+  let   dropDb = Boolean(opts.dropDb);
+  if (db && !dropDb && !rootOptions.yes && process.stdin.isTTY) {
+    dropDb = await confirm(`Also drop PostgreSQL ${describePostgres(db)}?`, false);
+  }
+
+  const changes = project.config ? await planTeardown(entry.name, cfg, { dropDb }) : [];
+  const stamp   = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const archive = join(ARCHIVE_DIR, `${entry.name}-${stamp}.tar.gz`);
+
+  const actions = [
+    ...changes.map(describeUndo),
+    ...(dirExists
+      ? [opts.deleteFiles ? `Delete project directory ${entry.dir}` : `Archive ${entry.dir} → ${archive}, then delete it`]
+      : []),
+    'Remove from ~/.vbs/projects.json',
+  ];
+  if (db && !dropDb) actions.push(chalk.gray(`Keep PostgreSQL ${describePostgres(db)} (use --drop-db to remove)`));
+
+  console.log(
+    boxen(
+      chalk.bold.red(`Destroy project "${entry.name}"\n\n`) +
+      actions.map(a => chalk.white(`${figures.bullet} ${a}`)).join('\n'),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+    )
+  );
+
+  if (!rootOptions.yes) {
+    const proceed = await confirm(`Destroy "${entry.name}"? This cannot be undone.`, false);
+    if (!proceed) {
+      log('warning', 'Destroy cancelled.');
+      return;
+    }
+  }
+
+  showPhaseHeader('D', 'DESTROYING PROJECT');
+
+  const failed = [];
+  for (const change of changes) {
+    if (!await undoChange(change)) failed.push(describeUndo(change));
+  }
+
+  if (dirExists) {
+    const dirSpinner = createSpinner(opts.deleteFiles ? 'Deleting project directory...' : 'Archiving project directory...');
+    dirSpinner.start();
+
+    let archived = true;
+    if (!opts.deleteFiles) {
+      await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+      const tar = await exec('tar', [
+        '-czf', archive,
+        '--exclude=node_modules',
+        '-C', dirname(entry.dir), basename(entry.dir),
+      ]);
+      archived = tar.success;
+    }
+
+    if (archived) {
+      await fs.rm(entry.dir, { recursive: true, force: true });
+      spinnerSuccess(dirSpinner, opts.deleteFiles ? `Deleted ${entry.dir}` : `Archived → ${chalk.cyan(archive)}`);
+    } else {
+      spinnerFail(dirSpinner, `Archive failed — ${entry.dir} was kept`);
+      failed.push(`Archive ${entry.dir}`);
+    }
+  }
+
+  await removeProject(entry.name);
+  log('success', 'Removed from ~/.vbs/projects.json ✓');
+
+  console.log('');
+  if (failed.length > 0) {
+    console.log(
+      boxen(
+        chalk.yellow(`"${entry.name}" removed, but ${failed.length} step(s) failed:\n\n`) +
+        failed.map(f => chalk.white(`${figures.cross} ${f}`)).join('\n') +
+        chalk.gray('\n\nClean these up manually.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+      )
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    boxen(
+      chalk.green(`${figures.tick} Project "${entry.name}" destroyed`),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+    )
+  );
+}
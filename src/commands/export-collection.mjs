@@ -0,0 +1,72 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+import { promises as fs } from 'fs';
+
+import { resolveProject } from '../projects/resolve.mjs';
+import { defaultBaseUrl, toPostman, toInsomnia, toHttpFile } from '../summary/collections.mjs';
+import { showTitleScreen, log } from '../ui/display.mjs';
+import { fileURLToPath }  from 'url';
+import { dirname, join }  from 'path';
+import { readFileSync }   from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const FORMATS = {
+  postman:  (cfg, baseUrl) => JSON.stringify(toPostman(cfg, baseUrl), null, 2) + '\n',
+  insomnia: (cfg, baseUrl) => JSON.stringify(toInsomnia(cfg, baseUrl), null, 2) + '\n',
+  http:     toHttpFile,
+};
+
+/**
+ * vbs export-collection <name> — Postman / Insomnia collection or .http file
+ * of the project's endpoints (config.vbs).
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.format='postman'] - 'postman' | 'insomnia' | 'http'
+ * @param {string} [opts.out]              - Write to a file (default: stdout)
+ * @param {string} [opts.baseUrl]          - Override the server IP URL (e.g. a domain)
+ */
+export async function runExportCollection(name, opts = {}) {
+  const format = opts.format || 'postman';
+  const build  = FORMATS[format];
+  if (!build) {
+    console.error(chalk.red(`\n  ${figures.cross} Unknown format "${format}". Use: postman | insomnia | http\n`));
+    process.exit(1);
+  }
+
+  // The collection on stdout must stay importable — no banner
+  if (opts.out) showTitleScreen(pkg.version);
+
+  const project = await resolveProject(name);
+  if (!project?.config) {
+    console.error(
+      boxen(
+        chalk.red(project ? `config.vbs not found in ${project.entry.dir}` : `Project "${name}" not found.`),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  const { entry, config: cfg } = project;
+  const endpoints = cfg.endpoints || [];
+  if (endpoints.length === 0) {
+    console.error(chalk.yellow(`\n  ${figures.warning} ${entry.name} has no endpoints in config.vbs — nothing to export\n`));
+    process.exit(1);
+  }
+
+  const baseUrl = (opts.baseUrl || defaultBaseUrl(cfg)).replace(/\/$/, '');
+  const output  = build(cfg, baseUrl);
+
+  if (!opts.out) {
+    process.stdout.write(output);
+    return;
+  }
+
+  await fs.writeFile(opts.out, output, 'utf8');
+  log('success', `${format} collection (${endpoints.length} endpoint(s), base URL ${chalk.cyan(baseUrl)}) → ${chalk.cyan(opts.out)}`);
+}
@@ -0,0 +1,105 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import Table   from 'cli-table3';
+import figures from 'figures';
+
+import { resolveProject } from '../projects/resolve.mjs';
+import { listSnapshots, latestUndoable } from '../projects/snapshots.mjs';
+import { showTitleScreen } from '../ui/display.mjs';
+import { fileURLToPath }  from 'url';
+import { dirname, join }  from 'path';
+import { readFileSync }   from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const ACTION_MARKS = {
+  created:  chalk.green('+'),
+  modified: chalk.yellow('~'),
+  deleted:  chalk.red('-'),
+};
+
+/** Local "YYYY-MM-DD HH:MM" */
+function formatDate(iso) {
+  const d   = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+/**
+ * vbs history <name> — modification snapshots of a project (<project>/.vbs/history).
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {boolean} [opts.json] - Print the snapshots (without file contents) as JSON
+ */
+export async function runHistory(name, opts = {}) {
+  const project = await resolveProject(name);
+  if (!project) {
+    console.error(
+      boxen(
+        chalk.red(`Project "${name}" not found.\n\n`) +
+        chalk.gray('Run ') + chalk.cyan('vbs list') + chalk.gray(' to see saved projects.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  const { entry } = project;
+  const snapshots = await listSnapshots(entry.dir);
+
+  if (opts.json) {
+    const list = snapshots.map(({ files, ...s }) => ({ ...s, files: files.map(({ before, ...f }) => f) }));
+    console.log(JSON.stringify({ project: entry.name, snapshots: list }, null, 2));
+    return;
+  }
+
+  showTitleScreen(pkg.version);
+
+  if (snapshots.length === 0) {
+    console.log(
+      boxen(
+        chalk.gray(`No snapshots for "${entry.name}" yet.\n\n`) +
+        chalk.gray('Every ') + chalk.cyan('vbs modify') + chalk.gray(' saves one before it writes files.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'gray' }
+      )
+    );
+    return;
+  }
+
+  const next  = latestUndoable(snapshots);
+  const table = new Table({
+    head: [
+      chalk.bold.cyan('Snapshot'),
+      chalk.bold.cyan('Date'),
+      chalk.bold.cyan('Request'),
+      chalk.bold.cyan('Files'),
+    ],
+    style: { head: [], border: ['gray'] },
+    colWidths: [32, 18, 30, 32],
+    wordWrap: true,
+  });
+
+  for (const s of snapshots) {
+    const state = [];
+    if (s.kind === 'undo') state.push(chalk.magenta(`undo of ${s.undoOf}`));
+    if (s.undoneBy)        state.push(chalk.gray(`undone by ${s.undoneBy}`));
+    else if (s === next)   state.push(chalk.green(`${figures.arrowLeft} next vbs undo`));
+
+    table.push([
+      [chalk.white(s.id), ...state].join('\n'),
+      chalk.gray(formatDate(s.at)),
+      chalk.white(truncate(s.request || '', 90)),
+      s.files.map(f => `${ACTION_MARKS[f.action] || ' '} ${f.path}`).join('\n'),
+    ]);
+  }
+
+  console.log(table.toString());
+  console.log(chalk.gray(`\n  ${chalk.green('+')} created  ${chalk.yellow('~')} modified  ${chalk.red('-')} deleted   ·   vbs undo ${entry.name} [snapshot]\n`));
+}
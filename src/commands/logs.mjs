@@ -0,0 +1,105 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+
+import { resolveProject }  from '../projects/resolve.mjs';
+import { readPm2List }     from '../system/health.mjs';
+import { projectLogSources, parseSince, readLogs, followLogs } from '../system/logs.mjs';
+import { diagnoseFailure } from '../ai/tester.mjs';
+import { useCassetteFromOptions } from '../ai/cassette.mjs';
+import { log }             from '../ui/display.mjs';
+import { createSpinner, spinnerSuccess, spinnerFail } from '../ui/spinner.mjs';
+
+const SOURCE_COLORS = {
+  api:   chalk.cyan,
+  front: chalk.magenta,
+  nginx: chalk.green,
+};
+
+// Lines worth sending to --explain
+const ERROR_PATTERN = /error|exception|fail|fatal|unhandled|refused|cannot|\b5\d\d\b/i;
+
+function formatEntry(e) {
+  const time  = e.time.toLocaleString('sv-SE');   // local "YYYY-MM-DD HH:MM:SS"
+  const tag   = `${e.source}:${e.stream}`.padEnd(12);
+  const color = SOURCE_COLORS[e.source] || chalk.white;
+  const isErr = e.stream === 'err' || e.stream === 'error';
+  return `${chalk.gray(time)} ${color(tag)} ${isErr ? chalk.red(e.text) : e.text}`;
+}
+
+/**
+ * vbs logs <name> — merged pm2 (backend/frontend) and nginx logs of a project.
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {boolean} [opts.follow]  - Keep streaming new lines
+ * @param {string}  [opts.since]   - "15m", "2h", "1d" or a date
+ * @param {string}  [opts.grep]    - Case-insensitive regular expression
+ * @param {string}  [opts.lines]   - Number of entries to show (default 100)
+ * @param {boolean} [opts.explain] - AI summary of the recent errors
+ * @param {object} [rootOptions]     - Root CLI options (--record / --replay for --explain)
+ */
+export async function runLogs(name, opts = {}, rootOptions = {}) {
+  const project = await resolveProject(name);
+  if (!project?.config) {
+    console.log(
+      boxen(
+        chalk.red(project ? `config.vbs not found in ${project.entry.dir}` : `Project "${name}" not found.\n\n`) +
+        (project ? '' : chalk.gray('Run ') + chalk.cyan('vbs list') + chalk.gray(' to see saved projects.')),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  let filter;
+  try {
+    filter = {
+      since: opts.since ? parseSince(opts.since) : null,
+      grep:  opts.grep  ? new RegExp(opts.grep, 'i') : null,
+      lines: Math.max(1, parseInt(opts.lines) || 100),
+    };
+  } catch (err) {
+    console.log(chalk.red(`\n  ${figures.cross} ${err.message}\n`));
+    process.exit(1);
+  }
+
+  const sources = projectLogSources(project.config, await readPm2List());
+  if (sources.length === 0) {
+    log('warning', `No log files found for ${chalk.cyan(project.entry.name)} (pm2 or nginx never ran?)`);
+    return;
+  }
+
+  console.log(chalk.gray(`\n  ${sources.map(s => `${s.source}:${s.stream} → ${s.path}`).join('\n  ')}\n`));
+
+  const entries = await readLogs(sources, filter);
+  for (const e of entries) console.log(formatEntry(e));
+  if (entries.length === 0) log('info', 'No matching log lines');
+
+  if (opts.explain) {
+    const errors = entries.filter(e => e.stream === 'err' || e.stream === 'error' || ERROR_PATTERN.test(e.text));
+    if (errors.length === 0) {
+      log('success', 'No errors in the selected lines — nothing to explain');
+    } else {
+      const text = errors.map(e => `${e.time.toISOString()} [${e.source}:${e.stream}] ${e.text}`).join('\n');
+
+      const diagSpinner = createSpinner('AI diagnosing recent errors...', 'AI thinking');
+      diagSpinner.start();
+      try {
+        await useCassetteFromOptions(rootOptions);
+        // diagnoseFailure keeps the first 3000 chars — send the most recent ones
+        const diagnosis = await diagnoseFailure(text.slice(-3000), project.entry.name);
+        spinnerSuccess(diagSpinner, 'Diagnosis ready');
+        console.log('\n' + chalk.bold.yellow('  AI Diagnosis:'));
+        console.log(chalk.gray('  ' + diagnosis.split('\n').join('\n  ')) + '\n');
+      } catch (err) {
+        spinnerFail(diagSpinner, `Diagnosis failed: ${err.message}`);
+      }
+    }
+  }
+
+  if (opts.follow) {
+    console.log(chalk.gray('\n  Following — Ctrl+C to exit\n'));
+    await followLogs(sources, filter, e => console.log(formatEntry(e)));
+  }
+}
@@ -2,16 +2,25 @@ import chalk   from 'chalk';
 import boxen   from 'boxen';
 import figures from 'figures';
 import inquirer from 'inquirer';
+import os       from 'os';
 import { existsSync } from 'fs';
 import { promises as fs } from 'fs';
-import { join } from 'path';
+import { join, basename } from 'path';
 
 import { findProject }            from '../projects/registry.mjs';
-import { readConfigVbs, updateConfigVbs, hasConfigVbs } from '../projects/config.mjs';
+import { readConfigVbs, updateConfigVbs, hasConfigVbs, syncFileList } from '../projects/config.mjs';
 import { generateModification }   from '../ai/modifier.mjs';
+import { readProjectFiles, selectContextFiles } from '../ai/retriever.mjs';
+import { writeApiDocs }           from '../summary/openapi.mjs';
+import { regenerateSummary }      from '../summary/generator.mjs';
+import { useCassetteFromOptions } from '../ai/cassette.mjs';
 import { showTitleScreen, showPhaseHeader, log } from '../ui/display.mjs';
+import { confirm }                from '../ui/prompt-ui.mjs';
+import { diffLines, diffStats, formatUnifiedDiff } from '../ui/diff.mjs';
 import { createSpinner, spinnerSuccess, spinnerFail } from '../ui/spinner.mjs';
 import { exec } from '../system/executor.mjs';
+import { writeChanges, redeployChanges, resolveProjectPath } from '../system/redeploy.mjs';
+import { saveSnapshot }   from '../projects/snapshots.mjs';
 import { fileURLToPath }   from 'url';
 import { dirname }         from 'path';
 import { readFileSync }    from 'fs';
@@ -20,9 +29,232 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname  = dirname(__filename);
 const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
 
+// git add -p style answers for the per-file review
+const REVIEW_CHOICES = [
+  { key: 'y', name: 'Apply this file',                      value: 'apply' },
+  { key: 'n', name: 'Skip this file',                       value: 'skip' },
+  { key: 'e', name: 'Edit in $EDITOR, then review again',   value: 'edit' },
+  { key: 'a', name: 'Apply this and all remaining files',   value: 'all' },
+  { key: 'd', name: 'Skip this and all remaining files',    value: 'none' },
+];
+
+function changeStats(change) {
+  const { added, removed } = diffStats(diffLines(change.oldText ?? '', change.content ?? ''));
+  if (change.content === null) return chalk.red(`deleted, ${removed} lines`);
+  if (change.oldText === null) return chalk.green(`new file, ${added} lines`);
+  const renamed = change.from ? chalk.magenta(`renamed from ${change.from}`) + ' ' : '';
+  return renamed + (added + removed === 0 ? chalk.gray('unchanged') : `${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`);
+}
+
+function changeVerb(change) {
+  if (change.content === null) return `Delete ${change.path}`;
+  if (change.from)             return `Rename ${change.from} → ${change.path}`;
+  return `Apply ${change.path}`;
+}
+
+function changeCounts(changes) {
+  const deleted = changes.filter(c => c.content === null).length;
+  const renamed = changes.filter(c => c.from).length;
+  const written = changes.length - deleted - renamed;
+  return [
+    written ? `${written} file(s)` : '',
+    deleted ? `${deleted} deleted` : '',
+    renamed ? `${renamed} renamed` : '',
+  ].filter(Boolean).join(', ');
+}
+
+const endpointKey = e => `${e.method} ${e.path}`;
+
+/**
+ * The config.vbs fields the modification updates — endpoints and stack as
+ * returned by the model, when they differ from the current ones.
+ */
+function configPatch(cfg, result) {
+  const patch = {};
+  if (Array.isArray(result.endpoints) && JSON.stringify(result.endpoints) !== JSON.stringify(cfg.endpoints || [])) {
+    patch.endpoints = result.endpoints;
+  }
+  if (Array.isArray(result.stack) && JSON.stringify(result.stack) !== JSON.stringify(cfg.stack || [])) {
+    patch.stack = result.stack;
+  }
+  return patch;
+}
+
+/**
+ * "+ added  - removed  ~ changed" lines for the config.vbs preview.
+ */
+function describeConfigPatch(cfg, patch) {
+  const lines = [];
+
+  if (patch.endpoints) {
+    const before = new Map((cfg.endpoints || []).map(e => [endpointKey(e), e]));
+    const after  = new Map(patch.endpoints.map(e => [endpointKey(e), e]));
+    const marks  = [
+      ...[...after.keys()].filter(k => !before.has(k)).map(k => chalk.green(`+ ${k}`)),
+      ...[...before.keys()].filter(k => !after.has(k)).map(k => chalk.red(`- ${k}`)),
+      ...[...after.keys()]
+        .filter(k => before.has(k) && JSON.stringify(before.get(k)) !== JSON.stringify(after.get(k)))
+        .map(k => chalk.yellow(`~ ${k}`)),
+    ];
+    lines.push(`  ${chalk.bold('Endpoints:')}  ${marks.join('  ') || chalk.gray('reordered')}  ${chalk.gray(`(${after.size} total)`)}`);
+  }
+
+  if (patch.stack) {
+    const before = new Set(cfg.stack || []);
+    const after  = new Set(patch.stack);
+    const marks  = [
+      ...patch.stack.filter(t => !before.has(t)).map(t => chalk.green(`+ ${t}`)),
+      ...[...before].filter(t => !after.has(t)).map(t => chalk.red(`- ${t}`)),
+    ];
+    lines.push(`  ${chalk.bold('Stack:')}      ${marks.join('  ') || chalk.gray('reordered')}`);
+  }
+
+  return lines;
+}
+
+async function readText(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn the AI result into one change per file operation — writes, renames
+ * (content under the new path) and deletes — with the current content of
+ * each file for the diff. Operations on paths outside the project, on files
+ * that are missing or onto files that already exist are dropped with a warning.
+ *
+ * @returns {Promise<Array<{ path, content, oldText, from? }>>} content null = delete
+ */
+async function planChanges(projectDir, result) {
+  const renamed = new Map((result.renames || []).map(r => [r.to, r.from]));
+  const edited  = new Map(result.files.map(f => [f.path, f.content]));
+  const ops     = [
+    ...result.files.filter(f => !renamed.has(f.path)).map(f => ({ path: f.path, content: f.content })),
+    ...(result.renames || []).map(r => ({ path: r.to, from: r.from, content: edited.get(r.to) })),
+    ...(result.deletes || []).map(path => ({ path, content: null })),
+  ];
+
+  const changes = [];
+  for (const op of ops) {
+    try {
+      const fullPath = resolveProjectPath(projectDir, op.path);
+      if (op.from) {
+        const oldText = await readText(resolveProjectPath(projectDir, op.from));
+        if (oldText === null)     throw new Error(`${op.from} does not exist — cannot rename it`);
+        if (existsSync(fullPath)) throw new Error(`${op.path} already exists — cannot rename ${op.from} onto it`);
+        changes.push({ ...op, content: op.content ?? oldText, oldText });
+        continue;
+      }
+      const oldText = await readText(fullPath);
+      if (op.content === null && oldText === null) throw new Error(`${op.path} does not exist — nothing to delete`);
+      changes.push({ ...op, oldText });
+    } catch (err) {
+      log('warning', `Skipped: ${err.message}`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Files to write for the approved changes — a rename writes the new path
+ * and deletes the old one.
+ *
+ * @returns {Array<{ path, before, content }>} content null = delete
+ */
+function fileWrites(changes) {
+  return changes.flatMap(c => c.from
+    ? [{ path: c.path, before: null, content: c.content }, { path: c.from, before: c.oldText, content: null }]
+    : [{ path: c.path, before: c.oldText, content: c.content }]);
+}
+
+/**
+ * Open proposed content in $VISUAL / $EDITOR (vi if unset).
+ * @returns {Promise<string>} the edited content, or the original if the editor failed
+ */
+async function editInEditor(path, content) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir    = await fs.mkdtemp(join(os.tmpdir(), 'vbs-modify-'));
+  const file   = join(dir, basename(path));   // keeps the extension for syntax highlighting
+
+  try {
+    await fs.writeFile(file, content, 'utf8');
+    // $EDITOR may carry arguments ("code --wait") — let bash split it, pass the file as $1
+    const res = await exec('bash', ['-c', `${editor} "$1"`, 'vbs', file], { stdio: 'inherit' });
+    if (!res.success) {
+      log('warning', `${editor} exited with code ${res.exitCode} — keeping the proposed content`);
+      return content;
+    }
+    return await fs.readFile(file, 'utf8');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Show the diff of every proposed file against the file on disk and ask
+ * which ones to write. With autoApprove the diffs are printed and every file applied.
+ *
+ * @param {Array}   changes - From planChanges() (oldText null for new files, content null for deletes)
+ * @param {object}  opts
+ * @param {boolean} opts.autoApprove
+ * @returns {Promise<Array>} approved changes, with any manual edits
+ */
+async function reviewChanges(changes, { autoApprove }) {
+  const approved = [];
+  let   rest     = autoApprove ? 'apply' : null;
+
+  for (const [i, change] of changes.entries()) {
+    if (rest === 'skip') break;
+    let content = change.content;
+
+    for (;;) {
+      const current = { ...change, content };
+      console.log('\n' + chalk.bold.white(`  [${i + 1}/${changes.length}] ${change.path}`) + '  ' + changeStats(current));
+      console.log(formatUnifiedDiff(change.path, change.oldText, content, { from: change.from }).split('\n').map(l => `    ${l}`).join('\n') + '\n');
+
+      let action = rest;
+      if (!action) {
+        ({ action } = await inquirer.prompt([{
+          type:    'expand',
+          name:    'action',
+          message: `${changeVerb(change)}?`,
+          default: 0,
+          // A deletion has no content to edit
+          choices: content === null ? REVIEW_CHOICES.filter(c => c.value !== 'edit') : REVIEW_CHOICES,
+        }]));
+      }
+
+      if (action === 'edit') {
+        content = await editInEditor(change.path, content);
+        continue;
+      }
+      if (action === 'all')  rest = 'apply';
+      if (action === 'none') rest = 'skip';
+      if (action === 'apply' || action === 'all') approved.push(current);
+      break;
+    }
+  }
+
+  return approved;
+}
+
 export async function runModify(name, modPrompt, options = {}) {
   showTitleScreen(pkg.version);
 
+  let cassette;
+  try {
+    cassette = await useCassetteFromOptions(options);
+  } catch (err) {
+    console.log(chalk.red(`  ${figures.cross} ${err.message}`));
+    process.exit(1);
+  }
+  if (cassette) {
+    log('info', `${cassette.mode === 'record' ? 'Recording' : 'Replaying'} AI calls — cassette ${chalk.cyan(cassette.id)}`);
+  }
+
   // ── Find project ────────────────────────────────────────────────────────────
   let entry = await findProject(name);
 
@@ -87,136 +319,95 @@ export async function runModify(name, modPrompt, options = {}) {
   // ── Phase: AI Generation ─────────────────────────────────────────────────────
   showPhaseHeader('M', 'GENERATING MODIFICATIONS');
 
+  // The model sees the current source of the most relevant files, not only config.vbs
+  const context   = selectContextFiles(await readProjectFiles(entry.dir), modificationRequest);
+  const shownSize = context.shown.reduce((s, f) => s + f.content.length, 0);
+  log('info', `Context: ${context.shown.length}/${context.shown.length + context.omitted.length} file(s), ${(shownSize / 1024).toFixed(0)} KB`);
+  for (const f of context.shown) console.log(chalk.gray(`    ${figures.bullet} ${f.path}`));
+
   const modSpinner = createSpinner('AI analyzing project and generating changes...', 'AI thinking');
   modSpinner.start();
 
   let result;
   try {
-    result = await generateModification(configVbs, modificationRequest);
-    spinnerSuccess(modSpinner, `${result.files.length} file(s) to update`);
+    result = await generateModification(configVbs, modificationRequest, context);
+    const extra = [
+      result.deletes?.length ? `${result.deletes.length} to delete` : '',
+      result.renames?.length ? `${result.renames.length} to rename` : '',
+    ].filter(Boolean);
+    spinnerSuccess(modSpinner, `${result.files.length} file(s) to update${extra.length ? `, ${extra.join(', ')}` : ''}`);
   } catch (err) {
     spinnerFail(modSpinner, `AI generation failed: ${err.message}`);
     throw err;
   }
 
-  // Show what will change
+  const changes = await planChanges(entry.dir, result);
+
   console.log('\n' + chalk.bold.cyan('  Changes:'));
-  for (const f of result.files) {
-    const lineCount = f.content.split('\n').length;
-    console.log(`  ${chalk.cyan(figures.pointer)} ${chalk.white(f.path)} ${chalk.gray(`(${lineCount} lines)`)}`);
+  for (const c of changes) {
+    console.log(`  ${chalk.cyan(figures.pointer)} ${chalk.white(c.path)}  ${changeStats(c)}`);
+  }
+
+  // Endpoints / stack changed by the modification — written to config.vbs with the files
+  let patch = configPatch(configVbs, result);
+  if (Object.keys(patch).length > 0) {
+    console.log('\n' + chalk.bold.cyan('  config.vbs:'));
+    console.log(describeConfigPatch(configVbs, patch).join('\n'));
   }
 
   if (result.summary) {
     console.log('\n' + chalk.bold('  Summary: ') + chalk.gray(result.summary));
   }
 
-  // ── Confirm ─────────────────────────────────────────────────────────────────
-  const { proceed } = await inquirer.prompt([{
-    type:    'confirm',
-    name:    'proceed',
-    message: `Apply ${result.files.length} file change(s)?`,
-    default: true,
-  }]);
+  // ── Review ──────────────────────────────────────────────────────────────────
+  const approved = changes.length > 0
+    ? await reviewChanges(changes, { autoApprove: Boolean(options.autoApprove || options.yes) })
+    : [];
 
-  if (!proceed) {
+  if (approved.length === 0) {
     log('warning', 'Modification cancelled.');
     return;
   }
-
-  // ── Write files ──────────────────────────────────────────────────────────────
-  showPhaseHeader('W', 'WRITING CHANGES');
-
-  for (let i = 0; i < result.files.length; i++) {
-    const file     = result.files[i];
-    const fullPath = join(entry.dir, file.path);
-    const dir      = fullPath.split('/').slice(0, -1).join('/');
-
-    const writeSpinner = createSpinner(`Writing ${chalk.cyan(file.path)}...`);
-    writeSpinner.start();
-
-    try {
-      await fs.mkdir(dir, { recursive: true });
-
-      // Show old vs new line count if file already exists
-      let oldLines = 0;
-      try {
-        const old = await fs.readFile(fullPath, 'utf8');
-        oldLines = old.split('\n').length;
-      } catch {}
-
-      await fs.writeFile(fullPath, file.content, 'utf8');
-      const newLines = file.content.split('\n').length;
-
-      const delta = newLines - oldLines;
-      const deltaStr = oldLines === 0
-        ? chalk.green(`+${newLines} lines (new file)`)
-        : delta >= 0
-          ? chalk.green(`+${delta} lines`)
-          : chalk.red(`${delta} lines`);
-
-      spinnerSuccess(writeSpinner, `${chalk.white(file.path)}  ${deltaStr}`);
-    } catch (err) {
-      spinnerFail(writeSpinner, `Failed to write ${file.path}: ${err.message}`);
+  if (approved.length < changes.length) {
+    log('info', `Applying ${approved.length} of ${changes.length} change(s)`);
+    // The endpoints / stack describe every proposed change — ask whether they still fit
+    if (Object.keys(patch).length > 0 && !await confirm('Update the endpoints / stack in config.vbs anyway?', true)) {
+      patch = {};
     }
   }
+  const files = fileWrites(approved);
 
-  // ── npm install if package.json changed ─────────────────────────────────────
-  const pkgChanged = result.files.some(f => f.path.endsWith('package.json'));
-  if (pkgChanged) {
-    const installDir = result.files.find(f => f.path === 'package.json')
-      ? entry.dir
-      : entry.dir;
-
-    const npmSpinner = createSpinner('Running npm install for new dependencies...');
-    npmSpinner.start();
-    const res = await exec('npm', ['install', '--prefer-offline'], { cwd: installDir });
-    if (res.success) {
-      spinnerSuccess(npmSpinner, 'Dependencies updated ✓');
-    } else {
-      const res2 = await exec('npm', ['install'], { cwd: installDir });
-      if (res2.success) {
-        spinnerSuccess(npmSpinner, 'Dependencies updated ✓');
-      } else {
-        spinnerFail(npmSpinner, 'npm install had errors — check manually');
-      }
-    }
+  // ── Snapshot ────────────────────────────────────────────────────────────────
+  // Previous contents of every file about to change — restored by `vbs undo`
+  let snapshot;
+  try {
+    snapshot = await saveSnapshot(entry.dir, {
+      kind:            'modify',
+      request:         modificationRequest,
+      summary:         result.summary,
+      restartRequired: result.restartRequired !== false,
+      rebuildRequired: Boolean(result.rebuildRequired),
+      config:          Object.fromEntries(Object.keys(patch).map(k => [k, configVbs[k] ?? null])),
+      files:           files.map(f => ({ path: f.path, before: f.before, after: f.content })),
+    });
+  } catch (err) {
+    log('error', `Could not save the undo snapshot — nothing was written: ${err.message}`);
+    process.exit(1);
   }
 
-  // ── Rebuild frontend if needed ───────────────────────────────────────────────
-  if (result.rebuildRequired && configVbs.frontend) {
-    const frontDir = join(entry.dir, 'frontend');
-    if (existsSync(frontDir)) {
-      const buildSpinner = createSpinner('Rebuilding frontend...');
-      buildSpinner.start();
-      const res = await exec('npm', ['run', 'build'], { cwd: frontDir });
-      if (res.success) {
-        spinnerSuccess(buildSpinner, 'Frontend rebuilt ✓');
-      } else {
-        spinnerFail(buildSpinner, 'Frontend build had errors — check manually');
-      }
-    }
-  }
+  // ── Write files ──────────────────────────────────────────────────────────────
+  showPhaseHeader('W', 'WRITING CHANGES');
 
-  // ── Restart pm2 ──────────────────────────────────────────────────────────────
-  if (result.restartRequired !== false) {
-    showPhaseHeader('R', 'RESTARTING');
-
-    const pm2Names = [];
-    if (configVbs.backend?.pm2Name)  pm2Names.push(configVbs.backend.pm2Name);
-    if (configVbs.frontend?.pm2Name) pm2Names.push(configVbs.frontend.pm2Name);
-    if (pm2Names.length === 0)       pm2Names.push(name);
-
-    for (const pm2Name of pm2Names) {
-      const restartSpinner = createSpinner(`Restarting pm2 process: ${chalk.cyan(pm2Name)}...`);
-      restartSpinner.start();
-      const res = await exec('pm2', ['restart', pm2Name]);
-      if (res.success) {
-        spinnerSuccess(restartSpinner, `${pm2Name} restarted ✓`);
-      } else {
-        spinnerFail(restartSpinner, `Could not restart ${pm2Name} — it may not be running`);
-      }
-    }
-  }
+  await writeChanges(entry.dir, files);
+
+  await redeployChanges({
+    projectDir:      entry.dir,
+    config:          configVbs,
+    name,
+    paths:           files.map(f => f.path),
+    restartRequired: result.restartRequired,
+    rebuildRequired: result.rebuildRequired,
+  });
 
   // ── Update config.vbs ────────────────────────────────────────────────────────
   try {
@@ -224,14 +415,36 @@ export async function runModify(name, modPrompt, options = {}) {
     history.unshift({
       date:    new Date().toISOString(),
       request: modificationRequest,
-      files:   result.files.map(f => f.path),
-      summary: result.summary,
+      files:    files.map(f => f.path),
+      summary:  result.summary,
+      snapshot: snapshot.id,
     });
 
     await updateConfigVbs(entry.dir, {
       modificationHistory: history.slice(0, 10),
+      ...patch,
+      ...(Array.isArray(configVbs.files) ? { files: syncFileList(configVbs.files, files) } : {}),
     });
-  } catch {}
+    if (patch.endpoints) log('success', `config.vbs endpoints updated (${patch.endpoints.length})`);
+    if (patch.stack)     log('success', `config.vbs stack updated → ${chalk.gray(patch.stack.join(', '))}`);
+  } catch (err) {
+    log('warning', `config.vbs not updated: ${err.message}`);
+  }
+
+  // ── Regenerate API docs + summary.txt ────────────────────────────────────────
+  const updatedConfig = await readConfigVbs(entry.dir).catch(() => configVbs);
+  try {
+    const specPath = await writeApiDocs(entry.dir, updatedConfig);
+    if (specPath) log('success', `openapi.json updated → ${chalk.cyan(specPath)}`);
+  } catch (err) {
+    log('warning', `openapi.json not updated: ${err.message}`);
+  }
+  try {
+    const summaryPath = await regenerateSummary(entry.dir, updatedConfig, pkg.version);
+    log('success', `summary.txt updated → ${chalk.cyan(summaryPath)}`);
+  } catch (err) {
+    log('warning', `summary.txt not updated: ${err.message}`);
+  }
 
   // ── Done ─────────────────────────────────────────────────────────────────────
   const noteLines = result.notes ? [
@@ -246,10 +459,11 @@ export async function runModify(name, modPrompt, options = {}) {
         chalk.green.bold(`  ${figures.tick} Modification applied!`),
         '',
         `  ${chalk.bold('Project:')}   ${chalk.cyan(name)}`,
-        `  ${chalk.bold('Changed:')}   ${chalk.white(result.files.length + ' file(s)')}`,
+        `  ${chalk.bold('Changed:')}   ${chalk.white(changeCounts(approved))}`,
         `  ${chalk.bold('Summary:')}   ${chalk.gray(result.summary || '—')}`,
         ...noteLines,
         '',
+        chalk.gray(`  vbs undo ${name}  ← restore the previous files (snapshot ${snapshot.id})`),
         chalk.gray(`  vbs open ${name}  ← view full project info`),
       ].join('\n'),
       {
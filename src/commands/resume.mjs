@@ -0,0 +1,108 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import Table   from 'cli-table3';
+
+import { loadBuild, listBuilds, nextPhase } from '../projects/builds.mjs';
+import { showTitleScreen }                  from '../ui/display.mjs';
+import { run }                              from '../index.mjs';
+import { fileURLToPath }   from 'url';
+import { dirname, join }   from 'path';
+import { readFileSync }    from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const STATUS_COLORS = {
+  running:   chalk.yellow,
+  failed:    chalk.red,
+  completed: chalk.green,
+};
+
+/**
+ * vbs resume [id] — continue an interrupted build from its first incomplete
+ * phase. Without an id, lists the builds that can be resumed.
+ *
+ * @param {string} [id]
+ * @param {object} [options] - Root CLI options (debug, host, summary, record/replay)
+ */
+export async function runResume(id, options = {}) {
+  if (!id) {
+    await showResumableBuilds();
+    return;
+  }
+
+  let build;
+  try {
+    build = await loadBuild(id);
+  } catch (err) {
+    console.log(
+      boxen(
+        chalk.red(`${err.message}\n\n`) +
+        chalk.gray('Run ') + chalk.cyan('vbs resume') + chalk.gray(' to see builds that can be resumed.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  if (build.status === 'completed' || !nextPhase(build)) {
+    console.log(
+      boxen(
+        chalk.yellow(`Build ${id} already completed.\n\n`) +
+        chalk.gray('Project: ') + chalk.cyan(build.projectName || '—') + chalk.gray(`  (${build.projectDir || '—'})`),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+      )
+    );
+    return;
+  }
+
+  // Build-shaping options come from the original run; display flags from this one.
+  // A resumed build is never a dry run — it continues real server changes.
+  const { dryRun, scratch, ...displayOptions } = options;
+  await run(build.prompt, { ...displayOptions, ...build.options }, build);
+}
+
+async function showResumableBuilds() {
+  showTitleScreen(pkg.version);
+
+  const builds = (await listBuilds()).filter(b => b.status !== 'completed');
+
+  if (builds.length === 0) {
+    console.log(
+      boxen(
+        chalk.gray('No interrupted builds.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'gray' }
+      )
+    );
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.bold.cyan('Build'),
+      chalk.bold.cyan('Status'),
+      chalk.bold.cyan('Next phase'),
+      chalk.bold.cyan('Type'),
+      chalk.bold.cyan('Prompt'),
+    ],
+    style: { head: [], border: ['gray'] },
+    colWidths: [24, 11, 15, 11, 44],
+    wordWrap: true,
+  });
+
+  for (const b of builds) {
+    const colorFn = STATUS_COLORS[b.status] || chalk.white;
+    table.push([
+      chalk.white(b.id),
+      colorFn(b.status),
+      chalk.cyan(nextPhase(b) || '—'),
+      chalk.gray(b.options?.type || 'api'),
+      chalk.gray(b.prompt.length > 80 ? b.prompt.slice(0, 78) + '…' : b.prompt),
+    ]);
+  }
+
+  console.log('\n' + chalk.bold.white('  Interrupted Builds:\n'));
+  console.log(table.toString());
+  console.log('\n' + chalk.gray('  ') + chalk.cyan('vbs resume <build-id>') + chalk.gray(' — continue from the next phase\n'));
+}
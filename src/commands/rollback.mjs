@@ -0,0 +1,103 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+
+import { loadBuild }                        from '../projects/builds.mjs';
+import { rollbackBuild, pendingChanges,
+         describeUndo }                     from '../system/rollback.mjs';
+import { showTitleScreen, showPhaseHeader,
+         log }                              from '../ui/display.mjs';
+import { confirm }                          from '../ui/prompt-ui.mjs';
+import { fileURLToPath }   from 'url';
+import { dirname, join }   from 'path';
+import { readFileSync }    from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+/**
+ * vbs rollback <build-id> — undo the system changes journaled by a build
+ * (ufw ports, PostgreSQL user/database, nginx site, pm2 processes, project directory).
+ *
+ * @param {string} id
+ * @param {object} [options] - Root CLI options (--yes skips the confirmation)
+ */
+export async function runRollback(id, options = {}) {
+  showTitleScreen(pkg.version);
+
+  let build;
+  try {
+    build = await loadBuild(id);
+  } catch (err) {
+    console.log(
+      boxen(
+        chalk.red(`${err.message}\n\n`) +
+        chalk.gray('Run ') + chalk.cyan('vbs resume') + chalk.gray(' to see interrupted builds.'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  if (build.status === 'completed') {
+    console.log(
+      boxen(
+        chalk.yellow(`Build ${id} completed — project "${build.projectName}" is deployed.\n\n`) +
+        chalk.gray('Rollback only undoes failed builds. Remove a deployed project with ') +
+        chalk.cyan(`vbs destroy ${build.projectName}`),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+      )
+    );
+    process.exit(1);
+  }
+
+  const pending = pendingChanges(build);
+  if (pending.length === 0) {
+    log('info', `Build ${chalk.cyan(id)} has no system changes to roll back`);
+    return;
+  }
+
+  console.log(
+    boxen(
+      chalk.bold.white(`Rollback of build ${id}\n`) +
+      chalk.gray(`"${build.prompt.length > 60 ? build.prompt.slice(0, 58) + '…' : build.prompt}"\n\n`) +
+      pending.map(c => chalk.white(`${figures.bullet} ${describeUndo(c)}`)).join('\n'),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+    )
+  );
+
+  if (!options.yes) {
+    const proceed = await confirm(`Undo ${pending.length} change(s)?`, false);
+    if (!proceed) {
+      log('warning', 'Rollback cancelled.');
+      return;
+    }
+  }
+
+  showPhaseHeader('R', 'ROLLING BACK');
+
+  const { undone, failed } = await rollbackBuild(build);
+
+  console.log('');
+  if (failed.length > 0) {
+    console.log(
+      boxen(
+        chalk.yellow(`${undone.length} change(s) undone, ${failed.length} failed.\n\n`) +
+        failed.map(c => chalk.white(`${figures.cross} ${describeUndo(c)}`)).join('\n') +
+        chalk.gray(`\n\nFix the cause and re-run: vbs rollback ${id}`),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+      )
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    boxen(
+      chalk.green(`${figures.tick} ${undone.length} change(s) rolled back\n\n`) +
+      chalk.gray('Re-run the setup with ') + chalk.cyan(`vbs resume ${id}`) +
+      chalk.gray(' — analysis, answers and code are kept.'),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+    )
+  );
+}
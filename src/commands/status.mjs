@@ -0,0 +1,171 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import Table   from 'cli-table3';
+import figures from 'figures';
+
+import { listProjects }      from '../projects/registry.mjs';
+import { resolveProject }    from '../projects/resolve.mjs';
+import { readPm2List, collectProjectStatus } from '../system/health.mjs';
+import { showTitleScreen }   from '../ui/display.mjs';
+import { fileURLToPath }     from 'url';
+import { dirname, join }     from 'path';
+import { readFileSync }      from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const STATUS_COLORS = {
+  online:    chalk.green,
+  launching: chalk.yellow,
+  stopping:  chalk.yellow,
+  stopped:   chalk.yellow,
+  errored:   chalk.red,
+  missing:   chalk.red,
+};
+
+function formatUptime(ms) {
+  if (!ms) return '—';
+  const s = Math.floor(ms / 1000);
+  if (s < 60)    return `${s}s`;
+  if (s < 3600)  return `${Math.floor(s / 60)}m`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+function formatMemory(bytes) {
+  return bytes ? `${(bytes / 1024 / 1024).toFixed(0)} MB` : '—';
+}
+
+/**
+ * Status of every registered project (or just `name`).
+ */
+async function collectStatus(name) {
+  const pm2 = await readPm2List();
+
+  let targets;
+  if (name) {
+    const project = await resolveProject(name);
+    if (!project) throw new Error(`Project "${name}" not found`);
+    targets = [project];
+  } else {
+    targets = [];
+    for (const entry of await listProjects()) {
+      targets.push((await resolveProject(entry.dir)) || { entry, config: null });
+    }
+  }
+
+  // Probes run in parallel — a hung project must not stall the whole table
+  return Promise.all(targets.map(({ entry, config }) => collectProjectStatus(entry, config, pm2)));
+}
+
+function renderTable(projects) {
+  const table = new Table({
+    head: [
+      chalk.bold.cyan('Project'),
+      chalk.bold.cyan('Process'),
+      chalk.bold.cyan('Status'),
+      chalk.bold.cyan('Uptime'),
+      chalk.bold.cyan('↺'),
+      chalk.bold.cyan('Memory'),
+      chalk.bold.cyan('CPU'),
+      chalk.bold.cyan('Health'),
+      chalk.bold.cyan('nginx'),
+    ],
+    style: { head: [], border: ['gray'] },
+    colWidths: [20, 22, 10, 10, 5, 9, 6, 18, 9],
+    wordWrap: true,
+  });
+
+  for (const p of projects) {
+    const health = p.health
+      ? (p.health.ok ? chalk.green : chalk.red)(`${p.health.status || 'ERR'} ${p.health.ok ? p.health.time + 'ms' : p.health.note}`)
+      : chalk.gray('—');
+    const nginx = p.nginx
+      ? (p.nginx.enabled ? chalk.green(`${figures.tick} on`) : chalk.red(`${figures.cross} off`))
+      : chalk.gray('—');
+    const name = p.dirExists ? chalk.bold.white(p.name) : chalk.red(`${p.name} ✖`);
+
+    const rows = p.processes.length > 0 ? p.processes : [null];
+    rows.forEach((proc, i) => {
+      const colorFn = STATUS_COLORS[proc?.status] || chalk.gray;
+      table.push([
+        i === 0 ? name : '',
+        proc ? chalk.magenta(proc.pm2Name) : chalk.gray('(static)'),
+        proc ? colorFn(proc.status) : chalk.gray('—'),
+        chalk.gray(formatUptime(proc?.uptime)),
+        chalk.white(proc ? String(proc.restarts ?? '—') : '—'),
+        chalk.gray(formatMemory(proc?.memory)),
+        chalk.gray(proc?.cpu !== undefined ? `${proc.cpu}%` : '—'),
+        i === 0 ? health : '',
+        i === 0 ? nginx  : '',
+      ]);
+    });
+  }
+
+  return table.toString();
+}
+
+/**
+ * vbs status [name] — pm2 state, health probe and nginx site of each project.
+ *
+ * @param {string} [name]   - Only this project
+ * @param {object} [opts]
+ * @param {boolean} [opts.json]     - Print JSON once and exit
+ * @param {boolean} [opts.once]     - Render the table once (default when not a TTY)
+ * @param {string}  [opts.interval] - Refresh interval in seconds (default 3)
+ */
+export async function runStatus(name, opts = {}) {
+  let projects;
+  try {
+    projects = await collectStatus(name);
+  } catch (err) {
+    if (opts.json) {
+      console.log(JSON.stringify({ error: err.message }, null, 2));
+    } else {
+      console.log(chalk.red(`\n  ${figures.cross} ${err.message}\n`));
+    }
+    process.exit(1);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({ generatedAt: new Date().toISOString(), projects }, null, 2));
+    return;
+  }
+
+  if (projects.length === 0) {
+    showTitleScreen(pkg.version);
+    console.log(
+      boxen(chalk.gray('No projects saved yet.'), { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'gray' })
+    );
+    return;
+  }
+
+  const live     = !opts.once && process.stdout.isTTY;
+  const interval = Math.max(1, parseInt(opts.interval) || 3) * 1000;
+
+  let refreshedAt  = new Date();
+  let refreshError = null;
+
+  for (;;) {
+    if (live) console.clear();
+    console.log('\n' + chalk.bold.white('  VBS Project Status') + chalk.gray(`   ${refreshedAt.toLocaleTimeString()}`) + '\n');
+    if (refreshError) {
+      console.log(chalk.yellow(`  ${figures.warning} Refresh failed: ${refreshError} — showing the last status\n`));
+    }
+    console.log(renderTable(projects));
+
+    if (!live) return;
+    console.log(chalk.gray(`\n  Refreshing every ${interval / 1000}s — Ctrl+C to exit\n`));
+
+    await new Promise(r => setTimeout(r, interval));
+    // A failed refresh (registry, config.vbs, pm2 jlist, health probe) must not end the live view — keep the previous table
+    try {
+      projects     = await collectStatus(name);
+      refreshedAt  = new Date();
+      refreshError = null;
+    } catch (err) {
+      refreshError = err.message.split('\n')[0];
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+import { promises as fs } from 'fs';
+
+import { resolveProject }   from '../projects/resolve.mjs';
+import { loadTestHistory, saveTestRun, findRegressions } from '../projects/test-history.mjs';
+import { testAllEndpoints } from '../system/tester.mjs';
+import { toJUnit, toJSONReport } from '../summary/reports.mjs';
+import { showTitleScreen, showTestResults, log } from '../ui/display.mjs';
+import { fileURLToPath }   from 'url';
+import { dirname, join }   from 'path';
+import { readFileSync }    from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const REPORTERS = {
+  junit: toJUnit,
+  json:  toJSONReport,
+};
+
+/**
+ * vbs test <name> — re-run the project's endpoints (config.vbs) against the
+ * live deployment, record the run and compare it with the previous one.
+ * Exits with 1 when an endpoint that passed last time fails now.
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.report]  - 'junit' | 'json'
+ * @param {string} [opts.out]     - Write the report to a file (default: stdout, no table)
+ * @param {string} [opts.baseUrl] - Override http://localhost:<backend port>
+ */
+export async function runTest(name, opts = {}) {
+  const reporter = opts.report && REPORTERS[opts.report];
+  if (opts.report && !reporter) {
+    console.error(chalk.red(`\n  ${figures.cross} Unknown report format "${opts.report}". Use: junit | json\n`));
+    process.exit(1);
+  }
+
+  // A report on stdout must stay parseable — no banner or tables
+  const quiet = Boolean(reporter && !opts.out);
+  if (!quiet) showTitleScreen(pkg.version);
+
+  const project = await resolveProject(name);
+  if (!project?.config) {
+    console.error(
+      boxen(
+        chalk.red(project ? `config.vbs not found in ${project.entry.dir}` : `Project "${name}" not found.`),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+      )
+    );
+    process.exit(1);
+  }
+
+  const { entry, config: cfg } = project;
+  const endpoints = cfg.endpoints || [];
+  if (endpoints.length === 0) {
+    console.error(chalk.yellow(`\n  ${figures.warning} ${entry.name} has no endpoints in config.vbs — nothing to test\n`));
+    return;
+  }
+
+  const port    = cfg.backend?.port || cfg.frontend?.port || 3000;
+  const baseUrl = (opts.baseUrl || `http://localhost:${port}`).replace(/\/$/, '');
+
+  if (!quiet) {
+    log('step', `Testing ${endpoints.length} endpoint(s) of ${chalk.cyan(entry.name)} at ${chalk.cyan(baseUrl)}...`);
+    console.log('');
+  }
+
+  const history  = await loadTestHistory(entry.dir);
+  const previous = history[history.length - 1] || null;
+
+  const run = {
+    at:      new Date().toISOString(),
+    source:  'vbs test',
+    baseUrl,
+    // Projects built from an OpenAPI spec must expose every operation
+    results: await testAllEndpoints(baseUrl, endpoints, { requireRoutes: Boolean(cfg.spec) }),
+  };
+  const regressions = findRegressions(previous, run.results);
+
+  try {
+    await saveTestRun(entry.dir, run);
+  } catch (err) {
+    if (!quiet) log('warning', `Could not save test history: ${err.message}`);
+  }
+
+  if (reporter) {
+    const report = reporter(entry.name, run, regressions);
+    if (opts.out) {
+      await fs.writeFile(opts.out, report, 'utf8');
+    } else {
+      process.stdout.write(report.endsWith('\n') ? report : report + '\n');
+    }
+  }
+
+  if (!quiet) {
+    showTestResults(run.results);
+
+    if (opts.out) log('success', `${opts.report} report → ${chalk.cyan(opts.out)}`);
+
+    if (!previous) {
+      log('info', 'First recorded run — nothing to compare against');
+    } else if (regressions.length === 0) {
+      log('success', `No regressions since ${chalk.gray(new Date(previous.at).toLocaleString())}`);
+    } else {
+      console.log(
+        boxen(
+          chalk.red.bold(`${regressions.length} regression(s) since ${new Date(previous.at).toLocaleString()}\n\n`) +
+          regressions.map(r =>
+            chalk.white(`${figures.cross} ${r.key}  `) +
+            chalk.gray(`HTTP ${r.before.status} → ${r.after.status || 'ERR'} (${r.after.note})`)
+          ).join('\n'),
+          { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+        )
+      );
+    }
+  }
+
+  if (regressions.length > 0) process.exit(1);
+}
@@ -0,0 +1,212 @@
+import chalk   from 'chalk';
+import boxen   from 'boxen';
+import figures from 'figures';
+import { promises as fs } from 'fs';
+
+import { resolveProject }  from '../projects/resolve.mjs';
+import { readConfigVbs, updateConfigVbs, syncFileList } from '../projects/config.mjs';
+import { listSnapshots, loadSnapshot, saveSnapshot, markUndone, latestUndoable, hashContent } from '../projects/snapshots.mjs';
+import { writeChanges, redeployChanges } from '../system/redeploy.mjs';
+import { writeApiDocs }      from '../summary/openapi.mjs';
+import { regenerateSummary } from '../summary/generator.mjs';
+import { showTitleScreen, showPhaseHeader, log } from '../ui/display.mjs';
+import { confirm }         from '../ui/prompt-ui.mjs';
+import { fileURLToPath }   from 'url';
+import { dirname, join }   from 'path';
+import { readFileSync }    from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = dirname(__filename);
+const pkg        = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+function fail(message, hint = '') {
+  console.log(
+    boxen(
+      chalk.red(message) + (hint ? '\n\n' + chalk.gray(hint) : ''),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red' }
+    )
+  );
+  process.exit(1);
+}
+
+async function readCurrent(projectDir, path) {
+  try {
+    return await fs.readFile(join(projectDir, path), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * vbs undo <name> [id] — restore the files of a modification snapshot
+ * (default: the newest modification not undone yet), then npm install /
+ * rebuild / restart as the original modification needed.
+ *
+ * @param {string} name
+ * @param {string} [id]      - Snapshot id (see vbs history)
+ * @param {object} [options] - Root CLI options (--yes skips the confirmation)
+ */
+export async function runUndo(name, id, options = {}) {
+  showTitleScreen(pkg.version);
+
+  const project = await resolveProject(name);
+  if (!project?.config) {
+    fail(project ? `config.vbs not found in ${project.entry.dir}` : `Project "${name}" not found.`, 'Run vbs list to see saved projects.');
+  }
+  const { entry, config: cfg } = project;
+
+  const snapshots = await listSnapshots(entry.dir);
+  let   snapshot;
+  if (id) {
+    try {
+      snapshot = await loadSnapshot(entry.dir, id);
+    } catch (err) {
+      fail(err.message, `Run vbs history ${entry.name} to see the snapshots.`);
+    }
+  } else {
+    snapshot = latestUndoable(snapshots);
+    if (!snapshot) {
+      log('info', `Nothing to undo — ${chalk.cyan(entry.name)} has no modification that is not undone yet`);
+      return;
+    }
+  }
+
+  if (snapshot.undoneBy) {
+    fail(
+      `Snapshot ${snapshot.id} was already undone by ${snapshot.undoneBy}.`,
+      `Redo it with vbs undo ${entry.name} ${snapshot.undoneBy}`
+    );
+  }
+
+  // ── Plan ────────────────────────────────────────────────────────────────────
+  const plan = [];
+  for (const f of snapshot.files) {
+    const current = await readCurrent(entry.dir, f.path);
+    plan.push({
+      path:    f.path,
+      current,
+      restore: f.before,
+      // Edited by hand or by a later modification since the snapshot was taken
+      drifted: hashContent(current) !== f.afterHash,
+    });
+  }
+
+  const paths = new Set(plan.map(p => p.path));
+  const later = snapshots.filter(s =>
+    s.at > snapshot.at && !s.undoneBy && s.id !== snapshot.id && s.files.some(f => paths.has(f.path))
+  );
+
+  const describe = p => {
+    const action = p.restore === null ? chalk.red(`Delete ${p.path}`) : p.current === null ? chalk.green(`Recreate ${p.path}`) : chalk.white(`Restore ${p.path}`);
+    return `${figures.bullet} ${action}${p.drifted ? chalk.yellow('  (changed since)') : ''}`;
+  };
+
+  console.log(
+    boxen(
+      chalk.bold.white(`Undo snapshot ${snapshot.id}\n`) +
+      chalk.gray(`"${snapshot.request.length > 60 ? snapshot.request.slice(0, 58) + '…' : snapshot.request}"  ${new Date(snapshot.at).toLocaleString()}\n\n`) +
+      plan.map(describe).join('\n') +
+      Object.keys(snapshot.config || {}).map(k => `\n${figures.bullet} ${chalk.white(`Restore config.vbs ${k}`)}`).join('') +
+      (later.length > 0
+        ? chalk.yellow(`\n\n${figures.warning} Later changes to the same files will be lost:\n`) +
+          later.map(s => chalk.yellow(`  ${s.id}  ${s.request}`)).join('\n')
+        : ''),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: later.length > 0 || plan.some(p => p.drifted) ? 'yellow' : 'cyan' }
+    )
+  );
+
+  if (!options.yes) {
+    const proceed = await confirm(`Restore ${plan.length} file(s)?`, !later.length);
+    if (!proceed) {
+      log('warning', 'Undo cancelled.');
+      return;
+    }
+  }
+
+  // ── Snapshot the current state, so the undo can be undone ───────────────────
+  let undo;
+  try {
+    undo = await saveSnapshot(entry.dir, {
+      kind:            'undo',
+      request:         `undo ${snapshot.id}`,
+      summary:         `Restored the files from before "${snapshot.request}"`,
+      restartRequired: snapshot.restartRequired,
+      rebuildRequired: snapshot.rebuildRequired,
+      undoOf:          snapshot.id,
+      config:          Object.fromEntries(Object.keys(snapshot.config || {}).map(k => [k, cfg[k] ?? null])),
+      files:           plan.map(p => ({ path: p.path, before: p.current, after: p.restore })),
+    });
+  } catch (err) {
+    fail(`Could not save the undo snapshot — nothing was restored: ${err.message}`);
+  }
+
+  // ── Restore ─────────────────────────────────────────────────────────────────
+  showPhaseHeader('U', 'RESTORING FILES');
+
+  const failed = await writeChanges(entry.dir, plan.map(p => ({ path: p.path, content: p.restore })));
+  await markUndone(entry.dir, snapshot.id, undo.id);
+  // Undoing an undo re-applies the modification — it can be undone again
+  if (snapshot.undoOf) await markUndone(entry.dir, snapshot.undoOf, null).catch(() => {});
+
+  await redeployChanges({
+    projectDir:      entry.dir,
+    config:          cfg,
+    name:            entry.name,
+    paths:           plan.map(p => p.path),
+    restartRequired: snapshot.restartRequired,
+    rebuildRequired: snapshot.rebuildRequired,
+  });
+
+  try {
+    const history = cfg.modificationHistory || [];
+    history.unshift({
+      date:     new Date().toISOString(),
+      request:  undo.request,
+      files:    plan.map(p => p.path),
+      summary:  undo.summary,
+      snapshot: undo.id,
+    });
+    await updateConfigVbs(entry.dir, {
+      modificationHistory: history.slice(0, 10),
+      ...(snapshot.config || {}),
+      ...(Array.isArray(cfg.files) ? { files: syncFileList(cfg.files, plan.map(p => ({ path: p.path, content: p.restore }))) } : {}),
+    });
+  } catch (err) {
+    log('warning', `config.vbs not updated: ${err.message}`);
+  }
+
+  // ── Regenerate API docs + summary.txt ───────────────────────────────────────
+  const restoredConfig = await readConfigVbs(entry.dir).catch(() => cfg);
+  try {
+    const specPath = await writeApiDocs(entry.dir, restoredConfig);
+    if (specPath) log('success', `openapi.json updated → ${chalk.cyan(specPath)}`);
+  } catch (err) {
+    log('warning', `openapi.json not updated: ${err.message}`);
+  }
+  try {
+    const summaryPath = await regenerateSummary(entry.dir, restoredConfig, pkg.version);
+    log('success', `summary.txt updated → ${chalk.cyan(summaryPath)}`);
+  } catch (err) {
+    log('warning', `summary.txt not updated: ${err.message}`);
+  }
+
+  console.log('');
+  if (failed.length > 0) {
+    console.log(
+      boxen(
+        chalk.yellow(`Snapshot ${snapshot.id} restored, but ${failed.length} file(s) failed:\n\n`) +
+        failed.map(f => chalk.white(`${figures.cross} ${f}`)).join('\n'),
+        { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+      )
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    boxen(
+      chalk.green(`${figures.tick} Snapshot ${snapshot.id} restored (${plan.length} file(s))\n\n`) +
+      chalk.gray(`Redo with vbs undo ${entry.name} ${undo.id}`),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'green' }
+    )
+  );
+}
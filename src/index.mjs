@@ -1,5 +1,5 @@
 import { fileURLToPath } from 'url';
-import { dirname, join }  from 'path';
+import { dirname, join, relative, resolve } from 'path';
 import { promises as fs } from 'fs';
 import chalk   from 'chalk';
 import figures from 'figures';
@@ -8,16 +8,22 @@ import figures from 'figures';
 import {
   showTitleScreen, showPhaseHeader, log,
   showAnalysis, showAnswersSummary, showTestResults,
-  showSuccessBox, showErrorBox,
+  showSuccessBox, showErrorBox, showBuildPlan,
 } from './ui/display.mjs';
 import { createSpinner, spinnerSuccess, spinnerFail, spinnerWarn } from './ui/spinner.mjs';
-import { askAllQuestions, askProjectDirectory } from './ui/prompt-ui.mjs';
+import {
+  askAllQuestions, askProjectDirectory, confirm,
+  loadAnswersFile, resolveAnswers, resolveProjectDirectory,
+} from './ui/prompt-ui.mjs';
 
 // ── AI ────────────────────────────────────────────────────────────────────────
 import { analyzeRequest }                     from './ai/analyzer.mjs';
 import { generateQuestions }                  from './ai/questioner.mjs';
 import { generateCode }                       from './ai/codegen.mjs';
 import { analyzeTestResults, diagnoseFailure } from './ai/tester.mjs';
+import { generateRepair, pickRepairFiles }   from './ai/repairer.mjs';
+import { findMissingKeys }                    from './ai/providers.mjs';
+import { useCassetteFromOptions }             from './ai/cassette.mjs';
 
 // ── System ────────────────────────────────────────────────────────────────────
 import { exec }                                  from './system/executor.mjs';
@@ -25,20 +31,35 @@ import { setupFirewall }                         from './system/firewall.mjs';
 import { checkNode, checkNpm, checkPm2,
          checkPostgres, setupDatabase }          from './system/node-check.mjs';
 import { writeProjectFiles }                     from './system/writer.mjs';
-import { testAllEndpoints }                      from './system/tester.mjs';
+import {
+  testAllEndpoints, unreachableOperations,
+}                                                from './system/tester.mjs';
+import { startJournal, recordChange }            from './system/journal.mjs';
+import {
+  rollbackBuild, pendingChanges, describeUndo,
+}                                                from './system/rollback.mjs';
 import {
   checkNginx,
   configureApiProxy,
   configureStaticFrontend,
   configureFullstack,
+  buildApiProxyConfig,
+  buildStaticFrontendConfig,
+  buildFullstackConfig,
 }                                                from './system/nginx.mjs';
 
 // ── Projects ──────────────────────────────────────────────────────────────────
 import { registerProject }    from './projects/registry.mjs';
 import { writeConfigVbs }     from './projects/config.mjs';
+import { saveTestRun }        from './projects/test-history.mjs';
+import { loadSpec, specEndpoints, specPrompt } from './projects/spec.mjs';
+import {
+  createBuild, saveCheckpoint, setBuildStatus, nextPhase,
+}                             from './projects/builds.mjs';
 
 // ── Summary ───────────────────────────────────────────────────────────────────
 import { generateSummary, writeSummaryFiles } from './summary/generator.mjs';
+import { writeApiDocs, apiDocsDir }           from './summary/openapi.mjs';
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -56,14 +77,15 @@ function generatePassword(len = 20) {
 function buildPm2StartArgs(startCommand, pm2Name, projectDir) {
   const parts = startCommand.trim().split(/\s+/);
 
+  // --time prefixes every log line with a timestamp (vbs logs merges sources by time)
   if (parts[0] === 'npm') {
-    return ['npm', '--name', pm2Name, '--cwd', projectDir, '--', ...parts.slice(1)];
+    return ['npm', '--name', pm2Name, '--cwd', projectDir, '--time', '--', ...parts.slice(1)];
   }
   if (parts[0] === 'node') {
     const script = parts.slice(1).join(' ') || 'src/index.js';
-    return [script, '--name', pm2Name, '--cwd', projectDir];
+    return [script, '--name', pm2Name, '--cwd', projectDir, '--time'];
   }
-  return [parts[0], '--name', pm2Name, '--cwd', projectDir];
+  return [parts[0], '--name', pm2Name, '--cwd', projectDir, '--time'];
 }
 
 async function isPm2Online(name) {
@@ -87,18 +109,79 @@ async function runNpmInstall(dir, label = '') {
   const res = await exec('npm', ['install', '--prefer-offline'], { cwd: dir });
   if (res.success) {
     spinnerSuccess(npmSpinner, `${lbl}dependencies installed ✓`);
-    return true;
+    return { success: true, output: '' };
   }
   const res2 = await exec('npm', ['install'], { cwd: dir });
   if (res2.success) {
     spinnerSuccess(npmSpinner, `${lbl}dependencies installed ✓`);
-    return true;
+    return { success: true, output: '' };
   }
   spinnerWarn(npmSpinner, `npm install had errors ${lbl}— continuing (${res2.stderr.slice(0, 80)})`);
-  return false;
+  return { success: false, output: res2.stderr || res2.stdout };
 }
 
-async function launchWithPm2(startCommand, pm2Name, projectDir) {
+async function runFrontendBuild(dir) {
+  const buildSpinner = createSpinner('Building frontend for production...', 'npm run build');
+  buildSpinner.start();
+
+  const res = await exec('npm', ['run', 'build'], { cwd: dir });
+  if (res.success) {
+    spinnerSuccess(buildSpinner, 'Frontend built successfully ✓');
+    return { success: true, output: '' };
+  }
+  spinnerFail(buildSpinner, `Build had errors:\n${res.stderr.slice(0, 200)}`);
+  log('warning', 'Continuing despite build errors — check manually');
+  return { success: false, output: `${res.stdout}\n${res.stderr}`.trim() };
+}
+
+/**
+ * npm install (+ npm run build for frontends) in each package directory.
+ * Keeps going after a failure, like a manual install would.
+ *
+ * @param {Array<{ dir, label, build }>} installs - From planInstalls()
+ * @returns {Promise<Array<{ stage, dir, command, output }>>} failed steps
+ */
+async function installAndBuild(installs) {
+  const failures = [];
+  for (const step of installs) {
+    const install = await runNpmInstall(step.dir, step.label);
+    if (!install.success) {
+      failures.push({ stage: 'install', dir: step.dir, command: 'npm install', output: install.output });
+      continue;
+    }
+    if (step.build) {
+      const result = await runFrontendBuild(step.dir);
+      if (!result.success) failures.push({ stage: 'build', dir: step.dir, command: 'npm run build', output: result.output });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Package directories to install (and build) for a project type.
+ * Shared by the install phase and --dry-run.
+ */
+function planInstalls(projectType, projectDir) {
+  if (projectType === 'api')      return [{ dir: projectDir, label: '', build: false }];
+  if (projectType === 'frontend') return [{ dir: projectDir, label: 'frontend', build: true }];
+  return [
+    { dir: join(projectDir, 'backend'),  label: 'backend',  build: false },
+    { dir: join(projectDir, 'frontend'), label: 'frontend', build: true },
+  ];
+}
+
+async function fetchPm2Logs(pm2Name) {
+  const logsResult = await exec('pm2', ['logs', pm2Name, '--lines', '30', '--nostream']);
+  return (logsResult.stdout + '\n' + logsResult.stderr).trim();
+}
+
+/**
+ * Start a process with pm2 and wait for it to come online.
+ * @param {object} [opts]
+ * @param {boolean} [opts.diagnose=true] - Ask the AI to explain a failed start
+ *                                         (off while the self-healing loop has attempts left)
+ */
+async function launchWithPm2(startCommand, pm2Name, projectDir, { diagnose = true } = {}) {
   await exec('pm2', ['delete', pm2Name]);
 
   const launchSpinner = createSpinner(`Starting with pm2: ${chalk.cyan(pm2Name)}...`);
@@ -106,6 +189,7 @@ async function launchWithPm2(startCommand, pm2Name, projectDir) {
 
   const pm2Args  = buildPm2StartArgs(startCommand, pm2Name, projectDir);
   const pm2Start = await exec('pm2', ['start', ...pm2Args]);
+  await recordChange({ type: 'pm2', name: pm2Name });
 
   if (!pm2Start.success) {
     spinnerWarn(launchSpinner, 'Direct start failed — trying ecosystem config...');
@@ -130,14 +214,15 @@ async function launchWithPm2(startCommand, pm2Name, projectDir) {
 
   spinnerWarn(launchSpinner, `${pm2Name} may not have started — fetching logs...`);
 
-  const logsResult = await exec('pm2', ['logs', pm2Name, '--lines', '30', '--nostream']);
-  const logs       = (logsResult.stdout + '\n' + logsResult.stderr).trim();
+  const logs = await fetchPm2Logs(pm2Name);
 
   if (logs) {
     console.log(chalk.gray('\n  ── Recent Logs ───────────────────────────\n'));
     console.log(chalk.gray('  ' + logs.split('\n').slice(-15).join('\n  ')));
     console.log('');
+  }
 
+  if (logs && diagnose) {
     const diagSpinner = createSpinner('AI diagnosing startup issue...', 'AI thinking');
     diagSpinner.start();
     const diagnosis = await diagnoseFailure(logs, pm2Name);
@@ -149,10 +234,204 @@ async function launchWithPm2(startCommand, pm2Name, projectDir) {
   return false;
 }
 
+/**
+ * One self-healing attempt: send the failed step's output and the related
+ * generated files to the model, write the returned fixes to disk and merge
+ * them into codeResult.files.
+ *
+ * @returns {Promise<object>} attempt record for config.vbs (success is set by the caller)
+ */
+async function repairAttempt({ failure, target, entry, codeResult, projectType, projectDir, previous }) {
+  const prefix = relative(projectDir, failure.dir);
+
+  log('step', `Self-healing attempt ${previous.length + 1}: ${chalk.cyan(failure.command)} failed in ${chalk.cyan(prefix || '.')}`);
+
+  const repairSpinner = createSpinner('AI repairing project...', 'AI thinking');
+  repairSpinner.start();
+
+  let fix;
+  try {
+    fix = await generateRepair({
+      projectType,
+      stage:       failure.stage,
+      command:     failure.command,
+      errorOutput: failure.output || '(no output)',
+      files:       pickRepairFiles(codeResult.files, failure.output || '', prefix, entry),
+      previous,
+    });
+    spinnerSuccess(repairSpinner, `Repair ready — ${fix.files.length} file(s) to change`);
+  } catch (err) {
+    spinnerFail(repairSpinner, `Repair failed: ${err.message}`);
+    fix = { diagnosis: `Repair request failed: ${err.message}`, files: [] };
+  }
+
+  console.log(chalk.gray('  ' + fix.diagnosis.split('\n').join('\n  ')) + '\n');
+
+  if (fix.files.length > 0) {
+    await writeProjectFiles(projectDir, fix.files);
+    for (const f of fix.files) {
+      const i = codeResult.files.findIndex(x => x.path === f.path);
+      if (i >= 0) codeResult.files[i] = f;
+      else        codeResult.files.push(f);
+    }
+  }
+
+  return {
+    attempt:   previous.length + 1,
+    stage:     failure.stage,
+    target,
+    command:   failure.command,
+    error:     (failure.output || '').slice(-1000),
+    diagnosis: fix.diagnosis,
+    files:     fix.files.map(f => f.path),
+    success:   false,
+    at:        new Date().toISOString(),
+  };
+}
+
+/**
+ * After a failed build: undo its system changes automatically (--rollback-on-failure),
+ * after a prompt (interactive runs), or print the `vbs rollback` command.
+ */
+async function offerRollback(build, options) {
+  const pending = pendingChanges(build);
+  if (pending.length === 0) return;
+
+  const interactive = !options.answers && !options.yes && process.stdin.isTTY;
+
+  let rollback = Boolean(options.rollbackOnFailure);
+  if (!rollback && interactive) {
+    console.log(chalk.yellow(`  This build changed the server (${pending.length} change(s)):`));
+    for (const c of pending) console.log(chalk.gray(`    ${figures.bullet} ${describeUndo(c)}`));
+    console.log('');
+    rollback = await confirm('Roll back these changes now?', false).catch(() => false);
+  }
+
+  if (!rollback) {
+    console.error(chalk.gray(`  Undo system changes with: vbs rollback ${build.id}`));
+    return;
+  }
+
+  const { failed } = await rollbackBuild(build);
+  console.log('');
+  if (failed.length > 0) {
+    console.error(chalk.yellow(`  ${failed.length} change(s) could not be undone — retry with: vbs rollback ${build.id}`));
+  } else {
+    log('success', 'System changes rolled back');
+  }
+}
+
+const NGINX_SETUP = {
+  proxy:     { configure: configureApiProxy,       build: buildApiProxyConfig },
+  static:    { configure: configureStaticFrontend, build: buildStaticFrontendConfig },
+  fullstack: { configure: configureFullstack,      build: buildFullstackConfig },
+};
+
+/**
+ * Decide which pm2 processes to start and which nginx site to configure.
+ * Shared by the launch phase and --dry-run.
+ *
+ * @returns {{ processes: Array<{ role, pm2Name, startCommand, cwd }>,
+ *             nginx: { mode, options } | null, isNextJs: boolean }}
+ */
+function planLaunch(projectType, codeResult, userAnswers, projectName, projectDir) {
+  const framework = codeResult.frontendFramework || userAnswers.frontend_framework || 'react';
+  const isNextJs  = framework === 'nextjs' || framework === 'next';
+  const processes = [];
+  let   nginx     = null;
+
+  if (projectType === 'api') {
+    processes.push({
+      role:         'backend',
+      pm2Name:      codeResult.pm2Name || projectName,
+      startCommand: codeResult.startCommand || 'node src/index.js',
+      cwd:          projectDir,
+    });
+  }
+
+  if (projectType === 'frontend') {
+    if (isNextJs) {
+      // Next.js: pm2 runs next start, nginx proxies to it
+      processes.push({
+        role:         'frontend',
+        pm2Name:      codeResult.pm2Name || `${projectName}-front`,
+        startCommand: codeResult.startCommand || 'npm start',
+        cwd:          projectDir,
+      });
+      nginx = {
+        mode:    'proxy',
+        options: { name: projectName, backendPort: parseInt(userAnswers.port || '3000') },
+      };
+    } else {
+      // React SPA: nginx serves static files from dist/
+      nginx = {
+        mode:    'static',
+        options: { name: projectName, buildDir: join(projectDir, 'dist') },
+      };
+    }
+  }
+
+  if (projectType === 'fullstack') {
+    const backendDir  = join(projectDir, 'backend');
+    const frontendDir = join(projectDir, 'frontend');
+    const backPort    = parseInt(userAnswers.backendPort  || '3001');
+
+    processes.push({
+      role:         'backend',
+      pm2Name:      codeResult.backendPm2Name || `${projectName}-api`,
+      startCommand: codeResult.backendStartCommand || 'node src/index.js',
+      cwd:          backendDir,
+    });
+
+    if (isNextJs) {
+      processes.push({
+        role:         'frontend',
+        pm2Name:      codeResult.frontendPm2Name || `${projectName}-front`,
+        startCommand: codeResult.frontendStartCommand || 'npm start',
+        cwd:          frontendDir,
+      });
+      nginx = {
+        mode:    'fullstack',
+        options: {
+          name:         projectName,
+          backendPort:  backPort,
+          frontendMode: 'nextjs',
+          frontendPort: parseInt(userAnswers.frontendPort || '3000'),
+          docsDir:      apiDocsDir(projectDir, 'fullstack'),
+        },
+      };
+    } else {
+      // React SPA — built static files
+      nginx = {
+        mode:    'fullstack',
+        options: {
+          name:         projectName,
+          backendPort:  backPort,
+          frontendMode: 'static',
+          buildDir:     join(frontendDir, 'dist'),
+          docsDir:      apiDocsDir(projectDir, 'fullstack'),
+        },
+      };
+    }
+  }
+
+  return { processes, nginx, isNextJs };
+}
+
 // ─── Main Entry Point ─────────────────────────────────────────────────────────
 
-export async function run(userPrompt, options = {}) {
+/**
+ * Run the build pipeline.
+ *
+ * @param {string} userPrompt
+ * @param {object} [options] - CLI options
+ * @param {object} [resume]  - Build record from ~/.vbs/builds to continue (vbs resume)
+ */
+export async function run(userPrompt, options = {}, resume = null) {
   const projectType = (options.type || 'api').toLowerCase();
+  const dryRun      = Boolean(options.dryRun || options.scratch);
+
+  let build = resume;
 
   try {
     // ══════════════════════════════════════════════════════════════════════════
@@ -160,19 +439,28 @@ export async function run(userPrompt, options = {}) {
     // ══════════════════════════════════════════════════════════════════════════
     showTitleScreen(pkg.version);
 
-    if (!process.env.DEEPSEEK_API_KEY) {
+    const cassette = await useCassetteFromOptions(options);
+    if (cassette) {
+      log('info', `${cassette.mode === 'record' ? 'Recording' : 'Replaying'} AI calls — cassette ${chalk.cyan(cassette.id)}`);
+    }
+
+    // Replay serves every AI response from disk — no provider keys needed
+    const missingKeys = cassette?.mode === 'replay' ? [] : findMissingKeys();
+    if (missingKeys.length > 0) {
+      const first = missingKeys[0];
       showErrorBox(
-        'Missing DEEPSEEK_API_KEY',
+        `Missing ${first.keyEnv}`,
         [
-          'DEEPSEEK_API_KEY is not set!',
+          ...missingKeys.map(m => `${m.keyEnv} is not set! (provider: ${m.provider})`),
           '',
           'Add it to your .env file:',
-          '  DEEPSEEK_API_KEY=sk-...',
+          `  ${first.keyEnv}=...`,
           '',
           'Or export it in your shell:',
-          '  export DEEPSEEK_API_KEY=sk-...',
+          `  export ${first.keyEnv}=...`,
+          ...(first.keyHelp ? ['', `Get your key at: ${first.keyHelp}`] : []),
           '',
-          'Get your key at: https://platform.deepseek.com/',
+          'Or point the task at a local model: AI_PROVIDER=ollama',
         ].join('\n')
       );
       process.exit(1);
@@ -192,11 +480,30 @@ export async function run(userPrompt, options = {}) {
 
     log('info', `Build type: ${typeLabel}`);
 
+    // OpenAPI contract (--spec): drives analysis and codegen, and is the endpoint list
+    let spec          = null;
+    let analysisInput = userPrompt;
+    if (options.spec) {
+      const loaded = await loadSpec(options.spec);
+      spec = {
+        file:      resolve(options.spec),
+        text:      loaded.text,
+        title:     loaded.spec.info?.title,
+        version:   loaded.spec.info?.version,
+        endpoints: specEndpoints(loaded.spec),
+      };
+      const contract = specPrompt(loaded.spec, spec.endpoints);
+      analysisInput  = userPrompt?.trim() ? `${userPrompt.trim()}\n\n${contract}` : contract;
+      userPrompt     = userPrompt?.trim() || contract.split('\n')[0];
+      log('success', `Spec: ${chalk.cyan(options.spec)} — ${spec.endpoints.length} operation(s)`);
+    }
+
     if (!userPrompt || !userPrompt.trim()) {
       console.log('\n' + chalk.yellow('  Usage:'));
       console.log(chalk.gray('    vbs prompt=\'REST API for a blog\''));
       console.log(chalk.gray('    vbs -h -s --type=frontend prompt=\'Dashboard app with React\''));
-      console.log(chalk.gray('    vbs -h -s --type=fullstack prompt=\'Blog with admin panel\'\n'));
+      console.log(chalk.gray('    vbs -h -s --type=fullstack prompt=\'Blog with admin panel\''));
+      console.log(chalk.gray('    vbs --spec openapi.yaml\n'));
       console.log(chalk.gray('  Management:'));
       console.log(chalk.gray('    vbs list'));
       console.log(chalk.gray('    vbs open <name>'));
@@ -206,6 +513,38 @@ export async function run(userPrompt, options = {}) {
 
     log('step', `Prompt: "${chalk.cyan(userPrompt.trim())}"`);
 
+    // Checkpoints: every completed phase is saved to ~/.vbs/builds/<id>.json
+    // (dry runs change nothing on the server, so there is nothing to resume)
+    if (!build && !dryRun) {
+      build = await createBuild(userPrompt.trim(), {
+        type:              projectType,
+        yes:               options.yes               || undefined,
+        answers:           options.answers           || undefined,
+        selfHeal:          options.selfHeal          || undefined,
+        maxRepairs:        options.maxRepairs        || undefined,
+        rollbackOnFailure: options.rollbackOnFailure || undefined,
+        spec:              spec?.file,
+      });
+    }
+    startJournal(build);
+    const checkpoints = build?.phases || {};
+    if (resume) {
+      log('info', `Resuming build ${chalk.cyan(build.id)} from phase: ${chalk.cyan(nextPhase(build))}`);
+    } else if (build) {
+      log('info', `Build id: ${chalk.cyan(build.id)}`);
+    }
+
+    // Non-interactive mode: --answers <file> and/or --yes (question defaults)
+    const nonInteractive  = Boolean(options.answers || options.yes);
+    const providedAnswers = options.answers && !checkpoints.configuration
+      ? await loadAnswersFile(options.answers)
+      : {};
+    if (options.answers && !checkpoints.configuration) {
+      log('success', `Answers file: ${chalk.cyan(options.answers)} (${Object.keys(providedAnswers).length} value(s))`);
+    } else if (options.yes) {
+      log('info', 'Non-interactive: using default answers (--yes)');
+    }
+
     const serverIp = process.env.SERVER_IPV4?.trim() || null;
     if (serverIp) {
       log('success', `Server IP: ${chalk.cyan(serverIp)}`);
@@ -216,16 +555,23 @@ export async function run(userPrompt, options = {}) {
     // ══════════════════════════════════════════════════════════════════════════
     showPhaseHeader(1, 'ANALYSIS');
 
-    const analysisSpinner = createSpinner('AI analyzing your request...', 'AI thinking');
-    analysisSpinner.start();
-
     let analysis;
-    try {
-      analysis = await analyzeRequest(userPrompt, projectType);
-      spinnerSuccess(analysisSpinner, 'Analysis complete');
-    } catch (err) {
-      spinnerFail(analysisSpinner, `Analysis failed: ${err.message}`);
-      throw err;
+    if (checkpoints.analysis) {
+      analysis = checkpoints.analysis.analysis;
+      log('success', 'Analysis restored from checkpoint');
+    } else {
+      const analysisSpinner = createSpinner('AI analyzing your request...', 'AI thinking');
+      analysisSpinner.start();
+
+      try {
+        analysis = await analyzeRequest(analysisInput, projectType);
+        spinnerSuccess(analysisSpinner, 'Analysis complete');
+      } catch (err) {
+        spinnerFail(analysisSpinner, `Analysis failed: ${err.message}`);
+        throw err;
+      }
+
+      await saveCheckpoint(build, 'analysis', { analysis });
     }
 
     showAnalysis(analysis, projectType);
@@ -235,38 +581,60 @@ export async function run(userPrompt, options = {}) {
     // ══════════════════════════════════════════════════════════════════════════
     showPhaseHeader(2, 'CONFIGURATION');
 
-    const questionSpinner = createSpinner('Generating configuration questions...', 'AI thinking');
-    questionSpinner.start();
-
     let questions;
-    try {
-      questions = await generateQuestions(analysis, userPrompt, projectType);
-      spinnerSuccess(questionSpinner, `${questions.length} questions generated`);
-    } catch (err) {
-      spinnerFail(questionSpinner, `Failed to generate questions: ${err.message}`);
-      throw err;
-    }
-
-    console.log(chalk.gray('\n  Answer the configuration questions below:\n'));
-
-    const userAnswers = await askAllQuestions(questions);
+    let userAnswers;
+    let projectName;
+    let projectDir;
+
+    if (checkpoints.configuration) {
+      ({ questions, answers: userAnswers } = checkpoints.configuration);
+      projectName = userAnswers.projectName;
+      projectDir  = userAnswers.projectDir;
+      log('success', 'Questions and answers restored from checkpoint');
+    } else {
+      const questionSpinner = createSpinner('Generating configuration questions...', 'AI thinking');
+      questionSpinner.start();
+
+      try {
+        questions = await generateQuestions(analysis, analysisInput, projectType);
+        spinnerSuccess(questionSpinner, `${questions.length} questions generated`);
+      } catch (err) {
+        spinnerFail(questionSpinner, `Failed to generate questions: ${err.message}`);
+        throw err;
+      }
 
-    const projectName = userAnswers.project_name || analysis.suggestedProjectName;
-    const projectDir  = await askProjectDirectory(projectName);
+      if (nonInteractive) {
+        const { answers, dropped } = resolveAnswers(questions, providedAnswers);
+        userAnswers = answers;
+        if (dropped.length > 0) {
+          log('warning', `Ignored answers that match no question: ${chalk.gray(dropped.join(', '))}`);
+        }
+      } else {
+        console.log(chalk.gray('\n  Answer the configuration questions below:\n'));
+        userAnswers = await askAllQuestions(questions);
+      }
 
-    userAnswers.projectDir  = projectDir;
-    userAnswers.projectName = projectName;
+      projectName = userAnswers.project_name || analysis.suggestedProjectName;
+      projectDir  = nonInteractive
+        ? resolveProjectDirectory(projectName, providedAnswers)
+        : await askProjectDirectory(projectName);
+
+      userAnswers.projectDir  = projectDir;
+      userAnswers.projectName = projectName;
+
+      // Type-specific port handling
+      if (projectType === 'api') {
+        userAnswers.port = String(userAnswers.port || userAnswers.backend_port || '3000');
+      } else if (projectType === 'fullstack') {
+        userAnswers.backendPort  = String(userAnswers.backend_port  || userAnswers.port || '3001');
+        userAnswers.frontendPort = String(userAnswers.frontend_port || '3000');
+        userAnswers.port = userAnswers.backendPort;
+      } else {
+        // frontend
+        userAnswers.port = String(userAnswers.port || userAnswers.frontend_port || '3000');
+      }
 
-    // Type-specific port handling
-    if (projectType === 'api') {
-      userAnswers.port = String(userAnswers.port || userAnswers.backend_port || '3000');
-    } else if (projectType === 'fullstack') {
-      userAnswers.backendPort  = String(userAnswers.backend_port  || userAnswers.port || '3001');
-      userAnswers.frontendPort = String(userAnswers.frontend_port || '3000');
-      userAnswers.port = userAnswers.backendPort;
-    } else {
-      // frontend
-      userAnswers.port = String(userAnswers.port || userAnswers.frontend_port || '3000');
+      await saveCheckpoint(build, 'configuration', { questions, answers: userAnswers });
     }
 
     showAnswersSummary(questions, userAnswers);
@@ -274,126 +642,193 @@ export async function run(userPrompt, options = {}) {
     // ══════════════════════════════════════════════════════════════════════════
     // PHASE 3: SYSTEM CHECK & SETUP
     // ══════════════════════════════════════════════════════════════════════════
-    showPhaseHeader(3, 'SYSTEM CHECK & SETUP');
-
-    await checkNode();
-    await checkNpm();
+    showPhaseHeader(3, dryRun ? 'SYSTEM PLAN (dry run)' : 'SYSTEM CHECK & SETUP');
 
     // pm2 needed for api/fullstack; also for Next.js frontend
     const needsPm2 = projectType !== 'frontend' || analysis.frontendFramework === 'nextjs';
-    if (needsPm2) await checkPm2();
 
     // nginx for frontend/fullstack
     const needsNginx = projectType === 'frontend' || projectType === 'fullstack';
-    if (needsNginx) await checkNginx(isRoot);
 
     // Firewall
-    if (isRoot) {
-      const portsToOpen = [];
-      if (projectType === 'api')       portsToOpen.push(userAnswers.port);
-      if (projectType === 'fullstack') portsToOpen.push(userAnswers.backendPort, '80');
-      if (projectType === 'frontend')  portsToOpen.push('80');
-      for (const p of portsToOpen) await setupFirewall(p);
-    } else {
-      log('warning', 'Not root — skipping firewall. Run manually: ufw allow 80/tcp');
-    }
+    const portsToOpen = [];
+    if (projectType === 'api')       portsToOpen.push(userAnswers.port);
+    if (projectType === 'fullstack') portsToOpen.push(userAnswers.backendPort, '80');
+    if (projectType === 'frontend')  portsToOpen.push('80');
 
-    // PostgreSQL
+    // PostgreSQL — a dry run plans the database as root would create it
     const needsPostgres =
       analysis.requiredSystemPackages?.some(p => p.toLowerCase().includes('postgres')) ||
       analysis.detectedStack?.some(s => s.toLowerCase().includes('postgres'));
 
-    if (needsPostgres) {
-      if (isRoot) {
-        await checkPostgres();
-        const safeBase   = projectName.replace(/-/g, '_');
-        const dbName     = userAnswers.database_name || `${safeBase}_db`;
-        const dbUser     = userAnswers.database_user || `${safeBase}_user`;
-        const dbPassword = userAnswers.database_password || generatePassword();
+    let database = null;
+    if (checkpoints.system) {
+      // Re-use the credentials of the database that was already created
+      Object.assign(userAnswers, checkpoints.system.answers);
+      database = checkpoints.system.database;
+    } else if (needsPostgres && (isRoot || dryRun)) {
+      const safeBase   = projectName.replace(/-/g, '_');
+      const dbName     = userAnswers.database_name || `${safeBase}_db`;
+      const dbUser     = userAnswers.database_user || `${safeBase}_user`;
+      const dbPassword = userAnswers.database_password || generatePassword();
+
+      userAnswers.database_name     = dbName;
+      userAnswers.database_user     = dbUser;
+      userAnswers.database_password = dbPassword;
+
+      database = { name: dbName, user: dbUser, password: dbPassword };
+    }
+
+    if (dryRun) {
+      log('info', 'Dry run — skipping package installs, firewall, PostgreSQL and project directory');
+    } else if (checkpoints.system) {
+      log('success', 'System setup already done — skipping');
+    } else {
+      await checkNode();
+      await checkNpm();
 
-        userAnswers.database_name     = dbName;
-        userAnswers.database_user     = dbUser;
-        userAnswers.database_password = dbPassword;
+      if (needsPm2)   await checkPm2();
+      if (needsNginx) await checkNginx(isRoot);
 
-        await setupDatabase(dbName, dbUser, dbPassword);
+      if (isRoot) {
+        for (const p of portsToOpen) await setupFirewall(p);
       } else {
+        log('warning', 'Not root — skipping firewall. Run manually: ufw allow 80/tcp');
+      }
+
+      if (database) {
+        await checkPostgres();
+        await setupDatabase(database.name, database.user, database.password);
+      } else if (needsPostgres) {
         log('warning', 'PostgreSQL setup requires root — skipping. Create DB manually.');
       }
-    }
 
-    // Create project directory
-    const dirSpinner = createSpinner(`Creating project directory: ${chalk.cyan(projectDir)}...`);
-    dirSpinner.start();
-    await fs.mkdir(projectDir, { recursive: true });
-    spinnerSuccess(dirSpinner, `Directory ready: ${chalk.cyan(projectDir)}`);
+      // Create project directory
+      const dirSpinner = createSpinner(`Creating project directory: ${chalk.cyan(projectDir)}...`);
+      dirSpinner.start();
+      const createdDir = await fs.mkdir(projectDir, { recursive: true });
+      // mkdir returns the first directory it created (maybe a parent), undefined if
+      // projectDir already existed — rollback must never remove existing content
+      if (createdDir) await recordChange({ type: 'directory', path: createdDir });
+      spinnerSuccess(dirSpinner, `Directory ready: ${chalk.cyan(projectDir)}`);
+
+      await saveCheckpoint(build, 'system', {
+        answers: {
+          database_name:     userAnswers.database_name,
+          database_user:     userAnswers.database_user,
+          database_password: userAnswers.database_password,
+        },
+        database,
+      });
+    }
 
     // ══════════════════════════════════════════════════════════════════════════
     // PHASE 4: CODE GENERATION
     // ══════════════════════════════════════════════════════════════════════════
     showPhaseHeader(4, 'CODE GENERATION');
 
-    const codeSpinner = createSpinner(
-      projectType === 'fullstack' ? 'Generating full-stack project (backend + frontend)...' :
-      projectType === 'frontend'  ? 'Generating frontend app...' :
-      'Generating REST API...',
-      'AI thinking'
-    );
-    codeSpinner.start();
-
     let codeResult;
-    try {
-      codeResult = await generateCode(analysis, userAnswers, userPrompt, serverIp, projectType);
-      spinnerSuccess(codeSpinner, `Generated ${codeResult.files.length} files`);
-    } catch (err) {
-      spinnerFail(codeSpinner, `Code generation failed: ${err.message}`);
-      throw err;
+    if (checkpoints.codegen) {
+      codeResult = checkpoints.codegen.codeResult;
+      log('success', `${codeResult.files.length} generated files restored from checkpoint`);
+    } else {
+      const codeSpinner = createSpinner(
+        projectType === 'fullstack' ? 'Generating full-stack project (backend + frontend)...' :
+        projectType === 'frontend'  ? 'Generating frontend app...' :
+        'Generating REST API...',
+        'AI thinking'
+      );
+      codeSpinner.start();
+
+      try {
+        codeResult = await generateCode(analysis, userAnswers, userPrompt, serverIp, projectType, {
+          onProgress: text => { codeSpinner.text = chalk.white(text) + chalk.gray('  [AI thinking]'); },
+          spec,
+        });
+        spinnerSuccess(codeSpinner, `Generated ${codeResult.files.length} files`);
+      } catch (err) {
+        spinnerFail(codeSpinner, `Code generation failed: ${err.message}`);
+        throw err;
+      }
+
+      await saveCheckpoint(build, 'codegen', { codeResult });
     }
 
-    // Write files
-    log('step', 'Writing project files...');
-    console.log('');
-    await writeProjectFiles(projectDir, codeResult.files);
+    const launch = planLaunch(projectType, codeResult, userAnswers, projectName, projectDir);
+
+    // ── Dry run: print the plan and stop before touching the server ───────────
+    if (dryRun) {
+      showPhaseHeader('P', 'BUILD PLAN (dry run)');
+
+      const nginxPlan = launch.nginx && {
+        path:    `/etc/nginx/sites-available/${projectName}`,
+        content: NGINX_SETUP[launch.nginx.mode].build(launch.nginx.options),
+      };
+
+      const installs = planInstalls(projectType, projectDir);
+
+      const scratchDir = options.scratch || null;
+      if (scratchDir) {
+        log('step', `Writing generated files to scratch directory ${chalk.cyan(scratchDir)}...`);
+        console.log('');
+        await writeProjectFiles(scratchDir, codeResult.files);
+        if (nginxPlan) await fs.writeFile(join(scratchDir, 'nginx.conf.plan'), nginxPlan.content, 'utf8');
+      }
+
+      showBuildPlan({
+        projectDir,
+        files:     codeResult.files,
+        installs,
+        ports:     portsToOpen,
+        database,
+        processes: launch.processes,
+        nginx:     nginxPlan,
+        isRoot,
+        scratchDir,
+      });
+      return;
+    }
+
+    // Write files (again on resume — the install phase may have died mid-way)
+    if (!checkpoints.install) {
+      log('step', 'Writing project files...');
+      console.log('');
+      await writeProjectFiles(projectDir, codeResult.files);
+    }
 
     // ══════════════════════════════════════════════════════════════════════════
     // PHASE 5: INSTALL & BUILD
     // ══════════════════════════════════════════════════════════════════════════
     showPhaseHeader(5, 'INSTALL & BUILD');
 
-    if (projectType === 'api') {
-      await runNpmInstall(projectDir);
-    }
+    // Self-healing (--self-heal): failed steps are sent back to the model,
+    // its fixes applied and the step retried — up to --max-repairs attempts per build
+    const installs   = planInstalls(projectType, projectDir);
+    const maxRepairs = options.selfHeal ? Math.max(1, parseInt(options.maxRepairs) || 3) : 0;
+    const repairs    = checkpoints.launch?.repairs || checkpoints.install?.repairs || [];
 
-    if (projectType === 'frontend') {
-      await runNpmInstall(projectDir, 'frontend');
-
-      // Build step
-      const buildSpinner = createSpinner('Building frontend for production...', 'npm run build');
-      buildSpinner.start();
-      const buildResult = await exec('npm', ['run', 'build'], { cwd: projectDir });
-      if (buildResult.success) {
-        spinnerSuccess(buildSpinner, 'Frontend built successfully ✓');
-      } else {
-        spinnerFail(buildSpinner, `Build had errors:\n${buildResult.stderr.slice(0, 200)}`);
-        log('warning', 'Continuing despite build errors — check manually');
+    if (checkpoints.install) {
+      log('success', 'Dependencies already installed — skipping');
+    } else {
+      let failures = await installAndBuild(installs);
+
+      while (failures.length > 0 && repairs.length < maxRepairs) {
+        const failure = failures[0];
+        const attempt = await repairAttempt({
+          failure,
+          target:     relative(projectDir, failure.dir) || projectName,
+          codeResult, projectType, projectDir,
+          previous:   repairs.filter(r => r.stage === failure.stage),
+        });
+        repairs.push(attempt);
+        if (attempt.files.length === 0) break;
+        await saveCheckpoint(build, 'codegen', { codeResult });
+
+        failures = await installAndBuild(installs.filter(step => failures.some(f => f.dir === step.dir)));
+        attempt.success = !failures.some(f => f.dir === failure.dir && f.stage === failure.stage);
       }
-    }
 
-    if (projectType === 'fullstack') {
-      const backendDir  = join(projectDir, 'backend');
-      const frontendDir = join(projectDir, 'frontend');
-
-      await runNpmInstall(backendDir, 'backend');
-      await runNpmInstall(frontendDir, 'frontend');
-
-      // Build frontend
-      const buildSpinner = createSpinner('Building frontend for production...', 'npm run build');
-      buildSpinner.start();
-      const buildResult = await exec('npm', ['run', 'build'], { cwd: frontendDir });
-      if (buildResult.success) {
-        spinnerSuccess(buildSpinner, 'Frontend built ✓');
-      } else {
-        spinnerWarn(buildSpinner, 'Frontend build had errors — check manually');
-      }
+      await saveCheckpoint(build, 'install', { repairs });
     }
 
     // ══════════════════════════════════════════════════════════════════════════
@@ -408,86 +843,60 @@ export async function run(userPrompt, options = {}) {
     let frontendOnline = false;
     let nginxConfigPath = null;
 
-    if (projectType === 'api') {
-      backendOnline = await launchWithPm2(startCommand, pm2Name, projectDir);
-    }
-
-    if (projectType === 'frontend') {
-      const framework   = codeResult.frontendFramework || userAnswers.frontend_framework || 'react';
-      const isNextJs    = framework === 'nextjs' || framework === 'next';
-
-      if (isNextJs) {
-        // Next.js: pm2 runs next start
-        const pm2Front = codeResult.pm2Name || `${projectName}-front`;
-        frontendOnline = await launchWithPm2(
-          codeResult.startCommand || 'npm start',
-          pm2Front,
-          projectDir
-        );
-        // nginx proxies to Next.js
-        if (isRoot) {
-          nginxConfigPath = await configureApiProxy({
-            name:        projectName,
-            backendPort: parseInt(userAnswers.port || '3000'),
-          });
-        }
-      } else {
-        // React SPA: nginx serves static files from dist/
-        const buildDir = join(projectDir, 'dist');
-        if (isRoot) {
-          nginxConfigPath = await configureStaticFrontend({
-            name:     projectName,
-            buildDir,
+    if (checkpoints.launch) {
+      ({ backendOnline, frontendOnline, nginxConfigPath } = checkpoints.launch);
+      log('success', 'Processes already launched — skipping');
+    } else {
+      for (const proc of launch.processes) {
+        const start = () => launchWithPm2(proc.startCommand, proc.pm2Name, proc.cwd, {
+          diagnose: repairs.length >= maxRepairs,
+        });
+        let online = await start();
+
+        while (!online && repairs.length < maxRepairs) {
+          const failure = {
+            stage:   'launch',
+            dir:     proc.cwd,
+            command: `pm2 start ${proc.startCommand}`,
+            output:  await fetchPm2Logs(proc.pm2Name),
+          };
+          const attempt = await repairAttempt({
+            failure,
+            target:     proc.pm2Name,
+            entry:      proc.startCommand.split(/\s+/).find(t => /\.[cm]?[jt]s$/.test(t)),
+            codeResult, projectType, projectDir,
+            previous:   repairs.filter(r => r.target === proc.pm2Name),
           });
-        } else {
-          log('warning', 'Not root — skipping nginx setup. Serve dist/ manually.');
+          repairs.push(attempt);
+          if (attempt.files.length === 0) break;
+          await saveCheckpoint(build, 'codegen', { codeResult });
+
+          // New dependencies or a changed frontend need another install/build
+          const step = installs.find(i => i.dir === proc.cwd);
+          if (step && (step.build || attempt.files.some(f => f.endsWith('package.json')))) {
+            await installAndBuild([step]);
+          }
+
+          online = await start();
+          attempt.success = online;
         }
-        frontendOnline = true;
-      }
-    }
 
-    if (projectType === 'fullstack') {
-      const backendDir  = join(projectDir, 'backend');
-      const frontendDir = join(projectDir, 'frontend');
-
-      const backendPm2  = codeResult.backendPm2Name  || `${projectName}-api`;
-      const frontendPm2 = codeResult.frontendPm2Name || `${projectName}-front`;
-      const backPort    = parseInt(userAnswers.backendPort  || '3001');
-      const frontPort   = parseInt(userAnswers.frontendPort || '3000');
-
-      const backCmd  = codeResult.backendStartCommand  || 'node src/index.js';
-      const frontCmd = codeResult.frontendStartCommand || 'npm start';
-
-      backendOnline  = await launchWithPm2(backCmd, backendPm2, backendDir);
-
-      const framework = codeResult.frontendFramework || userAnswers.frontend_framework || 'react';
-      const isNextJs  = framework === 'nextjs' || framework === 'next';
+        if (proc.role === 'backend') backendOnline  = online;
+        else                         frontendOnline = online;
+      }
 
-      if (isNextJs) {
-        frontendOnline = await launchWithPm2(frontCmd, frontendPm2, frontendDir);
+      if (launch.nginx) {
         if (isRoot) {
-          nginxConfigPath = await configureFullstack({
-            name:          projectName,
-            backendPort:   backPort,
-            frontendMode:  'nextjs',
-            frontendPort:  frontPort,
-          });
-        }
-      } else {
-        // React SPA — built static files
-        const buildDir = join(frontendDir, 'dist');
-        if (isRoot) {
-          nginxConfigPath = await configureFullstack({
-            name:         projectName,
-            backendPort:  backPort,
-            frontendMode: 'static',
-            buildDir,
-          });
+          nginxConfigPath = await NGINX_SETUP[launch.nginx.mode].configure(launch.nginx.options);
         } else {
-          log('warning', 'Not root — skipping nginx. Configure manually.');
+          log('warning', 'Not root — skipping nginx setup. Configure it manually.');
         }
-        frontendOnline = true;
       }
+
+      // React SPA: nginx serves the static build — nothing to start
+      if (projectType !== 'api' && !launch.isNextJs) frontendOnline = true;
+
+      await saveCheckpoint(build, 'launch', { backendOnline, frontendOnline, nginxConfigPath, repairs });
     }
 
     // ══════════════════════════════════════════════════════════════════════════
@@ -496,33 +905,47 @@ export async function run(userPrompt, options = {}) {
     let testResults = [];
     let aiNotes     = '';
 
-    if (projectType !== 'frontend') {
-      showPhaseHeader(7, 'TESTING ENDPOINTS');
-
-      const port      = userAnswers.backendPort || userAnswers.port || '3000';
-      const baseUrl   = `http://localhost:${port}`;
-      const endpoints = codeResult.allEndpoints || [];
+    if (checkpoints.testing) {
+      ({ testResults, aiNotes } = checkpoints.testing);
+    } else {
+      if (projectType !== 'frontend') {
+        showPhaseHeader(7, 'TESTING ENDPOINTS');
+
+        const port      = userAnswers.backendPort || userAnswers.port || '3000';
+        const baseUrl   = `http://localhost:${port}`;
+        const endpoints = codeResult.allEndpoints || [];
+
+        log('step', `Testing ${endpoints.length} endpoint(s) at ${chalk.cyan(baseUrl)}...`);
+        console.log('');
+        await new Promise(r => setTimeout(r, 1500));
+
+        if (endpoints.length > 0) {
+          testResults = await testAllEndpoints(baseUrl, endpoints, { requireRoutes: Boolean(spec) });
+          showTestResults(testResults);
+
+          if (spec) {
+            const unreachable = unreachableOperations(testResults);
+            const total       = new Set(endpoints.map(e => `${e.method} ${e.path}`)).size;
+            log(unreachable.length === 0 ? 'success' : 'warning',
+              `Spec coverage: ${total - unreachable.length}/${total} operation(s) reachable`);
+            for (const op of unreachable) console.log(chalk.red(`    ${figures.cross} ${op}`));
+          }
+        } else {
+          log('warning', 'No endpoints defined — skipping tests');
+        }
 
-      log('step', `Testing ${endpoints.length} endpoint(s) at ${chalk.cyan(baseUrl)}...`);
-      console.log('');
-      await new Promise(r => setTimeout(r, 1500));
+        if (testResults.length > 0) {
+          const noteSpinner = createSpinner('AI analyzing test results...', 'AI thinking');
+          noteSpinner.start();
+          aiNotes = await analyzeTestResults(testResults, projectName, serverIp, port);
+          spinnerSuccess(noteSpinner, 'Analysis complete');
 
-      if (endpoints.length > 0) {
-        testResults = await testAllEndpoints(baseUrl, endpoints);
-        showTestResults(testResults);
-      } else {
-        log('warning', 'No endpoints defined — skipping tests');
+          console.log('\n' + chalk.bold.cyan('  AI Notes:'));
+          console.log(chalk.gray('  ' + aiNotes.split('\n').join('\n  ')) + '\n');
+        }
       }
 
-      if (testResults.length > 0) {
-        const noteSpinner = createSpinner('AI analyzing test results...', 'AI thinking');
-        noteSpinner.start();
-        aiNotes = await analyzeTestResults(testResults, projectName, serverIp, port);
-        spinnerSuccess(noteSpinner, 'Analysis complete');
-
-        console.log('\n' + chalk.bold.cyan('  AI Notes:'));
-        console.log(chalk.gray('  ' + aiNotes.split('\n').join('\n  ')) + '\n');
-      }
+      await saveCheckpoint(build, 'testing', { testResults, aiNotes });
     }
 
     // ══════════════════════════════════════════════════════════════════════════
@@ -583,6 +1006,8 @@ export async function run(userPrompt, options = {}) {
       server: {
         ip:          serverIp || null,
         nginxConfig: nginxConfigPath || null,
+        // Only the ports this build opened — vbs destroy closes exactly these
+        ports:       (build?.journal || []).filter(c => c.type === 'ufw-port' && !c.undoneAt).map(c => c.port),
       },
       answers:   {
         ...userAnswers,
@@ -590,7 +1015,9 @@ export async function run(userPrompt, options = {}) {
         database_password: userAnswers.database_password ? '[set]' : undefined,
       },
       endpoints: codeResult.allEndpoints || [],
+      ...(spec ? { spec: { file: spec.file, title: spec.title, version: spec.version } } : {}),
       files:     codeResult.files.map(f => f.path),
+      repairs,
     };
 
     const configSpinner = createSpinner('Writing config.vbs...');
@@ -602,6 +1029,18 @@ export async function run(userPrompt, options = {}) {
       spinnerFail(configSpinner, `config.vbs write failed: ${err.message}`);
     }
 
+    // OpenAPI spec + Swagger UI — served by the backend at /docs
+    if (projectType !== 'frontend' && configVbs.endpoints.length > 0) {
+      const docsSpinner = createSpinner('Generating openapi.json...');
+      docsSpinner.start();
+      try {
+        const specPath = await writeApiDocs(projectDir, configVbs);
+        spinnerSuccess(docsSpinner, `openapi.json → ${chalk.cyan(specPath)}  ${chalk.gray('(docs at /docs/)')}`);
+      } catch (err) {
+        spinnerFail(docsSpinner, `openapi.json write failed: ${err.message}`);
+      }
+    }
+
     // Register in global registry
     await registerProject({
       name:      projectName,
@@ -640,6 +1079,20 @@ export async function run(userPrompt, options = {}) {
       spinnerFail(summarySpinner, `Summary write failed: ${err.message}`);
     }
 
+    // ── Seed the test history — `vbs test` compares against this run ──────────
+    if (testResults.length > 0) {
+      try {
+        await saveTestRun(projectDir, {
+          at:      new Date().toISOString(),
+          source:  'build',
+          baseUrl: `http://localhost:${backendConfig?.port || 3000}`,
+          results: testResults,
+        });
+      } catch (err) {
+        log('warning', `Could not save test history: ${err.message}`);
+      }
+    }
+
     // ── Final success banner ──────────────────────────────────────────────────
     showSuccessBox({
       projectName,
@@ -654,6 +1107,9 @@ export async function run(userPrompt, options = {}) {
       nginxConfig:   nginxConfigPath,
     });
 
+    await saveCheckpoint(build, 'save', { configPath: join(projectDir, 'config.vbs') });
+    await setBuildStatus(build, 'completed', { projectName, projectDir });
+
   } catch (err) {
     console.error('\n' + chalk.red.bold(`  ${figures.cross} Fatal error: ${err.message}\n`));
     if (options.debug) {
@@ -661,6 +1117,11 @@ export async function run(userPrompt, options = {}) {
     } else {
       console.error(chalk.gray('  Run with --debug for full stack trace\n'));
     }
+    if (build) {
+      await setBuildStatus(build, 'failed', { error: err.message }).catch(() => {});
+      await offerRollback(build, options);
+      console.error(chalk.gray(`  Resume with: vbs resume ${build.id}\n`));
+    }
     process.exit(1);
   }
 }
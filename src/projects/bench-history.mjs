@@ -0,0 +1,62 @@
+import { promises as fs } from 'fs';
+import { join }           from 'path';
+
+// ─── Benchmark history (<project>/.vbs/bench-history.json) ────────────────────
+// One entry per `vbs bench` run, so runs before and after a `vbs modify`
+// can be compared.
+
+const HISTORY_DIR  = '.vbs';
+const HISTORY_FILE = 'bench-history.json';
+const MAX_RUNS     = 20;
+
+function historyPath(projectDir) {
+  return join(projectDir, HISTORY_DIR, HISTORY_FILE);
+}
+
+/**
+ * All recorded runs, oldest first.
+ */
+export async function loadBenchHistory(projectDir) {
+  try {
+    return JSON.parse(await fs.readFile(historyPath(projectDir), 'utf8')).runs || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append a run; only the last MAX_RUNS are kept.
+ * @param {string} projectDir
+ * @param {object} run - { at, baseUrl, concurrency, durationMs, total, endpoints }
+ */
+export async function saveBenchRun(projectDir, run) {
+  const runs = [...await loadBenchHistory(projectDir), run].slice(-MAX_RUNS);
+  await fs.mkdir(join(projectDir, HISTORY_DIR), { recursive: true });
+  await fs.writeFile(historyPath(projectDir), JSON.stringify({ runs }, null, 2), 'utf8');
+}
+
+function percentChange(before, after) {
+  if (!before) return null;
+  return Math.round(((after - before) / before) * 1000) / 10;
+}
+
+/**
+ * Per-endpoint change against an earlier run (percent; null when not comparable).
+ * @returns {Map<string, { rps, p95, errorRate }>} errorRate in percentage points
+ */
+export function compareBenchRuns(previous, run) {
+  const changes = new Map();
+  if (!previous) return changes;
+
+  const before = new Map(previous.endpoints.map(e => [e.key, e]));
+  for (const e of [...run.endpoints, { key: 'total', ...run.total }]) {
+    const b = e.key === 'total' ? previous.total : before.get(e.key);
+    if (!b) continue;
+    changes.set(e.key, {
+      rps:       percentChange(b.rps, e.rps),
+      p95:       percentChange(b.p95, e.p95),
+      errorRate: Math.round((e.errorRate - b.errorRate) * 10) / 10,
+    });
+  }
+  return changes;
+}
@@ -0,0 +1,115 @@
+import { promises as fs } from 'fs';
+import { join }           from 'path';
+import { randomBytes }    from 'crypto';
+
+import { VBS_DIR } from './registry.mjs';
+
+// ─── Build checkpoints (~/.vbs/builds/<id>.json) ──────────────────────────────
+// Each completed phase of run() stores its result here, so `vbs resume <id>`
+// can continue from the first incomplete phase without re-calling the model.
+// Checkpoints hold answers (incl. generated DB passwords) — files are mode 600.
+// journal[] lists the system changes made by the build, for rollback.
+
+export const BUILDS_DIR = join(VBS_DIR, 'builds');
+
+// Phase keys in pipeline order
+export const BUILD_PHASES = ['analysis', 'configuration', 'system', 'codegen', 'install', 'launch', 'testing', 'save'];
+
+function buildPath(id) {
+  return join(BUILDS_DIR, `${id}.json`);
+}
+
+function newBuildId() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${stamp}-${randomBytes(2).toString('hex')}`;
+}
+
+async function save(build) {
+  await fs.mkdir(BUILDS_DIR, { recursive: true });
+  build.updatedAt = new Date().toISOString();
+  await fs.writeFile(buildPath(build.id), JSON.stringify(build, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Start a new build record.
+ * @param {string} prompt
+ * @param {object} options - CLI options needed to re-run the build (type, yes, answers, selfHeal, …)
+ */
+export async function createBuild(prompt, options) {
+  const build = {
+    id:        newBuildId(),
+    status:    'running',
+    prompt,
+    options,
+    createdAt: new Date().toISOString(),
+    phases:    {},
+  };
+  await save(build);
+  return build;
+}
+
+/**
+ * Load a build record.
+ * @throws if the build does not exist
+ */
+export async function loadBuild(id) {
+  try {
+    return JSON.parse(await fs.readFile(buildPath(id), 'utf8'));
+  } catch {
+    throw new Error(`Build "${id}" not found in ${BUILDS_DIR}`);
+  }
+}
+
+/**
+ * All build records, newest first.
+ */
+export async function listBuilds() {
+  let names = [];
+  try {
+    names = (await fs.readdir(BUILDS_DIR)).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const builds = [];
+  for (const n of names) {
+    try {
+      builds.push(JSON.parse(await fs.readFile(join(BUILDS_DIR, n), 'utf8')));
+    } catch {}
+  }
+  return builds.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Store the result of a completed phase. No-op without a build (dry run).
+ */
+export async function saveCheckpoint(build, phase, data) {
+  if (!build) return;
+  build.phases[phase] = { ...data, completedAt: new Date().toISOString() };
+  await save(build);
+}
+
+/**
+ * Append a system change to the build's undo journal (see system/journal.mjs).
+ */
+export async function appendJournal(build, change) {
+  build.journal = build.journal || [];
+  build.journal.push({ ...change, at: new Date().toISOString() });
+  await save(build);
+}
+
+/**
+ * Update build status: 'running' | 'failed' | 'completed' | 'rolled-back'.
+ */
+export async function setBuildStatus(build, status, extra = {}) {
+  if (!build) return;
+  Object.assign(build, extra, { status });
+  await save(build);
+}
+
+/**
+ * First phase without a checkpoint, or null when every phase is done.
+ */
+export function nextPhase(build) {
+  return BUILD_PHASES.find(p => !build.phases[p]) || null;
+}
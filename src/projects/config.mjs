@@ -42,3 +42,19 @@ export async function updateConfigVbs(projectDir, patch) {
   await writeConfigVbs(projectDir, updated);
   return updated;
 }
+
+/**
+ * config.files after a change — written paths are added, deleted ones (content null) removed.
+ *
+ * @param {Array<string>} paths  - Current config.files
+ * @param {Array}         writes - [{ path, content }]
+ * @returns {Array<string>}
+ */
+export function syncFileList(paths, writes) {
+  const list = new Set(paths);
+  for (const w of writes) {
+    if (w.content === null) list.delete(w.path);
+    else                    list.add(w.path);
+  }
+  return [...list];
+}
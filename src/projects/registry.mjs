@@ -2,8 +2,8 @@ import { promises as fs } from 'fs';
 import { join }          from 'path';
 import os                from 'os';
 
-const VBS_DIR       = join(os.homedir(), '.vbs');
-const REGISTRY_PATH = join(VBS_DIR, 'projects.json');
+export const VBS_DIR = join(os.homedir(), '.vbs');
+const REGISTRY_PATH  = join(VBS_DIR, 'projects.json');
 
 async function ensureDir() {
   await fs.mkdir(VBS_DIR, { recursive: true });
@@ -0,0 +1,30 @@
+import { existsSync } from 'fs';
+
+import { findProject }                 from './registry.mjs';
+import { readConfigVbs, hasConfigVbs } from './config.mjs';
+
+/**
+ * Find a project by registry name, or by a directory that contains config.vbs.
+ *
+ * @param {string} nameOrDir
+ * @returns {Promise<{ entry: object, config: object|null }|null>}
+ *          config is null when the directory or config.vbs is missing/unreadable
+ */
+export async function resolveProject(nameOrDir) {
+  let entry = await findProject(nameOrDir);
+
+  // Maybe they passed a directory directly
+  if (!entry && existsSync(nameOrDir) && await hasConfigVbs(nameOrDir)) {
+    const cfg = await readConfigVbs(nameOrDir);
+    entry = { name: cfg.name, dir: nameOrDir, type: cfg.type };
+  }
+
+  if (!entry) return null;
+
+  let config = null;
+  if (existsSync(entry.dir) && await hasConfigVbs(entry.dir)) {
+    try { config = await readConfigVbs(entry.dir); } catch {}
+  }
+
+  return { entry, config };
+}
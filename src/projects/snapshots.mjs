@@ -0,0 +1,125 @@
+import { promises as fs } from 'fs';
+import { join }           from 'path';
+import { createHash, randomBytes } from 'crypto';
+
+// ─── Modification snapshots (<project>/.vbs/history/<id>.json) ────────────────
+// Before `vbs modify` or `vbs undo` writes anything, the previous state of every
+// file it touches is saved: the content, or null when the file did not exist —
+// plus the previous value of the config.vbs fields it updates (endpoints, stack).
+// `vbs undo` restores a snapshot — and snapshots itself first, so it can be undone too.
+
+const HISTORY_DIR   = join('.vbs', 'history');
+const MAX_SNAPSHOTS = 100;
+
+function historyDir(projectDir) {
+  return join(projectDir, HISTORY_DIR);
+}
+
+function snapshotPath(projectDir, id) {
+  return join(historyDir(projectDir), `${id}.json`);
+}
+
+function newSnapshotId() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${stamp}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * sha1 of a file's content (null for a missing file) — detects edits made after a snapshot.
+ */
+export function hashContent(content) {
+  return content === null ? null : createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * All snapshots of a project, newest first.
+ */
+export async function listSnapshots(projectDir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(historyDir(projectDir))).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const n of names) {
+    try {
+      snapshots.push(JSON.parse(await fs.readFile(join(historyDir(projectDir), n), 'utf8')));
+    } catch {}
+  }
+  return snapshots.sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id));
+}
+
+/**
+ * @throws if the snapshot does not exist
+ */
+export async function loadSnapshot(projectDir, id) {
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath(projectDir, id), 'utf8'));
+  } catch {
+    throw new Error(`Snapshot "${id}" not found in ${historyDir(projectDir)}`);
+  }
+}
+
+/**
+ * Record the state of the files a change is about to write. Only the last
+ * MAX_SNAPSHOTS are kept.
+ *
+ * @param {string} projectDir
+ * @param {object} change
+ * @param {string} change.kind               - 'modify' | 'undo'
+ * @param {string} change.request            - Modification request (or "undo <id>")
+ * @param {string} [change.summary]
+ * @param {Array}  change.files              - [{ path, before, after }] — null for a missing / deleted file
+ * @param {boolean} [change.restartRequired]
+ * @param {boolean} [change.rebuildRequired]
+ * @param {string} [change.undoOf]           - Snapshot id restored by this undo
+ * @param {object} [change.config]           - Previous values of the config.vbs fields the change updates
+ * @returns {Promise<object>} the snapshot
+ */
+export async function saveSnapshot(projectDir, { kind, request, summary = null, files, restartRequired = true, rebuildRequired = false, undoOf, config }) {
+  const snapshot = {
+    id:  newSnapshotId(),
+    at:  new Date().toISOString(),
+    kind,
+    request,
+    summary,
+    restartRequired,
+    rebuildRequired,
+    ...(undoOf ? { undoOf } : {}),
+    ...(config && Object.keys(config).length > 0 ? { config } : {}),
+    files: files.map(f => ({
+      path:      f.path,
+      action:    f.before === null ? 'created' : f.after === null ? 'deleted' : 'modified',
+      before:    f.before,
+      afterHash: hashContent(f.after),
+    })),
+  };
+
+  await fs.mkdir(historyDir(projectDir), { recursive: true });
+  await fs.writeFile(snapshotPath(projectDir, snapshot.id), JSON.stringify(snapshot, null, 2), 'utf8');
+
+  for (const old of (await listSnapshots(projectDir)).slice(MAX_SNAPSHOTS)) {
+    await fs.rm(snapshotPath(projectDir, old.id), { force: true });
+  }
+  return snapshot;
+}
+
+/**
+ * Mark a snapshot as restored by an undo (undoId null clears the mark).
+ */
+export async function markUndone(projectDir, id, undoId) {
+  const snapshot = await loadSnapshot(projectDir, id);
+  if (undoId) snapshot.undoneBy = undoId;
+  else        delete snapshot.undoneBy;
+  await fs.writeFile(snapshotPath(projectDir, id), JSON.stringify(snapshot, null, 2), 'utf8');
+}
+
+/**
+ * What `vbs undo <name>` restores without an id: the newest modification
+ * that has not been undone yet (so repeated undos walk back in time).
+ */
+export function latestUndoable(snapshots) {
+  return snapshots.find(s => s.kind === 'modify' && !s.undoneBy) || null;
+}
@@ -0,0 +1,226 @@
+import { promises as fs } from 'fs';
+import YAML               from 'yaml';
+
+import { log } from '../ui/display.mjs';
+
+// ─── OpenAPI input spec (vbs --spec openapi.yaml) ─────────────────────────────
+// The spec drives analysis and codegen, and the endpoint list of the build
+// (allEndpoints) is derived from it instead of from the model.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Spec text sent to the code generator (characters, roughly 4 per token)
+const SPEC_BUDGET = 60000;
+
+/**
+ * Replace local $refs (#/components/...) with their targets. Cycles are cut
+ * with an empty object.
+ */
+function dereference(doc) {
+  const resolve = (node, seen) => {
+    if (Array.isArray(node)) return node.map(n => resolve(n, seen));
+    if (!node || typeof node !== 'object') return node;
+
+    if (typeof node.$ref === 'string') {
+      if (!node.$ref.startsWith('#/') || seen.includes(node.$ref)) return {};
+      const target = node.$ref.slice(2).split('/')
+        .map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((obj, key) => obj?.[key], doc);
+      if (target === undefined) throw new Error(`Unresolved $ref ${node.$ref}`);
+      return resolve(target, [...seen, node.$ref]);
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, resolve(v, seen)]));
+  };
+  return resolve(doc, []);
+}
+
+/**
+ * Read and parse an OpenAPI 3 document (YAML or JSON).
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ text: string, spec: object }>} spec has its $refs resolved
+ * @throws on a missing file, parse error or a document that is not OpenAPI 3
+ */
+export async function loadSpec(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read spec ${filePath}: ${err.message}`);
+  }
+
+  let raw;
+  try {
+    raw = YAML.parse(text);   // JSON is valid YAML
+  } catch (err) {
+    throw new Error(`Invalid spec ${filePath}: ${err.message}`);
+  }
+
+  if (raw?.swagger) throw new Error(`${filePath} is Swagger ${raw.swagger} — convert it to OpenAPI 3 first`);
+  if (!/^3\./.test(String(raw?.openapi || ''))) throw new Error(`${filePath} is not an OpenAPI 3 document (missing "openapi: 3.x")`);
+  if (!raw.paths || Object.keys(raw.paths).length === 0) throw new Error(`${filePath} defines no paths`);
+
+  return { text, spec: dereference(raw) };
+}
+
+// ── Schemas → examples / response shapes ─────────────────────────────────────
+
+function mergeAllOf(schema) {
+  if (!schema?.allOf) return schema || {};
+  return schema.allOf.map(mergeAllOf).reduce((acc, s) => ({
+    ...acc,
+    ...s,
+    properties: { ...acc.properties, ...s.properties },
+    required:   [...(acc.required || []), ...(s.required || [])],
+  }), { type: 'object', properties: {}, required: [] });
+}
+
+function schemaType(schema) {
+  if (schema.type) return Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (schema.properties) return 'object';
+  if (schema.items)      return 'array';
+  return null;
+}
+
+/**
+ * Example value for a schema: example / default / enum, else a typed placeholder.
+ */
+export function schemaExample(input, depth = 0) {
+  const schema = mergeAllOf(input);
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum?.length)          return schema.enum[0];
+  if (depth > 6)                    return null;
+
+  const variant = schema.oneOf?.[0] || schema.anyOf?.[0];
+  if (variant) return schemaExample(variant, depth + 1);
+
+  switch (schemaType(schema)) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {})
+          .filter(([, s]) => !s.readOnly)
+          .map(([k, s]) => [k, schemaExample(s, depth + 1)])
+      );
+    case 'array':   return [schemaExample(schema.items || {}, depth + 1)];
+    case 'integer':
+    case 'number':  return schema.minimum ?? 1;
+    case 'boolean': return true;
+    case 'string':
+      if (schema.format === 'email')     return 'user@example.com';
+      if (schema.format === 'password')  return 'Passw0rd!';
+      if (schema.format === 'date-time') return new Date(0).toISOString();
+      if (schema.format === 'date')      return '2025-01-01';
+      if (schema.format === 'uuid')      return '00000000-0000-4000-8000-000000000000';
+      return 'string';
+    default:        return null;
+  }
+}
+
+/**
+ * JSON schema → responseShape (see system/contract.mjs). Optional or
+ * nullable values get the "?" suffix.
+ */
+export function schemaToShape(input, optional = false, depth = 0) {
+  const schema = mergeAllOf(input);
+  const type   = schemaType(schema);
+  const mark   = optional || schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null')) ? '?' : '';
+
+  if (depth > 6 || schema.oneOf || schema.anyOf || !type) return 'any';
+
+  if (type === 'object' && schema.properties && !mark) {
+    const required = new Set(schema.required || []);
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([k, s]) => [k, schemaToShape(s, !required.has(k), depth + 1)])
+    );
+  }
+  if (type === 'array' && schema.items && !mark) return [schemaToShape(schema.items, false, depth + 1)];
+  if (type === 'integer') return `number${mark}`;
+  return `${type}${mark}`;
+}
+
+// ── Operations → endpoint descriptors ─────────────────────────────────────────
+
+/** Path prefix of the first server URL ("https://x.io/api/v1" → "/api/v1"). */
+function basePath(spec) {
+  const url = spec.servers?.[0]?.url;
+  if (!url) return '';
+  try {
+    return new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+  } catch {
+    return '';
+  }
+}
+
+function jsonContent(content) {
+  if (!content) return null;
+  const key = Object.keys(content).find(k => /json/i.test(k));
+  return key ? content[key] : null;
+}
+
+/**
+ * One endpoint descriptor per spec operation, in the shape codegen emits
+ * (method, path, description, requiresAuth, exampleBody, expectedStatus,
+ * responseShape). Paths use Express syntax: /posts/{id} → /posts/:id.
+ */
+export function specEndpoints(spec) {
+  const prefix    = basePath(spec);
+  const endpoints = [];
+
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS) {
+      const op = item?.[method];
+      if (!op) continue;
+
+      // Operation security overrides the global one; [] or [{}] means public
+      const security     = op.security ?? spec.security ?? [];
+      const requiresAuth = security.some(req => Object.keys(req).length > 0);
+
+      const body        = jsonContent(op.requestBody?.content);
+      const exampleBody = body
+        ? (body.example ?? Object.values(body.examples || {})[0]?.value ?? schemaExample(body.schema || {}))
+        : null;
+
+      const codes   = Object.keys(op.responses || {});
+      const success = codes.filter(c => /^2\d\d$/.test(c)).sort()[0];
+      const status  = success ? parseInt(success) : (codes.includes('default') ? 200 : undefined);
+      const content = jsonContent((op.responses?.[success] || op.responses?.default)?.content);
+
+      endpoints.push({
+        method:       method.toUpperCase(),
+        path:         prefix + path.replace(/\{(\w+)\}/g, ':$1'),
+        description:  op.summary || op.description || op.operationId || '',
+        requiresAuth,
+        exampleBody:  exampleBody ?? null,
+        ...(status ? { expectedStatus: status } : {}),
+        responseShape: content?.schema ? schemaToShape(content.schema) : null,
+        operationId:  op.operationId,
+      });
+    }
+  }
+
+  return endpoints;
+}
+
+/**
+ * Prompt for analysis when no free-text prompt was given.
+ */
+export function specPrompt(spec, endpoints) {
+  const info = spec.info || {};
+  return [
+    `${info.title || 'API'}${info.description ? ` — ${info.description.trim()}` : ''}`,
+    `Implements this OpenAPI contract (${endpoints.length} operations):`,
+    ...endpoints.map(e => `- ${e.method} ${e.path}${e.requiresAuth ? ' (auth)' : ''}${e.description ? ` — ${e.description}` : ''}`),
+  ].join('\n');
+}
+
+/**
+ * Spec text for the code generator, within the context budget. A longer spec
+ * is cut with a warning — operations and schemas past the cut are not seen.
+ */
+export function specForCodegen(text) {
+  if (text.length <= SPEC_BUDGET) return text;
+  log('warning', `The spec has ${text.length} characters — only the first ${SPEC_BUDGET} are sent to code generation, the rest of its paths and schemas are left out`);
+  return `${text.slice(0, SPEC_BUDGET)}\n# … (truncated)`;
+}
@@ -0,0 +1,56 @@
+import { promises as fs } from 'fs';
+import { join }           from 'path';
+
+// ─── Endpoint test history (<project>/.vbs/test-history.json) ─────────────────
+// One entry per run — the build's Phase 7 and every `vbs test`.
+
+const HISTORY_DIR  = '.vbs';
+const HISTORY_FILE = 'test-history.json';
+const MAX_RUNS     = 50;
+
+function historyPath(projectDir) {
+  return join(projectDir, HISTORY_DIR, HISTORY_FILE);
+}
+
+/**
+ * All recorded runs, oldest first. Empty when nothing was recorded yet.
+ */
+export async function loadTestHistory(projectDir) {
+  try {
+    return JSON.parse(await fs.readFile(historyPath(projectDir), 'utf8')).runs || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append a run; only the last MAX_RUNS are kept.
+ * @param {string} projectDir
+ * @param {object} run - { at, source: 'build' | 'vbs test', baseUrl, results }
+ */
+export async function saveTestRun(projectDir, run) {
+  const runs = [...await loadTestHistory(projectDir), run].slice(-MAX_RUNS);
+  await fs.mkdir(join(projectDir, HISTORY_DIR), { recursive: true });
+  await fs.writeFile(historyPath(projectDir), JSON.stringify({ runs }, null, 2), 'utf8');
+}
+
+/**
+ * Stable name of a result row. Protected endpoints have two rows — the
+ * tokenless guard check keeps the plain name, the authorised one gets "[token]".
+ */
+export function resultKey(r) {
+  return `${r.method} ${r.path}${r.auth === 'token' ? ' [token]' : ''}`;
+}
+
+/**
+ * Endpoints that passed in the previous run and fail now.
+ * @returns {Array<{ key, before, after }>}
+ */
+export function findRegressions(previous, results) {
+  if (!previous) return [];
+  const before = new Map(previous.results.map(r => [resultKey(r), r]));
+
+  return results
+    .filter(r => !r.passed && before.get(resultKey(r))?.passed)
+    .map(r => ({ key: resultKey(r), before: before.get(resultKey(r)), after: r }));
+}
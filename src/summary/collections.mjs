@@ -0,0 +1,266 @@
+import { tagOf } from './openapi.mjs';
+import { findAuthEndpoints, loginBody, orderCrud, TOKEN_KEYS } from '../system/tester.mjs';
+
+// ─── API client collections (vbs export-collection) ──────────────────────────
+// Postman v2.1, Insomnia v4 export and a REST Client .http file, built from the
+// endpoint descriptors in config.vbs. Every format has a baseUrl variable, a
+// token variable filled by the login (or register) response, and one variable
+// per path parameter (default "1").
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const DEFAULT_PARAM = '1';
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Public base URL of the project's API. Fullstack sites reach the backend
+ * through nginx at /api (the prefix is stripped before the backend).
+ *
+ * @param {object} cfg - config.vbs
+ */
+export function defaultBaseUrl(cfg) {
+  const host = cfg.server?.ip || process.env.SERVER_IPV4?.trim() || 'localhost';
+  if (cfg.type === 'fullstack' && cfg.server?.nginxConfig) return `http://${host}/api`;
+  return `http://${host}:${cfg.backend?.port || 3000}`;
+}
+
+// ── Shared ────────────────────────────────────────────────────────────────────
+
+/** Path parameter names: /posts/:postId/comments/{id} → ['postId', 'id'] */
+function pathParams(path) {
+  return [...path.matchAll(/[:{](\w+)}?/g)].map(m => m[1]);
+}
+
+/** /posts/:id → /posts/{{id}} (or another variable syntax) */
+function templatePath(path, wrap) {
+  return path.replace(/[:{](\w+)}?/g, (_, name) => wrap(name));
+}
+
+/**
+ * JSONPath of the token in a register/login response, from its responseShape.
+ * Falls back to a deep search for "token".
+ */
+function tokenPath(endpoint) {
+  const queue = [[endpoint?.responseShape, '$']];
+  while (queue.length > 0) {
+    const [shape, path] = queue.shift();
+    if (!shape || typeof shape !== 'object' || Array.isArray(shape)) continue;
+    const key = TOKEN_KEYS.find(k => k in shape);
+    if (key) return `${path}.${key}`;
+    for (const [k, v] of Object.entries(shape)) queue.push([v, `${path}.${k}`]);
+  }
+  return '$..token';
+}
+
+/**
+ * Requests in the order a runner should send them: auth first, then CRUD
+ * chains (create → read → update → delete). Login reuses the register credentials.
+ */
+function collectRequests(cfg) {
+  const endpoints           = cfg.endpoints || [];
+  const { register, login } = findAuthEndpoints(endpoints);
+  const auth                = [register, login].filter(Boolean);
+
+  return [...auth, ...orderCrud(endpoints.filter(e => !auth.includes(e)))].map(ep => ({
+    endpoint: ep,
+    name:     `${ep.method} ${ep.path}`,
+    folder:   tagOf(ep.path),
+    body:     BODY_METHODS.includes(ep.method)
+      ? (ep === login ? loginBody(login, register?.exampleBody) : ep.exampleBody) ?? null
+      : null,
+    // The login response sets the token; register does too when there is no login
+    setsToken: ep === (login || register),
+  }));
+}
+
+function variableNames(requests) {
+  return [...new Set(requests.flatMap(r => pathParams(r.endpoint.path)))];
+}
+
+/** Group requests into folders, keeping the order of first appearance. */
+function groupByFolder(requests) {
+  const folders = new Map();
+  for (const r of requests) {
+    if (!folders.has(r.folder)) folders.set(r.folder, []);
+    folders.get(r.folder).push(r);
+  }
+  return folders;
+}
+
+// ── Postman ───────────────────────────────────────────────────────────────────
+
+function postmanTokenScript() {
+  return [
+    `const keys = ${JSON.stringify(TOKEN_KEYS)};`,
+    'const find = o => {',
+    "  if (!o || typeof o !== 'object') return null;",
+    "  for (const k of keys) if (typeof o[k] === 'string' && o[k]) return o[k];",
+    '  for (const v of Object.values(o)) { const t = find(v); if (t) return t; }',
+    '  return null;',
+    '};',
+    'let token = null;',
+    'try { token = find(pm.response.json()); } catch (e) {}',
+    "if (token) pm.collectionVariables.set('token', token);",
+  ];
+}
+
+function postmanRequest(r) {
+  const ep   = r.endpoint;
+  const path = templatePath(ep.path, name => `{{${name}}}`);
+
+  const request = {
+    method: ep.method,
+    header: r.body !== null ? [{ key: 'Content-Type', value: 'application/json' }] : [],
+    url: {
+      raw:  `{{baseUrl}}${path}`,
+      host: ['{{baseUrl}}'],
+      path: path.split('/').filter(Boolean),
+    },
+    ...(ep.description ? { description: ep.description } : {}),
+    // The collection sends the bearer token; public routes opt out
+    ...(ep.requiresAuth ? {} : { auth: { type: 'noauth' } }),
+    ...(r.body !== null
+      ? { body: { mode: 'raw', raw: JSON.stringify(r.body, null, 2), options: { raw: { language: 'json' } } } }
+      : {}),
+  };
+
+  return {
+    name: r.name,
+    ...(r.setsToken
+      ? { event: [{ listen: 'test', script: { type: 'text/javascript', exec: postmanTokenScript() } }] }
+      : {}),
+    request,
+  };
+}
+
+/**
+ * Postman collection (v2.1).
+ *
+ * @param {object} cfg     - config.vbs
+ * @param {string} baseUrl
+ * @returns {object}
+ */
+export function toPostman(cfg, baseUrl) {
+  const requests = collectRequests(cfg);
+
+  return {
+    info: {
+      name:        cfg.name,
+      description: cfg.prompt || `${cfg.name} API`,
+      schema:      POSTMAN_SCHEMA,
+    },
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] },
+    variable: [
+      { key: 'baseUrl', value: baseUrl },
+      { key: 'token',   value: '' },
+      ...variableNames(requests).map(name => ({ key: name, value: DEFAULT_PARAM })),
+    ],
+    item: [...groupByFolder(requests)].map(([folder, items]) => ({
+      name: folder,
+      item: items.map(postmanRequest),
+    })),
+  };
+}
+
+// ── Insomnia ──────────────────────────────────────────────────────────────────
+
+/** Insomnia encodes template tag arguments as b64::<base64>::46b */
+function insomniaArg(value) {
+  return `b64::${Buffer.from(value).toString('base64')}::46b`;
+}
+
+/**
+ * Insomnia export (format 4). The token variable is a response tag: it sends
+ * the login request when it has no response yet and reads the token from it.
+ *
+ * @param {object} cfg     - config.vbs
+ * @param {string} baseUrl
+ * @returns {object}
+ */
+export function toInsomnia(cfg, baseUrl) {
+  const requests = collectRequests(cfg);
+  const slug     = cfg.name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const wrkId    = `wrk_vbs_${slug}`;
+  const reqId    = i => `req_vbs_${slug}_${i}`;
+  const source   = requests.findIndex(r => r.setsToken);
+
+  const data = { baseUrl };
+  if (source >= 0) {
+    const path = tokenPath(requests[source].endpoint);
+    data.token = `{% response 'body', '${reqId(source)}', '${insomniaArg(path)}', 'no-history', 60 %}`;
+  }
+  for (const name of variableNames(requests)) data[name] = DEFAULT_PARAM;
+
+  const resources = [
+    { _id: wrkId, _type: 'workspace', name: cfg.name, description: cfg.prompt || '', scope: 'collection' },
+    { _id: `env_vbs_${slug}`, _type: 'environment', parentId: wrkId, name: 'Base Environment', data },
+  ];
+
+  const folders = [...groupByFolder(requests).keys()];
+  folders.forEach((folder, i) => {
+    resources.push({ _id: `fld_vbs_${slug}_${i}`, _type: 'request_group', parentId: wrkId, name: folder, metaSortKey: i });
+  });
+
+  requests.forEach((r, i) => {
+    const ep = r.endpoint;
+    resources.push({
+      _id:         reqId(i),
+      _type:       'request',
+      parentId:    `fld_vbs_${slug}_${folders.indexOf(r.folder)}`,
+      name:        r.name,
+      description: ep.description || '',
+      method:      ep.method,
+      url:         `{{ _.baseUrl }}${templatePath(ep.path, name => `{{ _.${name} }}`)}`,
+      headers:     r.body !== null ? [{ name: 'Content-Type', value: 'application/json' }] : [],
+      body:        r.body !== null ? { mimeType: 'application/json', text: JSON.stringify(r.body, null, 2) } : {},
+      authentication: ep.requiresAuth ? { type: 'bearer', token: '{{ _.token }}' } : {},
+      metaSortKey: i,
+    });
+  });
+
+  return {
+    _type:            'export',
+    __export_format:  4,
+    __export_date:    new Date().toISOString(),
+    __export_source:  'vbs',
+    resources,
+  };
+}
+
+// ── .http (VS Code REST Client) ───────────────────────────────────────────────
+
+/**
+ * .http file for the VS Code REST Client. Named requests let @token read the
+ * login response: {{login.response.body.$.token}}.
+ *
+ * @param {object} cfg     - config.vbs
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function toHttpFile(cfg, baseUrl) {
+  const requests = collectRequests(cfg);
+  const source   = requests.find(r => r.setsToken);
+
+  const lines = [
+    `# ${cfg.name} — ${(cfg.endpoints || []).length} endpoint(s)`,
+    `# Generated by VBS. Send "${source ? source.name : 'a request'}" first to fill @token.`,
+    '',
+    `@baseUrl = ${baseUrl}`,
+    source
+      ? `@token = {{auth.response.body.${tokenPath(source.endpoint)}}}`
+      : '@token =',
+    ...variableNames(requests).map(name => `@${name} = ${DEFAULT_PARAM}`),
+  ];
+
+  for (const r of requests) {
+    const ep = r.endpoint;
+    lines.push('', `### ${ep.description || r.name}`);
+    if (r.setsToken) lines.push('# @name auth');
+    lines.push(`${ep.method} {{baseUrl}}${templatePath(ep.path, name => `{{${name}}}`)}`);
+    if (ep.requiresAuth) lines.push('Authorization: Bearer {{token}}');
+    if (r.body !== null) lines.push('Content-Type: application/json', '', JSON.stringify(r.body, null, 2));
+  }
+
+  return lines.join('\n') + '\n';
+}
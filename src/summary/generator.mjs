@@ -1,6 +1,8 @@
 import { promises as fs } from 'fs';
 import { join }           from 'path';
 import { shell }          from '../system/executor.mjs';
+import { formatDiff }     from '../system/contract.mjs';
+import { loadTestHistory } from '../projects/test-history.mjs';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -84,7 +86,9 @@ function buildTestResults(testResults) {
 
   for (const r of testResults) {
     const mark = r.passed ? '✔' : '✖';
-    out += `  ${mark}  ${r.method.padEnd(6)} ${r.path.padEnd(32)} → ${String(r.status || 'ERR').padEnd(4)} (${r.time}ms)\n`;
+    const path = r.auth ? `${r.path} (${r.auth === 'token' ? 'token' : 'no token'})` : r.path;
+    out += `  ${mark}  ${r.method.padEnd(6)} ${path.padEnd(32)} → ${String(r.status || 'ERR').padEnd(4)} (${r.time}ms)\n`;
+    for (const d of r.diff || []) out += `         ${formatDiff(d)}\n`;
   }
 
   return out;
@@ -130,6 +134,7 @@ export async function generateSummary({
   Port:       ${port}
   Process:    pm2 (name: ${projectName})
   URL:        http://${serverIp}:${port}
+  API docs:   http://${serverIp}:${port}/docs/  (openapi.json: ${projectDir}/docs/openapi.json)
 
   pm2 start:    pm2 start ${projectName}
   pm2 stop:     pm2 stop ${projectName}
@@ -152,6 +157,7 @@ export async function generateSummary({
   Backend:    port ${backendPort}  ·  pm2: ${projectName}-api
   Frontend:   ${nginxConfig ? 'nginx (static/proxy)' : `port ${frontendPort}  ·  pm2: ${projectName}-front`}
   ${nginxConfig ? `nginx:      ${nginxConfig}\n  URL:        http://${serverIp}  (/api → :${backendPort}, / → frontend)` : `Backend URL:  http://${serverIp}:${backendPort}`}
+  API docs:   ${nginxConfig ? `http://${serverIp}/docs/` : `http://${serverIp}:${backendPort}/docs/`}  (openapi.json: ${projectDir}/backend/docs/openapi.json)
 
   pm2 restart:  pm2 restart ${projectName}-api
   pm2 logs:     pm2 logs ${projectName}-api
@@ -207,3 +213,50 @@ export async function writeSummaryFiles(summary, projectDir) {
   await fs.writeFile(join(projectDir, 'summary.txt'), summary, 'utf8');
   await fs.writeFile(join(process.cwd(), 'summary.txt'), summary, 'utf8');
 }
+
+// ─── Regeneration (vbs modify / vbs undo) ─────────────────────────────────────
+
+/**
+ * AI NOTES of an existing summary.txt — written once by the build, kept on regeneration.
+ */
+function previousNotes(summary) {
+  const m = summary.match(/\nAI NOTES\n([\s\S]*?)\n\nENVIRONMENT\n/);
+  if (!m) return null;
+  const notes = m[1].split('\n').map(l => l.replace(/^ {2}/, '')).join('\n').trim();
+  return notes === 'No notes available.' ? null : notes;
+}
+
+/**
+ * Rewrite <project>/summary.txt from config.vbs, the latest recorded test run
+ * and the AI notes of the previous summary.
+ *
+ * @param {string} projectDir
+ * @param {object} config  - config.vbs
+ * @param {string} version - VBS version
+ * @returns {Promise<string>} path of the written summary.txt
+ */
+export async function regenerateSummary(projectDir, config, version) {
+  const path     = join(projectDir, 'summary.txt');
+  const existing = await fs.readFile(path, 'utf8').catch(() => '');
+  const lastRun  = (await loadTestHistory(projectDir)).at(-1);
+
+  const summary = await generateSummary({
+    projectName:  config.name,
+    projectDir,
+    projectType:  config.type,
+    stack:        config.stack,
+    port:         config.backend?.port || config.frontend?.port,
+    backendPort:  config.backend?.port,
+    frontendPort: config.frontend?.port,
+    frontendFramework: config.frontend?.framework,
+    endpoints:    config.endpoints || [],
+    testResults:  lastRun?.results || [],
+    aiNotes:      previousNotes(existing),
+    answers:      config.answers,
+    serverIp:     config.server?.ip,
+    version,
+    nginxConfig:  config.server?.nginxConfig,
+  });
+  await fs.writeFile(path, summary, 'utf8');
+  return path;
+}
@@ -0,0 +1,209 @@
+import { promises as fs } from 'fs';
+import { join, dirname }  from 'path';
+
+// ─── OpenAPI 3 spec + Swagger UI (docs/) ──────────────────────────────────────
+// Built from the endpoint descriptors in config.vbs. The backend serves docs/
+// at /docs (codegen rule); fullstack nginx also serves it at /docs/.
+
+const DOCS_DIR = 'docs';
+
+// Exact version + Subresource Integrity hashes: the CDN can only serve these bytes
+const SWAGGER_UI_VERSION = '5.33.1';
+const SWAGGER_UI_ASSETS  = {
+  'swagger-ui.css':       'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW',
+  'swagger-ui-bundle.js': 'sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw',
+};
+
+/**
+ * Directory the docs are written to — the backend package root.
+ * @returns {string|null} null for frontend-only projects
+ */
+export function apiDocsDir(projectDir, projectType) {
+  if (projectType === 'frontend') return null;
+  return projectType === 'fullstack' ? join(projectDir, 'backend', DOCS_DIR) : join(projectDir, DOCS_DIR);
+}
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+
+/**
+ * responseShape (see system/contract.mjs) → JSON schema.
+ */
+function shapeToSchema(shape) {
+  if (typeof shape === 'string') {
+    const nullable = shape.endsWith('?');
+    let   type     = shape.replace(/\?$/, '').toLowerCase();
+    if (type === 'integer') type = 'number';
+    if (!['string', 'number', 'boolean', 'object', 'array'].includes(type)) return nullable ? { nullable } : {};
+    return nullable ? { type, nullable } : { type };
+  }
+  if (Array.isArray(shape)) {
+    return { type: 'array', items: shape.length > 0 ? shapeToSchema(shape[0]) : {} };
+  }
+  if (shape && typeof shape === 'object') {
+    const required = Object.entries(shape)
+      .filter(([, v]) => !(typeof v === 'string' && v.endsWith('?')))
+      .map(([k]) => k);
+    return {
+      type:       'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([k, v]) => [k, shapeToSchema(v)])),
+      ...(required.length > 0 ? { required } : {}),
+    };
+  }
+  return {};
+}
+
+/**
+ * Schema inferred from an example value (exampleBody).
+ */
+function exampleToSchema(value) {
+  if (value === null)       return { nullable: true };
+  if (Array.isArray(value)) return { type: 'array', items: value.length > 0 ? exampleToSchema(value[0]) : {} };
+  if (typeof value === 'object') {
+    return {
+      type:       'object',
+      properties: Object.fromEntries(Object.entries(value).map(([k, v]) => [k, exampleToSchema(v)])),
+    };
+  }
+  return { type: typeof value === 'number' ? 'number' : typeof value };
+}
+
+// ── Spec ──────────────────────────────────────────────────────────────────────
+
+/** /posts/:id → /posts/{id} */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function operationId(method, path, taken) {
+  const words = path.split('/').filter(Boolean).map(p => {
+    const param = /^[:{](\w+)}?$/.exec(p);
+    return param ? `By${param[1][0].toUpperCase()}${param[1].slice(1)}` : p.replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c || '').toUpperCase());
+  });
+  const base = method.toLowerCase() + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  let   id   = base;
+  for (let i = 2; taken.has(id); i++) id = `${base}${i}`;
+  taken.add(id);
+  return id;
+}
+
+/** First path segment that is not "api" / a version — groups operations in Swagger UI. */
+export function tagOf(path) {
+  const parts = path.split('/').filter(p => p && !/^(api|v\d+)$/i.test(p) && !/^[:{]/.test(p));
+  return parts[0] || 'default';
+}
+
+/**
+ * Build an OpenAPI 3 document from config.vbs.
+ *
+ * @param {object} cfg       - config.vbs (name, type, prompt, endpoints, spec)
+ * @param {string} [version] - info.version — defaults to the input spec's version, else 1.0.0
+ * @returns {object}
+ */
+export function buildOpenApi(cfg, version = cfg.spec?.version || '1.0.0') {
+  const paths = {};
+  const taken = new Set();
+  let   auth  = false;
+
+  for (const ep of cfg.endpoints || []) {
+    const path   = toOpenApiPath(ep.path);
+    const method = ep.method.toLowerCase();
+    const params = [...path.matchAll(/\{(\w+)\}/g)].map(m => ({
+      name: m[1], in: 'path', required: true, schema: { type: 'string' },
+    }));
+
+    const status    = String(ep.expectedStatus || 200);
+    const responses = {
+      [status]: {
+        description: 'Success',
+        ...(ep.responseShape ? { content: { 'application/json': { schema: shapeToSchema(ep.responseShape) } } } : {}),
+      },
+    };
+    if (ep.requiresAuth) responses['401'] = { description: 'Missing or invalid token' };
+
+    paths[path] ??= {};
+    paths[path][method] = {
+      tags:        [tagOf(ep.path)],
+      summary:     ep.description || `${ep.method} ${ep.path}`,
+      operationId: operationId(ep.method, ep.path, taken),
+      ...(params.length > 0 ? { parameters: params } : {}),
+      ...(ep.exampleBody && ['post', 'put', 'patch'].includes(method)
+        ? {
+            requestBody: {
+              required: true,
+              content:  { 'application/json': { schema: exampleToSchema(ep.exampleBody), example: ep.exampleBody } },
+            },
+          }
+        : {}),
+      ...(ep.requiresAuth ? { security: [{ bearerAuth: [] }] } : {}),
+      responses,
+    };
+    if (ep.requiresAuth) auth = true;
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title:       cfg.name,
+      version:     String(version),
+      description: cfg.prompt || `${cfg.name} API`,
+    },
+    // fullstack: nginx proxies /api/* to the backend; api: same origin as the docs
+    servers: [{ url: cfg.type === 'fullstack' ? '/api' : '/' }],
+    paths,
+    ...(auth
+      ? { components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } } } }
+      : {}),
+  };
+}
+
+function swaggerAsset(file) {
+  return `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/${file}`;
+}
+
+/**
+ * Swagger UI page for docs/openapi.json.
+ */
+export function swaggerHtml(title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${title.replace(/</g, '&lt;')} — API docs</title>
+  <link rel="stylesheet" href="${swaggerAsset('swagger-ui.css')}" integrity="${SWAGGER_UI_ASSETS['swagger-ui.css']}" crossorigin="anonymous" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${swaggerAsset('swagger-ui-bundle.js')}" integrity="${SWAGGER_UI_ASSETS['swagger-ui-bundle.js']}" crossorigin="anonymous"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: './openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write docs/openapi.json and the Swagger UI page for a project.
+ *
+ * @param {string} projectDir
+ * @param {object} cfg - config.vbs
+ * @returns {Promise<string|null>} path of openapi.json, null when there is nothing to document
+ */
+export async function writeApiDocs(projectDir, cfg) {
+  const dir = apiDocsDir(projectDir, cfg.type);
+  if (!dir || !(cfg.endpoints?.length > 0)) return null;
+
+  // The input spec's version, else the version of the backend package
+  let version = cfg.spec?.version;
+  if (!version) {
+    try {
+      version = JSON.parse(await fs.readFile(join(dirname(dir), 'package.json'), 'utf8')).version;
+    } catch {}
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const specPath = join(dir, 'openapi.json');
+  await fs.writeFile(specPath, JSON.stringify(buildOpenApi(cfg, version || undefined), null, 2), 'utf8');
+  await fs.writeFile(join(dir, 'index.html'), swaggerHtml(cfg.name), 'utf8');
+  return specPath;
+}
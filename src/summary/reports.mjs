@@ -0,0 +1,65 @@
+import { resultKey }  from '../projects/test-history.mjs';
+import { formatDiff } from '../system/contract.mjs';
+
+// ─── Machine-readable endpoint test reports (vbs test --report) ──────────────
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/**
+ * JUnit XML — one <testcase> per endpoint; regressions are marked in the message.
+ *
+ * @param {string} projectName
+ * @param {object} run          - { at, baseUrl, results }
+ * @param {Array}  regressions  - From findRegressions()
+ */
+export function toJUnit(projectName, run, regressions = []) {
+  const regressed = new Set(regressions.map(r => r.key));
+  const failures  = run.results.filter(r => !r.passed).length;
+  const totalTime = run.results.reduce((s, r) => s + r.time, 0) / 1000;
+
+  const cases = run.results.map(r => {
+    const name = resultKey(r);
+    const head = `    <testcase classname="${escapeXml(projectName)}" name="${escapeXml(name)}" time="${(r.time / 1000).toFixed(3)}"`;
+    if (r.passed) return `${head} />`;
+
+    const message = `HTTP ${r.status || 'ERR'} — ${r.note}${regressed.has(name) ? ' (regression)' : ''}`;
+    return `${head}>
+      <failure message="${escapeXml(message)}">${escapeXml([...(r.diff || []).map(formatDiff), r.body || ''].join('\n'))}</failure>
+    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="vbs" tests="${run.results.length}" failures="${failures}" time="${totalTime.toFixed(3)}">
+  <testsuite name="${escapeXml(projectName)}" tests="${run.results.length}" failures="${failures}" timestamp="${run.at}" time="${totalTime.toFixed(3)}">
+    <properties>
+      <property name="baseUrl" value="${escapeXml(run.baseUrl)}" />
+    </properties>
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * JSON report — the run plus pass/fail counts and regressions.
+ */
+export function toJSONReport(projectName, run, regressions = []) {
+  return JSON.stringify({
+    project:     projectName,
+    at:          run.at,
+    baseUrl:     run.baseUrl,
+    total:       run.results.length,
+    passed:      run.results.filter(r => r.passed).length,
+    failed:      run.results.filter(r => !r.passed).length,
+    regressions: regressions.map(r => ({ endpoint: r.key, before: r.before.status, after: r.after.status, note: r.after.note })),
+    results:     run.results,
+  }, null, 2);
+}
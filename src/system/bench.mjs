@@ -0,0 +1,211 @@
+import { performance } from 'perf_hooks';
+import { findAuthEndpoints, resolvePath, extractId, testEndpoint } from './tester.mjs';
+
+// ─── Load / latency benchmark (vbs bench) ─────────────────────────────────────
+// Workers fire requests back-to-back for a fixed duration, each picking an
+// endpoint from the weighted mix. Built on the same endpoint descriptors as
+// the tester, including its token and created-record ids.
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+function endpointKey(e) {
+  return `${e.method} ${e.path}`;
+}
+
+/**
+ * Collection a POST adds to (/api/posts), or null when the endpoint is not a create.
+ */
+function createdCollection(e) {
+  if (e.method !== 'POST' || /\/[:{][^/]*\/?$/.test(e.path)) return null;
+  return e.path.replace(/\/$/, '');
+}
+
+/**
+ * Parse a request mix: "GET /api/posts=3, GET /api/posts/:id=1" (weight defaults to 1).
+ * Without a spec every GET endpoint except auth gets weight 1 — writes only
+ * run when asked for.
+ *
+ * @returns {Array<{ endpoint, weight }>}
+ * @throws when the spec names an endpoint that is not in config.vbs
+ */
+export function parseMix(spec, endpoints) {
+  if (!spec) {
+    const { register, login } = findAuthEndpoints(endpoints);
+    return endpoints
+      .filter(e => e.method === 'GET' && e !== register && e !== login)
+      .map(endpoint => ({ endpoint, weight: 1 }));
+  }
+
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+    const m = /^([A-Za-z]+)\s+(\S+?)(?:=(\d+(?:\.\d+)?))?$/.exec(item);
+    if (!m) throw new Error(`Invalid --mix entry "${item}" (expected "METHOD /path=weight")`);
+
+    const key      = `${m[1].toUpperCase()} ${m[2]}`;
+    const endpoint = endpoints.find(e => endpointKey(e) === key);
+    if (!endpoint) throw new Error(`--mix: ${key} is not an endpoint of this project`);
+
+    const weight = m[3] !== undefined ? parseFloat(m[3]) : 1;
+    if (!(weight > 0)) throw new Error(`--mix: weight of ${key} must be greater than 0`);
+    return { endpoint, weight };
+  });
+}
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(latencies, errors, elapsedSec) {
+  const sorted = Float64Array.from(latencies).sort();
+  const round  = n => Math.round(n * 10) / 10;
+  return {
+    requests:  latencies.length,
+    rps:       round(latencies.length / elapsedSec),
+    p50:       round(percentile(sorted, 50)),
+    p95:       round(percentile(sorted, 95)),
+    p99:       round(percentile(sorted, 99)),
+    errors,
+    errorRate: latencies.length ? round((errors / latencies.length) * 100) : 0,
+  };
+}
+
+function trackCreated(created, collection, body) {
+  let id;
+  try {
+    id = extractId(JSON.parse(Buffer.from(body).toString('utf8')));
+  } catch (_) { /* not JSON — nothing to clean up by id */ }
+  if (id === undefined) return;
+  if (!created.has(collection)) created.set(collection, []);
+  created.get(collection).push(id);
+}
+
+/**
+ * Delete the records that POSTs in the mix created, through the DELETE
+ * endpoint of each collection (/api/posts → DELETE /api/posts/:id).
+ *
+ * @param {Map} created - From runBenchmark(): collection → ids
+ * @param {Map} ids     - Setup records, for the parent parameters of nested collections
+ * @returns {Promise<{ deleted: number, remaining: number }>} remaining — no DELETE endpoint, or the request failed
+ */
+export async function deleteCreated(baseUrl, endpoints, created, ids, token) {
+  let deleted   = 0;
+  let remaining = 0;
+
+  for (const [collection, list] of created) {
+    const endpoint = endpoints.find(e =>
+      e.method === 'DELETE' &&
+      /\/[:{][^/]*\/?$/.test(e.path) &&
+      e.path.replace(/\/[^/]+\/?$/, '') === collection
+    );
+    if (!endpoint) { remaining += list.length; continue; }
+
+    for (const id of list) {
+      const { path } = resolvePath(endpoint.path, new Map(ids).set(collection, id));
+      const result   = await testEndpoint(baseUrl, endpoint, { path, token: endpoint.requiresAuth ? token : null, contract: false });
+      if ((result.status >= 200 && result.status < 300) || result.status === 404) deleted++;
+      else remaining++;
+    }
+  }
+
+  return { deleted, remaining };
+}
+
+/**
+ * Run the benchmark.
+ *
+ * @param {string} baseUrl
+ * @param {Array}  mix                  - From parseMix()
+ * @param {object} opts
+ * @param {number} opts.concurrency     - Parallel workers
+ * @param {number} opts.durationMs
+ * @param {string} [opts.token]         - Bearer token for requiresAuth endpoints
+ * @param {Map}    [opts.ids]           - Created records (tester.createRecords) for path parameters
+ * @param {Map}    [opts.created]       - Filled with collection → ids of the records POSTs in the mix created
+ * @param {Function} [opts.onTick]      - Called every 500 ms with { elapsedMs, requests }
+ * @returns {Promise<object>} { elapsedMs, total, endpoints: [{ key, ...stats, statuses }] }
+ */
+export async function runBenchmark(baseUrl, mix, { concurrency, durationMs, token = null, ids = new Map(), created = new Map(), onTick = null }) {
+  const targets = mix.map(({ endpoint, weight }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (endpoint.requiresAuth && token) headers.Authorization = `Bearer ${token}`;
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(endpoint.method) && endpoint.exampleBody
+      ? JSON.stringify(endpoint.exampleBody)
+      : undefined;
+
+    return {
+      key:       endpointKey(endpoint),
+      creates:   createdCollection(endpoint),
+      url:       baseUrl + resolvePath(endpoint.path, ids).path,
+      init:      { method: endpoint.method, headers, body },
+      weight,
+      latencies: [],
+      errors:    0,
+      statuses:  {},
+    };
+  });
+
+  const totalWeight = targets.reduce((s, t) => s + t.weight, 0);
+  const pick = () => {
+    let r = Math.random() * totalWeight;
+    for (const t of targets) {
+      if ((r -= t.weight) < 0) return t;
+    }
+    return targets[targets.length - 1];
+  };
+
+  let requests = 0;
+  const started = performance.now();
+  const end     = started + durationMs;
+
+  const worker = async () => {
+    while (performance.now() < end) {
+      const target = pick();
+      const t0     = performance.now();
+      let   status = 0;
+      let   body   = null;
+      try {
+        const res = await fetch(target.url, { ...target.init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        body   = await res.arrayBuffer();   // latency includes the body
+        status = res.status;
+      } catch (_) { /* status 0 — connection error / timeout */ }
+
+      target.latencies.push(performance.now() - t0);
+      if (target.creates && status >= 200 && status < 300) trackCreated(created, target.creates, body);
+      target.statuses[status] = (target.statuses[status] || 0) + 1;
+      if (status === 0 || status >= 400) target.errors++;
+      requests++;
+
+      // Refused connections fail instantly — don't spin the CPU
+      if (status === 0) await new Promise(r => setTimeout(r, 50));
+    }
+  };
+
+  const ticker = onTick && setInterval(() => onTick({ elapsedMs: performance.now() - started, requests }), 500);
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  } finally {
+    if (ticker) clearInterval(ticker);
+  }
+
+  const elapsedMs  = performance.now() - started;
+  const elapsedSec = elapsedMs / 1000;
+
+  return {
+    elapsedMs: Math.round(elapsedMs),
+    total: summarize(
+      targets.flatMap(t => t.latencies),
+      targets.reduce((s, t) => s + t.errors, 0),
+      elapsedSec
+    ),
+    endpoints: targets.map(t => ({
+      key:      t.key,
+      weight:   t.weight,
+      ...summarize(t.latencies, t.errors, elapsedSec),
+      statuses: t.statuses,
+    })),
+  };
+}
@@ -0,0 +1,112 @@
+// ─── Endpoint response contracts ──────────────────────────────────────────────
+// codegen emits `expectedStatus` and `responseShape` per endpoint (stored in
+// config.vbs). A shape is a JSON skeleton with type names as values:
+//   { "data": [{ "id": "number", "title": "string", "note": "string?" }] }
+// "?" marks a nullable / optional value; [item] describes every array element
+// (only the first is checked); extra keys in the response are allowed.
+
+// Differences reported per response — enough to spot the pattern
+const MAX_DIFFS = 8;
+
+const TYPES = ['string', 'number', 'boolean', 'object', 'array', 'null', 'any'];
+
+function typeOf(value) {
+  if (value === null)       return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function compareShape(value, shape, path, diff) {
+  if (diff.length >= MAX_DIFFS) return;
+
+  if (typeof shape === 'string') {
+    const optional = shape.endsWith('?');
+    let   type     = shape.replace(/\?$/, '').toLowerCase();
+    if (type === 'integer') type = 'number';
+    if (!TYPES.includes(type) || type === 'any') return;   // free-text descriptions are not checked
+
+    if (value === undefined || value === null) {
+      if (!optional && type !== 'null') diff.push({ path, expected: type, actual: value === null ? 'null' : 'missing' });
+      return;
+    }
+    if (typeOf(value) !== type) diff.push({ path, expected: type, actual: typeOf(value) });
+    return;
+  }
+
+  if (value === undefined) {
+    diff.push({ path, expected: Array.isArray(shape) ? 'array' : 'object', actual: 'missing' });
+    return;
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) {
+      diff.push({ path, expected: 'array', actual: typeOf(value) });
+    } else if (shape.length > 0 && value.length > 0) {
+      compareShape(value[0], shape[0], `${path}[0]`, diff);
+    }
+    return;
+  }
+
+  if (shape && typeof shape === 'object') {
+    if (typeOf(value) !== 'object') {
+      diff.push({ path, expected: 'object', actual: typeOf(value) });
+      return;
+    }
+    for (const [key, sub] of Object.entries(shape)) compareShape(value[key], sub, `${path}.${key}`, diff);
+  }
+}
+
+/**
+ * Does the endpoint declare a contract? Older config.vbs files don't.
+ */
+export function hasContract(endpoint) {
+  return endpoint.expectedStatus !== undefined || endpoint.responseShape !== undefined;
+}
+
+/**
+ * Compare a response with the endpoint's contract.
+ *
+ * @param {object} endpoint - { expectedStatus, responseShape }
+ * @param {object} response - { status, contentType, json }
+ * @returns {Array<{ path, expected, actual }>} empty when the response matches
+ */
+export function checkContract(endpoint, { status, contentType, json }) {
+  const diff = [];
+
+  if (endpoint.expectedStatus !== undefined && status !== endpoint.expectedStatus) {
+    diff.push({ path: 'status', expected: String(endpoint.expectedStatus), actual: String(status) });
+  }
+
+  const shape = endpoint.responseShape;
+  if (shape === undefined || shape === null || diff.length > 0) return diff;
+
+  if (!/application\/(.+\+)?json/i.test(contentType || '')) {
+    diff.push({ path: 'content-type', expected: 'application/json', actual: contentType || 'none' });
+    return diff;
+  }
+  if (json === null) {
+    diff.push({ path: 'body', expected: 'JSON', actual: 'unparsable' });
+    return diff;
+  }
+
+  compareShape(json, shape, '$', diff);
+  return diff;
+}
+
+/**
+ * Short result note for a failed contract.
+ */
+export function contractNote(diff) {
+  const first = diff[0]?.path;
+  if (first === 'status')       return 'Wrong Status';
+  if (first === 'content-type') return 'Not JSON';
+  if (first === 'body')         return 'Bad JSON';
+  return 'Shape Mismatch';
+}
+
+/**
+ * "$.data.id: expected number, got string" — for plain-text outputs.
+ */
+export function formatDiff(d) {
+  return `${d.path}: expected ${d.expected}, got ${d.actual}`;
+}
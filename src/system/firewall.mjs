@@ -1,4 +1,5 @@
 import { exec } from './executor.mjs';
+import { recordChange } from './journal.mjs';
 import { createSpinner, spinnerSuccess, spinnerFail, spinnerWarn } from '../ui/spinner.mjs';
 
 /**
@@ -17,8 +18,12 @@ export async function setupFirewall(port) {
     return false;
   }
 
+  // Already-open ports are not journaled — a rollback must not close them
+  const alreadyOpen = await isPortAllowed(port);
+
   const result = await exec('ufw', ['allow', `${port}/tcp`]);
   if (result.success) {
+    if (!alreadyOpen) await recordChange({ type: 'ufw-port', port: String(port) });
     spinnerSuccess(spinner, `Port ${port}/tcp opened ✓`);
     return true;
   }
@@ -26,3 +31,21 @@ export async function setupFirewall(port) {
   spinnerFail(spinner, `Failed to open port ${port}: ${result.stderr.slice(0, 80)}`);
   return false;
 }
+
+async function isPortAllowed(port) {
+  const status = await exec('ufw', ['status']);
+  return status.stdout.split('\n').some(line => line.trim().startsWith(`${port}/tcp `));
+}
+
+/**
+ * Remove the ufw rule opened by setupFirewall().
+ * @param {string|number} port
+ * @returns {Promise<boolean>}
+ */
+export async function closeFirewallPort(port) {
+  const ufwCheck = await exec('which', ['ufw']);
+  if (!ufwCheck.success) return true;
+
+  const result = await exec('ufw', ['delete', 'allow', `${port}/tcp`]);
+  return result.success;
+}
@@ -0,0 +1,99 @@
+import { existsSync } from 'fs';
+import { basename }   from 'path';
+import { exec }         from './executor.mjs';
+import { testEndpoint } from './tester.mjs';
+
+// ─── Runtime health of deployed projects (vbs status) ─────────────────────────
+
+/**
+ * pm2 process table keyed by name.
+ * @returns {Promise<Map<string, { status, uptime, restarts, memory, cpu, outLog, errLog }>>}
+ *          uptime in ms, memory in bytes, cpu in %; empty when pm2 is unavailable
+ */
+export async function readPm2List() {
+  const result = await exec('pm2', ['jlist']);
+  const procs  = new Map();
+  if (!result.success || !result.stdout) return procs;
+
+  let list = [];
+  try {
+    // pm2 may print warnings before the JSON array
+    list = JSON.parse(result.stdout.slice(result.stdout.indexOf('[')));
+  } catch {
+    return procs;
+  }
+
+  for (const p of list) {
+    const env = p.pm2_env || {};
+    procs.set(p.name, {
+      status:   env.status || 'unknown',
+      uptime:   env.status === 'online' && env.pm_uptime ? Date.now() - env.pm_uptime : 0,
+      restarts: env.restart_time ?? 0,
+      memory:   p.monit?.memory ?? 0,
+      cpu:      p.monit?.cpu ?? 0,
+      outLog:   env.pm_out_log_path || null,
+      errLog:   env.pm_err_log_path || null,
+    });
+  }
+  return procs;
+}
+
+/**
+ * Path to probe for a backend: a parameterless GET health/status/ping endpoint
+ * from config.vbs, else "/".
+ */
+export function pickHealthPath(endpoints = []) {
+  const gets = endpoints.filter(e => e.method === 'GET' && !e.path.includes(':'));
+  return gets.find(e => /health|status|ping/i.test(e.path))?.path || '/';
+}
+
+/**
+ * Collect runtime status for one project.
+ *
+ * @param {object}   entry  - Registry entry { name, dir, type }
+ * @param {object}   cfg    - config.vbs (null when missing)
+ * @param {Map}      pm2    - From readPm2List()
+ */
+export async function collectProjectStatus(entry, cfg, pm2) {
+  const processes = [];
+  for (const role of ['backend', 'frontend']) {
+    const name = cfg?.[role]?.pm2Name;
+    if (!name) continue;
+
+    // React SPAs are served by nginx — their pm2 name is never started
+    const spa = role === 'frontend' && !/next/.test(cfg.frontend.framework || '');
+    if (spa) continue;
+
+    processes.push({ role, pm2Name: name, ...(pm2.get(name) || { status: 'missing' }) });
+  }
+
+  let health = null;
+  const port = cfg?.backend?.port || (/next/.test(cfg?.frontend?.framework || '') && cfg?.frontend?.port);
+  if (port) {
+    const path   = cfg.backend ? pickHealthPath(cfg.endpoints) : '/';
+    const result = await testEndpoint(`http://localhost:${port}`, { method: 'GET', path });
+    health = {
+      url:    `http://localhost:${port}${path}`,
+      status: result.status,
+      time:   result.time,
+      ok:     result.passed,
+      note:   result.note,
+    };
+  }
+
+  let nginx = null;
+  if (cfg?.server?.nginxConfig) {
+    const site = basename(cfg.server.nginxConfig);
+    nginx = { site, enabled: existsSync(`/etc/nginx/sites-enabled/${site}`) };
+  }
+
+  return {
+    name:      entry.name,
+    type:      cfg?.type || entry.type || 'api',
+    dir:       entry.dir,
+    dirExists: existsSync(entry.dir),
+    processes,
+    health,
+    nginx,
+  };
+}
@@ -0,0 +1,38 @@
+import { appendJournal } from '../projects/builds.mjs';
+
+// ─── Undo journal of system changes ───────────────────────────────────────────
+// setupFirewall, setupDatabase, the nginx configure*() helpers, pm2 launches and
+// the project directory record what they changed into the active build
+// (~/.vbs/builds/<id>.json → journal[]). rollback.mjs replays it in reverse.
+//
+// Change types:
+//   ufw-port     { port }
+//   pg-user      { user }
+//   pg-database  { name }
+//   nginx-site   { name, previous, wasEnabled }
+//   pm2          { name }
+//   directory    { path }
+
+let _build = null;
+
+/**
+ * Journal system changes into this build for the rest of the process.
+ * @param {object|null} build - Build record (null = stop journaling)
+ */
+export function startJournal(build) {
+  _build = build;
+}
+
+/**
+ * Record one system change. No-op when no build is journaling (e.g. vbs modify).
+ */
+export async function recordChange(change) {
+  if (!_build) return;
+
+  // Relaunches and repeated setup steps journal the same change once
+  const key  = JSON.stringify(change);
+  const seen = (_build.journal || []).some(({ at, undoneAt, ...c }) => !undoneAt && JSON.stringify(c) === key);
+  if (seen) return;
+
+  await appendJournal(_build, change);
+}
@@ -0,0 +1,196 @@
+import { promises as fs, existsSync } from 'fs';
+import { join, basename } from 'path';
+import os                 from 'os';
+
+// ─── Project log sources (vbs logs) ───────────────────────────────────────────
+// pm2 out/error logs of the backend and frontend processes, plus the nginx
+// access/error logs of the project's site. Lines are parsed into
+// { time, source, stream, text } entries and merged by time.
+
+// Tail window per file — older lines are only reachable with `less`/`grep`
+const TAIL_BYTES = 512 * 1024;
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Log files of a project.
+ *
+ * @param {object} cfg - config.vbs
+ * @param {Map}    pm2 - From readPm2List() (log paths of running processes)
+ * @returns {Array<{ source, stream, path }>} only files that exist
+ */
+export function projectLogSources(cfg, pm2) {
+  const sources = [];
+  const pm2Dir  = join(os.homedir(), '.pm2', 'logs');
+
+  for (const [role, source] of [['backend', 'api'], ['frontend', 'front']]) {
+    const name = cfg[role]?.pm2Name;
+    if (!name) continue;
+    const proc = pm2.get(name);
+    sources.push({ source, stream: 'out', path: proc?.outLog || join(pm2Dir, `${name}-out.log`) });
+    sources.push({ source, stream: 'err', path: proc?.errLog || join(pm2Dir, `${name}-error.log`) });
+  }
+
+  if (cfg.server?.nginxConfig) {
+    // Sites written by newer VBS versions have their own logs; older ones use the shared files
+    const site   = basename(cfg.server.nginxConfig);
+    const access = `/var/log/nginx/${site}.access.log`;
+    const error  = `/var/log/nginx/${site}.error.log`;
+    sources.push({ source: 'nginx', stream: 'access', path: existsSync(access) ? access : '/var/log/nginx/access.log' });
+    sources.push({ source: 'nginx', stream: 'error',  path: existsSync(error)  ? error  : '/var/log/nginx/error.log' });
+  }
+
+  return sources.filter(s => existsSync(s.path));
+}
+
+/**
+ * Parse --since: "30s", "15m", "2h", "1d" or any Date-parsable string.
+ * @returns {Date}
+ * @throws on an unrecognised value
+ */
+export function parseSince(value) {
+  const rel = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  if (rel) {
+    const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }[rel[2]];
+    return new Date(Date.now() - parseInt(rel[1]) * unit);
+  }
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid --since value: "${value}" (use e.g. 30m, 2h, 1d or an ISO date)`);
+  return date;
+}
+
+/**
+ * Timestamp at the start of a log line, or null.
+ *   pm2 --time:    2025-01-01T12:00:00: …
+ *   nginx error:   2025/01/01 12:00:00 [error] …
+ *   nginx access:  … [01/Jan/2025:12:00:00 +0000] …
+ */
+function parseTime(line) {
+  let m = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/.exec(line);
+  if (m) return { time: new Date(m[1]), rest: line.slice(m[0].length).replace(/^:\s?/, '') };
+
+  m = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(line);
+  if (m) return { time: new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]), rest: line.slice(m[0].length + 1) };
+
+  m = /\[(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-]\d{4})\]/.exec(line);
+  if (m) {
+    const utc = Date.UTC(+m[3], MONTHS[m[2]] ?? 0, +m[1], +m[4], +m[5], +m[6]);
+    const off = (m[7][0] === '-' ? -1 : 1) * (parseInt(m[7].slice(1, 3)) * 60 + parseInt(m[7].slice(3)));
+    return { time: new Date(utc - off * 60e3), rest: line };
+  }
+
+  return { time: null, rest: line };
+}
+
+/**
+ * Split raw text from one source into entries. Lines without a timestamp
+ * (stack traces, pm2 logs without --time) inherit the previous line's time.
+ */
+function parseChunk(src, text, fallbackTime) {
+  const entries = [];
+  let   last    = fallbackTime;
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const { time, rest } = parseTime(line);
+    if (time && !isNaN(time)) last = time;
+    entries.push({ time: last, source: src.source, stream: src.stream, text: rest });
+  }
+  return entries;
+}
+
+function matches(entry, { since, grep }) {
+  if (since && entry.time < since) return false;
+  if (grep && !grep.test(entry.text)) return false;
+  return true;
+}
+
+/**
+ * Read the recent log entries of all sources, merged by time.
+ *
+ * @param {Array}  sources         - From projectLogSources()
+ * @param {object} [filter]
+ * @param {Date}   [filter.since]
+ * @param {RegExp} [filter.grep]
+ * @param {number} [filter.lines]  - Keep only the last N merged entries
+ */
+export async function readLogs(sources, { since = null, grep = null, lines = 100 } = {}) {
+  const all = [];
+
+  for (const src of sources) {
+    let handle;
+    try {
+      handle = await fs.open(src.path, 'r');
+      const { size, mtime } = await handle.stat();
+      const start  = Math.max(0, size - TAIL_BYTES);
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+
+      let text = buffer.toString('utf8');
+      if (start > 0) text = text.slice(text.indexOf('\n') + 1);   // drop the partial first line
+
+      all.push(...parseChunk(src, text, mtime));
+    } catch {
+      // unreadable (permissions, rotated away) — skip this source
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  // Stable sort keeps each file's own order for equal timestamps
+  return all
+    .filter(e => matches(e, { since, grep }))
+    .sort((a, b) => a.time - b.time)
+    .slice(-lines);
+}
+
+/**
+ * Poll the sources for appended lines (like tail -F) until the process exits.
+ *
+ * @param {Array}    sources
+ * @param {object}   filter   - { grep } (since does not apply to new lines)
+ * @param {Function} onEntry  - Called for each new entry
+ * @param {number}   [intervalMs=1000]
+ */
+export async function followLogs(sources, { grep = null } = {}, onEntry, intervalMs = 1000) {
+  const offsets = new Map();
+  for (const src of sources) {
+    offsets.set(src.path, (await fs.stat(src.path).catch(() => ({ size: 0 }))).size);
+  }
+
+  for (;;) {
+    await new Promise(r => setTimeout(r, intervalMs));
+
+    for (const src of sources) {
+      const stat = await fs.stat(src.path).catch(() => null);
+      if (!stat) continue;
+
+      let offset = offsets.get(src.path);
+      if (stat.size < offset) offset = 0;                     // truncated / rotated
+      if (stat.size === offset) continue;
+
+      // The file can be rotated or deleted between the stat and the read
+      let handle = null;
+      let text;
+      try {
+        handle = await fs.open(src.path, 'r');
+        const buffer        = Buffer.alloc(stat.size - offset);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+        text = buffer.toString('utf8', 0, bytesRead);
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      } finally {
+        await handle?.close();
+      }
+
+      // Hold back an unfinished last line until it is complete
+      const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+      offsets.set(src.path, offset + Buffer.byteLength(complete));
+
+      for (const entry of parseChunk(src, complete, new Date())) {
+        if (matches(entry, { grep })) onEntry(entry);
+      }
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import { promises as fs } from 'fs';
 import { exec, shell }   from './executor.mjs';
+import { recordChange }  from './journal.mjs';
 import { log }           from '../ui/display.mjs';
 import { createSpinner, spinnerSuccess, spinnerFail, spinnerWarn } from '../ui/spinner.mjs';
 
@@ -34,23 +35,65 @@ export async function checkNginx(isRoot = false) {
 }
 
 /**
- * Configure nginx as a reverse proxy for a backend API.
- * Creates /etc/nginx/sites-available/<name> and enables it.
+ * Write /etc/nginx/sites-available/<name>, enable it and reload nginx.
+ * Journals the change with the previous config (if any) so a rollback can restore it.
+ * @returns {Promise<string>} path of the sites-available file
+ */
+async function installSite(name, configContent) {
+  const sitesAvail  = `/etc/nginx/sites-available/${name}`;
+  const sitesEnable = `/etc/nginx/sites-enabled/${name}`;
+
+  const previous   = await fs.readFile(sitesAvail, 'utf8').catch(() => null);
+  const wasEnabled = await fs.lstat(sitesEnable).then(() => true, () => false);
+
+  await fs.writeFile(sitesAvail, configContent, 'utf8');
+  await shell(`ln -sf ${sitesAvail} ${sitesEnable}`);
+  await recordChange({ type: 'nginx-site', name, previous, wasEnabled });
+  await shell('nginx -t && systemctl reload nginx');
+
+  return sitesAvail;
+}
+
+/**
+ * Remove an nginx site installed by configure*() and reload nginx.
+ * With `previous`, the config that existed before VBS overwrote it is restored instead.
  *
- * @param {object} opts
- * @param {string} opts.name       - Project name (used for config filename)
- * @param {number} opts.backendPort - Local backend port
- * @param {string} [opts.domain]    - Domain/server_name (defaults to _)
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string|null} [opts.previous]   - Earlier sites-available content
+ * @param {boolean}     [opts.wasEnabled] - Whether that earlier site was enabled
+ * @returns {Promise<boolean>}
  */
-export async function configureApiProxy({ name, backendPort, domain = '_' }) {
-  const spinner = createSpinner(`Configuring nginx proxy → localhost:${backendPort}...`);
-  spinner.start();
+export async function removeSite(name, { previous = null, wasEnabled = false } = {}) {
+  const sitesAvail  = `/etc/nginx/sites-available/${name}`;
+  const sitesEnable = `/etc/nginx/sites-enabled/${name}`;
+
+  try {
+    if (!wasEnabled) await fs.rm(sitesEnable, { force: true });
+    if (previous !== null) await fs.writeFile(sitesAvail, previous, 'utf8');
+    else                   await fs.rm(sitesAvail, { force: true });
+  } catch {
+    return false;
+  }
+
+  const reload = await shell('nginx -t && systemctl reload nginx');
+  return reload.success;
+}
 
-  const configContent = `# VBS — ${name} API proxy
+/**
+ * Build the nginx site config for a reverse proxy to a backend API.
+ * @param {object} opts - Same as configureApiProxy()
+ * @returns {string}
+ */
+export function buildApiProxyConfig({ name, backendPort, domain = '_' }) {
+  return `# VBS — ${name} API proxy
 server {
     listen 80;
     server_name ${domain};
 
+    access_log /var/log/nginx/${name}.access.log;
+    error_log  /var/log/nginx/${name}.error.log;
+
     location / {
         proxy_pass         http://127.0.0.1:${backendPort};
         proxy_http_version 1.1;
@@ -63,14 +106,25 @@ server {
     }
 }
 `;
+}
 
-  try {
-    const sitesAvail  = `/etc/nginx/sites-available/${name}`;
-    const sitesEnable = `/etc/nginx/sites-enabled/${name}`;
+/**
+ * Configure nginx as a reverse proxy for a backend API.
+ * Creates /etc/nginx/sites-available/<name> and enables it.
+ *
+ * @param {object} opts
+ * @param {string} opts.name       - Project name (used for config filename)
+ * @param {number} opts.backendPort - Local backend port
+ * @param {string} [opts.domain]    - Domain/server_name (defaults to _)
+ */
+export async function configureApiProxy({ name, backendPort, domain = '_' }) {
+  const spinner = createSpinner(`Configuring nginx proxy → localhost:${backendPort}...`);
+  spinner.start();
+
+  const configContent = buildApiProxyConfig({ name, backendPort, domain });
 
-    await fs.writeFile(sitesAvail, configContent, 'utf8');
-    await shell(`ln -sf ${sitesAvail} ${sitesEnable}`);
-    await shell('nginx -t && systemctl reload nginx');
+  try {
+    const sitesAvail = await installSite(name, configContent);
 
     spinnerSuccess(spinner, `nginx configured — proxying port 80 → ${backendPort} ✓`);
     return sitesAvail;
@@ -81,23 +135,19 @@ server {
 }
 
 /**
- * Configure nginx to serve a built frontend (static files).
- * Used for React/Vite SPA builds.
- *
- * @param {object} opts
- * @param {string} opts.name      - Project name
- * @param {string} opts.buildDir  - Absolute path to the built static dir
- * @param {string} [opts.domain]  - Domain/server_name
+ * Build the nginx site config that serves a static frontend build.
+ * @param {object} opts - Same as configureStaticFrontend()
+ * @returns {string}
  */
-export async function configureStaticFrontend({ name, buildDir, domain = '_' }) {
-  const spinner = createSpinner(`Configuring nginx → serving static frontend...`);
-  spinner.start();
-
-  const configContent = `# VBS — ${name} frontend (static)
+export function buildStaticFrontendConfig({ name, buildDir, domain = '_' }) {
+  return `# VBS — ${name} frontend (static)
 server {
     listen 80;
     server_name ${domain};
 
+    access_log /var/log/nginx/${name}.access.log;
+    error_log  /var/log/nginx/${name}.error.log;
+
     root ${buildDir};
     index index.html;
 
@@ -113,14 +163,25 @@ server {
     }
 }
 `;
+}
 
-  try {
-    const sitesAvail  = `/etc/nginx/sites-available/${name}`;
-    const sitesEnable = `/etc/nginx/sites-enabled/${name}`;
+/**
+ * Configure nginx to serve a built frontend (static files).
+ * Used for React/Vite SPA builds.
+ *
+ * @param {object} opts
+ * @param {string} opts.name      - Project name
+ * @param {string} opts.buildDir  - Absolute path to the built static dir
+ * @param {string} [opts.domain]  - Domain/server_name
+ */
+export async function configureStaticFrontend({ name, buildDir, domain = '_' }) {
+  const spinner = createSpinner(`Configuring nginx → serving static frontend...`);
+  spinner.start();
 
-    await fs.writeFile(sitesAvail, configContent, 'utf8');
-    await shell(`ln -sf ${sitesAvail} ${sitesEnable}`);
-    await shell('nginx -t && systemctl reload nginx');
+  const configContent = buildStaticFrontendConfig({ name, buildDir, domain });
+
+  try {
+    const sitesAvail = await installSite(name, configContent);
 
     spinnerSuccess(spinner, `nginx configured — serving ${buildDir} on port 80 ✓`);
     return sitesAvail;
@@ -131,23 +192,13 @@ server {
 }
 
 /**
- * Configure nginx for a fullstack deployment.
- * /api/* → backend port   |   /* → frontend (static or Next.js port)
- *
- * @param {object} opts
- * @param {string} opts.name          - Project name
- * @param {number} opts.backendPort   - Express API port
- * @param {string} opts.frontendMode  - 'static' (React SPA) | 'nextjs'
- * @param {string} [opts.buildDir]    - Absolute path to dist/ (static mode)
- * @param {number} [opts.frontendPort] - Next.js pm2 port (nextjs mode)
- * @param {string} [opts.domain]
+ * Build the nginx site config for a fullstack deployment.
+ * @param {object} opts - Same as configureFullstack()
+ * @returns {string}
  */
-export async function configureFullstack({
-  name, backendPort, frontendMode, buildDir = '', frontendPort = 3000, domain = '_',
+export function buildFullstackConfig({
+  name, backendPort, frontendMode, buildDir = '', frontendPort = 3000, docsDir = '', domain = '_',
 }) {
-  const spinner = createSpinner(`Configuring nginx fullstack proxy (API + Frontend)...`);
-  spinner.start();
-
   const frontendBlock = frontendMode === 'static'
     ? `    root ${buildDir};
     index index.html;
@@ -167,11 +218,24 @@ export async function configureFullstack({
         proxy_cache_bypass $http_upgrade;
     }`;
 
-  const configContent = `# VBS — ${name} fullstack (API + Frontend)
+  const docsBlock = docsDir
+    ? `
+    # API docs (Swagger UI + openapi.json)
+    location /docs/ {
+        alias ${docsDir}/;
+        index index.html;
+    }
+`
+    : '';
+
+  return `# VBS — ${name} fullstack (API + Frontend)
 server {
     listen 80;
     server_name ${domain};
 
+    access_log /var/log/nginx/${name}.access.log;
+    error_log  /var/log/nginx/${name}.error.log;
+
     # API routes → backend
     location /api/ {
         proxy_pass         http://127.0.0.1:${backendPort}/;
@@ -183,19 +247,38 @@ server {
         proxy_set_header   X-Forwarded-For $proxy_add_x_forwarded_for;
         proxy_cache_bypass $http_upgrade;
     }
-
+${docsBlock}
     # Frontend
 ${frontendBlock}
 }
 `;
+}
 
-  try {
-    const sitesAvail  = `/etc/nginx/sites-available/${name}`;
-    const sitesEnable = `/etc/nginx/sites-enabled/${name}`;
+/**
+ * Configure nginx for a fullstack deployment.
+ * /api/* → backend port   |   /* → frontend (static or Next.js port)
+ *
+ * @param {object} opts
+ * @param {string} opts.name          - Project name
+ * @param {number} opts.backendPort   - Express API port
+ * @param {string} opts.frontendMode  - 'static' (React SPA) | 'nextjs'
+ * @param {string} [opts.buildDir]    - Absolute path to dist/ (static mode)
+ * @param {number} [opts.frontendPort] - Next.js pm2 port (nextjs mode)
+ * @param {string} [opts.docsDir]  - Served at /docs/ (see summary/openapi.mjs)
+ * @param {string} [opts.domain]
+ */
+export async function configureFullstack({
+  name, backendPort, frontendMode, buildDir = '', frontendPort = 3000, docsDir = '', domain = '_',
+}) {
+  const spinner = createSpinner(`Configuring nginx fullstack proxy (API + Frontend)...`);
+  spinner.start();
+
+  const configContent = buildFullstackConfig({
+    name, backendPort, frontendMode, buildDir, frontendPort, docsDir, domain,
+  });
 
-    await fs.writeFile(sitesAvail, configContent, 'utf8');
-    await shell(`ln -sf ${sitesAvail} ${sitesEnable}`);
-    await shell('nginx -t && systemctl reload nginx');
+  try {
+    const sitesAvail = await installSite(name, configContent);
 
     spinnerSuccess(spinner, `nginx fullstack config applied ✓  (/api → :${backendPort}, / → frontend)`);
     return sitesAvail;
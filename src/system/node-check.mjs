@@ -1,4 +1,5 @@
 import { exec, shell } from './executor.mjs';
+import { recordChange } from './journal.mjs';
 import { createSpinner, spinnerSuccess, spinnerFail, spinnerWarn } from '../ui/spinner.mjs';
 import { log } from '../ui/display.mjs';
 import chalk from 'chalk';
@@ -117,20 +118,22 @@ export async function setupDatabase(dbName, dbUser, dbPassword) {
   spinner.start();
 
   try {
-    // Create user (ignore error if already exists)
-    await shell(
-      `sudo -u postgres psql -c "CREATE USER \\"${dbUser}\\" WITH PASSWORD '${dbPassword}';" 2>/dev/null; true`
-    );
+    // Pre-existing user/database are reused and left out of the undo journal;
+    // only a CREATE that succeeded is journaled
+    const userExisted = await pgExists(`SELECT 1 FROM pg_roles WHERE rolname = '${dbUser}'`, `user "${dbUser}"`);
+    const dbExisted   = await pgExists(`SELECT 1 FROM pg_database WHERE datname = '${dbName}'`, `database "${dbName}"`);
+
+    if (!userExisted) {
+      await psql(`CREATE USER \\"${dbUser}\\" WITH PASSWORD '${dbPassword}';`, `create user "${dbUser}"`);
+      await recordChange({ type: 'pg-user', user: dbUser });
+    }
 
-    // Create database (ignore error if already exists)
-    await shell(
-      `sudo -u postgres psql -c "CREATE DATABASE \\"${dbName}\\" OWNER \\"${dbUser}\\";" 2>/dev/null; true`
-    );
+    if (!dbExisted) {
+      await psql(`CREATE DATABASE \\"${dbName}\\" OWNER \\"${dbUser}\\";`, `create database "${dbName}"`);
+      await recordChange({ type: 'pg-database', name: dbName });
+    }
 
-    // Grant privileges
-    await shell(
-      `sudo -u postgres psql -c "GRANT ALL PRIVILEGES ON DATABASE \\"${dbName}\\" TO \\"${dbUser}\\";" 2>/dev/null; true`
-    );
+    await psql(`GRANT ALL PRIVILEGES ON DATABASE \\"${dbName}\\" TO \\"${dbUser}\\";`, `grant privileges on "${dbName}"`);
 
     spinnerSuccess(spinner, `Database "${dbName}" ready ✓ (user: ${dbUser})`);
     return true;
@@ -139,3 +142,47 @@ export async function setupDatabase(dbName, dbUser, dbPassword) {
     return false;
   }
 }
+
+/**
+ * Run one SQL statement as the postgres user.
+ * @throws with the first line of psql's output when it fails
+ */
+async function psql(sql, what) {
+  const res = await shell(`sudo -u postgres psql -c "${sql}" 2>&1`);
+  if (!res.success) {
+    const reason = res.stdout.trim().split('\n')[0] || `exit code ${res.exitCode}`;
+    throw new Error(`Could not ${what}: ${reason}`);
+  }
+}
+
+/**
+ * Whether a pg_roles / pg_database row exists.
+ * @throws when the check itself fails — guessing either way could make a
+ *         rollback drop a user or database the build did not create
+ */
+async function pgExists(query, what) {
+  const res = await shell(`sudo -u postgres psql -tAc "${query}"`);
+  if (!res.success) {
+    const reason = (res.stderr || res.stdout).trim().split('\n')[0] || `exit code ${res.exitCode}`;
+    throw new Error(`Could not check whether ${what} exists: ${reason}`);
+  }
+  return res.stdout.trim() === '1';
+}
+
+/**
+ * Drop a PostgreSQL database created by setupDatabase().
+ * @returns {Promise<boolean>}
+ */
+export async function dropDatabase(dbName) {
+  const res = await shell(`sudo -u postgres psql -c "DROP DATABASE IF EXISTS \\"${dbName}\\";" 2>&1`);
+  return res.success;
+}
+
+/**
+ * Drop a PostgreSQL user created by setupDatabase().
+ * @returns {Promise<boolean>}
+ */
+export async function dropDatabaseUser(dbUser) {
+  const res = await shell(`sudo -u postgres psql -c "DROP USER IF EXISTS \\"${dbUser}\\";" 2>&1`);
+  return res.success;
+}
@@ -0,0 +1,156 @@
+import chalk from 'chalk';
+import { existsSync }     from 'fs';
+import { promises as fs } from 'fs';
+import { join, dirname, resolve, relative, isAbsolute } from 'path';
+
+import { exec } from './executor.mjs';
+import { showPhaseHeader } from '../ui/display.mjs';
+import { createSpinner, spinnerSuccess, spinnerFail } from '../ui/spinner.mjs';
+
+// Managed by VBS itself — never written, deleted or moved by a modification
+const PROTECTED_PATHS = ['config.vbs', '.vbs', '.git'];
+
+/**
+ * Absolute path of a project file.
+ * @throws if the path leaves the project directory or is managed by VBS
+ */
+export function resolveProjectPath(projectDir, path) {
+  const root = resolve(projectDir);
+  const full = resolve(root, path);
+  const rel  = relative(root, full);
+  if (!rel || rel === '..' || rel.startsWith('../') || isAbsolute(rel)) {
+    throw new Error(`${path} is outside the project directory`);
+  }
+  if (PROTECTED_PATHS.some(p => rel === p || rel.startsWith(`${p}/`))) {
+    throw new Error(`${path} is managed by VBS`);
+  }
+  return full;
+}
+
+/**
+ * Write (or delete) project files with a spinner line per file.
+ *
+ * @param {string} projectDir
+ * @param {Array}  files - [{ path, content }] — content null deletes the file; paths must stay inside the project
+ * @returns {Promise<Array<string>>} paths that could not be written
+ */
+export async function writeChanges(projectDir, files) {
+  const failed = [];
+
+  for (const file of files) {
+    const deleting = file.content === null;
+
+    const writeSpinner = createSpinner(`${deleting ? 'Deleting' : 'Writing'} ${chalk.cyan(file.path)}...`);
+    writeSpinner.start();
+
+    try {
+      const fullPath = resolveProjectPath(projectDir, file.path);
+
+      // Show old vs new line count if file already exists
+      let oldLines = 0;
+      try {
+        const old = await fs.readFile(fullPath, 'utf8');
+        oldLines = old.split('\n').length;
+      } catch {}
+
+      if (deleting) {
+        await fs.rm(fullPath, { force: true });
+        // Drop the directories the deletion left empty (rmdir fails on the first non-empty one)
+        for (let dir = dirname(fullPath); dir !== resolve(projectDir); dir = dirname(dir)) {
+          try { await fs.rmdir(dir); } catch { break; }
+        }
+        spinnerSuccess(writeSpinner, `${chalk.white(file.path)}  ${chalk.red(`deleted (${oldLines} lines)`)}`);
+        continue;
+      }
+
+      await fs.mkdir(dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, file.content, 'utf8');
+      const newLines = file.content.split('\n').length;
+
+      const delta = newLines - oldLines;
+      const deltaStr = oldLines === 0
+        ? chalk.green(`+${newLines} lines (new file)`)
+        : delta >= 0
+          ? chalk.green(`+${delta} lines`)
+          : chalk.red(`${delta} lines`);
+
+      spinnerSuccess(writeSpinner, `${chalk.white(file.path)}  ${deltaStr}`);
+    } catch (err) {
+      spinnerFail(writeSpinner, `Failed to ${deleting ? 'delete' : 'write'} ${file.path}: ${err.message}`);
+      failed.push(file.path);
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Bring a running project up to date after its files changed (vbs modify / vbs undo):
+ * npm install where a package.json changed, frontend rebuild, pm2 restart.
+ *
+ * @param {object}  opts
+ * @param {string}  opts.projectDir
+ * @param {object}  opts.config           - config.vbs
+ * @param {string}  opts.name             - Fallback pm2 process name
+ * @param {Array}   opts.paths            - Changed file paths, relative to the project
+ * @param {boolean} [opts.restartRequired=true]
+ * @param {boolean} [opts.rebuildRequired=false]
+ */
+export async function redeployChanges({ projectDir, config, name, paths, restartRequired = true, rebuildRequired = false }) {
+  // ── npm install where package.json changed ──────────────────────────────────
+  const installDirs = [...new Set(
+    paths.filter(p => p === 'package.json' || p.endsWith('/package.json')).map(p => dirname(join(projectDir, p)))
+  )];
+
+  for (const installDir of installDirs.filter(existsSync)) {
+    const npmSpinner = createSpinner(`Running npm install in ${chalk.cyan(installDir)}...`);
+    npmSpinner.start();
+    const res = await exec('npm', ['install', '--prefer-offline'], { cwd: installDir });
+    if (res.success) {
+      spinnerSuccess(npmSpinner, 'Dependencies updated ✓');
+    } else {
+      const res2 = await exec('npm', ['install'], { cwd: installDir });
+      if (res2.success) {
+        spinnerSuccess(npmSpinner, 'Dependencies updated ✓');
+      } else {
+        spinnerFail(npmSpinner, 'npm install had errors — check manually');
+      }
+    }
+  }
+
+  // ── Rebuild frontend if needed ───────────────────────────────────────────────
+  if (rebuildRequired && config.frontend) {
+    const frontDir = join(projectDir, 'frontend');
+    if (existsSync(frontDir)) {
+      const buildSpinner = createSpinner('Rebuilding frontend...');
+      buildSpinner.start();
+      const res = await exec('npm', ['run', 'build'], { cwd: frontDir });
+      if (res.success) {
+        spinnerSuccess(buildSpinner, 'Frontend rebuilt ✓');
+      } else {
+        spinnerFail(buildSpinner, 'Frontend build had errors — check manually');
+      }
+    }
+  }
+
+  // ── Restart pm2 ──────────────────────────────────────────────────────────────
+  if (restartRequired !== false) {
+    showPhaseHeader('R', 'RESTARTING');
+
+    const pm2Names = [];
+    if (config.backend?.pm2Name)  pm2Names.push(config.backend.pm2Name);
+    if (config.frontend?.pm2Name) pm2Names.push(config.frontend.pm2Name);
+    if (pm2Names.length === 0)    pm2Names.push(name);
+
+    for (const pm2Name of pm2Names) {
+      const restartSpinner = createSpinner(`Restarting pm2 process: ${chalk.cyan(pm2Name)}...`);
+      restartSpinner.start();
+      const res = await exec('pm2', ['restart', pm2Name]);
+      if (res.success) {
+        spinnerSuccess(restartSpinner, `${pm2Name} restarted ✓`);
+      } else {
+        spinnerFail(restartSpinner, `Could not restart ${pm2Name} — it may not be running`);
+      }
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import { promises as fs } from 'fs';
+import { exec }              from './executor.mjs';
+import { closeFirewallPort } from './firewall.mjs';
+import { dropDatabase, dropDatabaseUser } from './node-check.mjs';
+import { removeSite }        from './nginx.mjs';
+import { BUILD_PHASES, setBuildStatus } from '../projects/builds.mjs';
+import { createSpinner, spinnerSuccess, spinnerFail } from '../ui/spinner.mjs';
+
+// ─── Rollback of journaled system changes ─────────────────────────────────────
+// Every undo returns true when the change is gone (also when it was already gone).
+
+const UNDO = {
+  'ufw-port':    c => closeFirewallPort(c.port),
+  'pg-database': c => dropDatabase(c.name),
+  'pg-user':     c => dropDatabaseUser(c.user),
+  'nginx-site':  c => removeSite(c.name, { previous: c.previous, wasEnabled: c.wasEnabled }),
+  'pm2':         async c => {
+    if (!(await exec('which', ['pm2'])).success) return true;
+    const res = await exec('pm2', ['delete', c.name]);
+    return res.success || /not found/i.test(res.stdout + res.stderr);
+  },
+  'directory':   async c => {
+    await fs.rm(c.path, { recursive: true, force: true });
+    return true;
+  },
+};
+
+/**
+ * Human-readable description of the undo step for a journaled change.
+ */
+export function describeUndo(change) {
+  switch (change.type) {
+    case 'ufw-port':    return `Close firewall port ${change.port}/tcp`;
+    case 'pg-database': return `Drop PostgreSQL database "${change.name}"`;
+    case 'pg-user':     return `Drop PostgreSQL user "${change.user}"`;
+    case 'nginx-site':  return change.previous
+      ? `Restore previous nginx site "${change.name}"`
+      : `Remove nginx site "${change.name}" and reload nginx`;
+    case 'pm2':         return `Delete pm2 process "${change.name}"`;
+    case 'directory':   return `Delete project directory ${change.path}`;
+    default:            return `Unknown change "${change.type}"`;
+  }
+}
+
+/**
+ * Undo a single change (journaled, or built from config.vbs by `vbs destroy`).
+ * @returns {Promise<boolean>}
+ */
+export async function undoChange(change) {
+  const spinner = createSpinner(`${describeUndo(change)}...`);
+  spinner.start();
+
+  let ok = false;
+  try {
+    ok = UNDO[change.type] ? await UNDO[change.type](change) : false;
+  } catch {
+    ok = false;
+  }
+
+  if (ok) spinnerSuccess(spinner, `${describeUndo(change)} ✓`);
+  else    spinnerFail(spinner, `${describeUndo(change)} — failed, undo it manually`);
+  return ok;
+}
+
+/**
+ * Journaled changes that have not been undone yet, newest first (undo order).
+ */
+export function pendingChanges(build) {
+  return (build.journal || []).filter(c => !c.undoneAt).reverse();
+}
+
+// Checkpoints that survive a rollback — `vbs resume` redoes everything else
+// without calling the model again
+const KEPT_PHASES = ['analysis', 'configuration', 'codegen'];
+
+/**
+ * Undo every pending change of a build. Failed steps stay pending, so the
+ * rollback can be re-run.
+ *
+ * @param {object} build
+ * @returns {Promise<{ undone: object[], failed: object[] }>}
+ */
+export async function rollbackBuild(build) {
+  const undone = [];
+  const failed = [];
+
+  for (const change of pendingChanges(build)) {
+    if (await undoChange(change)) {
+      change.undoneAt = new Date().toISOString();
+      undone.push(change);
+    } else {
+      failed.push(change);
+    }
+  }
+
+  // The generated code (.env) already uses the DB credentials — keep them for the re-run
+  const dbAnswers = build.phases.system?.answers;
+  if (dbAnswers && build.phases.configuration) Object.assign(build.phases.configuration.answers, dbAnswers);
+
+  for (const phase of BUILD_PHASES.filter(p => !KEPT_PHASES.includes(p))) {
+    delete build.phases[phase];
+  }
+  await setBuildStatus(build, failed.length === 0 ? 'rolled-back' : 'failed');
+
+  return { undone, failed };
+}
@@ -2,16 +2,51 @@
  * HTTP endpoint tester using the native fetch API (Node 18+).
  */
 
+import { hasContract, checkContract, contractNote } from './contract.mjs';
+
 const TIMEOUT_MS = 6000;
 
+// Characters of the response body kept in a result row
+const BODY_PREVIEW = 120;
+
+// Auth endpoints are recognised by path — run first so the token is available
+const REGISTER_RE = /(register|sign-?up)\/?$/i;
+const LOGIN_RE    = /(login|sign-?in|auth\/token|sessions?)\/?$/i;
+
+// Response keys that usually carry the JWT (checked at any depth)
+export const TOKEN_KEYS = ['token', 'accessToken', 'access_token', 'jwt', 'idToken', 'id_token'];
+const JWT_RE     = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+// Keys whose values are credentials — masked in the stored bodies of auth responses
+const SECRET_KEY_RE = /token|jwt|secret|password/i;
+
+// Path parameters: /posts/:id or /posts/{id}
+const PARAM_RE = /^(:\w+|\{\w+\})$/;
+
+// Keys of a created record's id (checked at any depth, shallowest wins)
+const ID_KEYS = ['id', '_id', 'uuid'];
+
+// Value used for a parameter no create step produced an id for
+const FALLBACK_ID = '1';
+
+// Express's built-in 404 page — the route itself does not exist
+const NO_ROUTE_RE = /Cannot (GET|POST|PUT|PATCH|DELETE) \//;
+
 /**
  * Test a single endpoint.
  * @param {string} baseUrl  - e.g. "http://localhost:3000"
  * @param {object} endpoint - { method, path, requiresAuth, exampleBody }
+ * @param {object} [opts]
+ * @param {string} [opts.token] - Sent as "Authorization: Bearer <token>"
+ * @param {object} [opts.body]  - Overrides endpoint.exampleBody
+ * @param {string} [opts.path]  - Request path with parameters filled in (rows keep endpoint.path)
+ * @param {boolean} [opts.contract=true] - Check expectedStatus / responseShape (see contract.mjs)
+ * @returns {Promise<object>}   - Result row; `json` holds the parsed response (not persisted)
  */
-export async function testEndpoint(baseUrl, endpoint) {
-  const url   = `${baseUrl}${endpoint.path}`;
+export async function testEndpoint(baseUrl, endpoint, { token = null, body = endpoint.exampleBody, path = endpoint.path, contract = true } = {}) {
+  const url   = `${baseUrl}${path}`;
   const start = Date.now();
+  const auth  = endpoint.requiresAuth ? (token ? 'token' : 'guest') : undefined;
 
   try {
     const opts = {
@@ -19,22 +54,26 @@ export async function testEndpoint(baseUrl, endpoint) {
       headers: { 'Content-Type': 'application/json' },
       signal:  AbortSignal.timeout(TIMEOUT_MS),
     };
+    if (token) opts.headers.Authorization = `Bearer ${token}`;
 
-    if (['POST', 'PUT', 'PATCH'].includes(endpoint.method) && endpoint.exampleBody) {
-      opts.body = JSON.stringify(endpoint.exampleBody);
+    if (['POST', 'PUT', 'PATCH'].includes(endpoint.method) && body) {
+      opts.body = JSON.stringify(body);
     }
 
     const response = await fetch(url, opts);
     const time     = Date.now() - start;
 
-    let bodySnippet = '';
+    let text = '';
     try {
-      const text   = await response.text();
-      bodySnippet  = text.slice(0, 120);
+      text = await response.text();
     } catch (_) { /* ignore */ }
 
-    // Any non-5xx status is considered a pass
-    const passed = response.status < 500;
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) { /* not JSON */ }
+
+    // Without a contract any non-5xx status is considered a pass
+    let passed = response.status < 500;
+    let diff   = [];
 
     let note = 'OK';
     if      (response.status === 401 || response.status === 403) note = 'Auth Guard';
@@ -43,27 +82,348 @@ export async function testEndpoint(baseUrl, endpoint) {
     else if (response.status === 422)                             note = 'Validation';
     else if (response.status >= 500)                              note = 'Server Error';
 
-    return { method: endpoint.method, path: endpoint.path, status: response.status, time, passed, note, body: bodySnippet };
+    // Protected route: without a token it must refuse, with a token it must let us in
+    if (auth === 'guest' && response.status < 400) {
+      passed = false;
+      note   = 'Not Guarded';
+    } else if (auth === 'token' && (response.status === 401 || response.status === 403)) {
+      passed = false;
+      note   = 'Token Rejected';
+    } else if (contract && auth !== 'guest' && hasContract(endpoint)) {
+      const contentType = response.headers.get('content-type');
+      diff = checkContract(endpoint, { status: response.status, contentType, json });
+      if (diff.length > 0) {
+        passed = false;
+        note   = contractNote(diff);
+      }
+    }
+
+    const result = { method: endpoint.method, path: endpoint.path, status: response.status, time, passed, note, body: text.slice(0, BODY_PREVIEW) };
+    if (auth)            result.auth = auth;
+    if (diff.length > 0) result.diff = diff;
+    Object.defineProperty(result, 'json', { value: json, enumerable: false });
+    return result;
   } catch (err) {
-    const time = Date.now() - start;
-    const note = err.name === 'TimeoutError' ? 'Timeout' : 'Connection Error';
-    return { method: endpoint.method, path: endpoint.path, status: 0, time, passed: false, note, body: err.message.slice(0, 60) };
+    const time   = Date.now() - start;
+    const note   = err.name === 'TimeoutError' ? 'Timeout' : 'Connection Error';
+    const result = { method: endpoint.method, path: endpoint.path, status: 0, time, passed: false, note, body: err.message.slice(0, 60) };
+    if (auth) result.auth = auth;
+    return result;
   }
 }
 
 /**
- * Test all endpoints sequentially with a small delay between requests.
- * @param {string} baseUrl
- * @param {Array}  endpoints
+ * Register / login endpoints of an API (POST only).
+ * @returns {{ register: object|null, login: object|null }}
+ */
+export function findAuthEndpoints(endpoints) {
+  const posts = endpoints.filter(e => e.method === 'POST');
+  return {
+    register: posts.find(e => REGISTER_RE.test(e.path)) || null,
+    login:    posts.find(e => LOGIN_RE.test(e.path))    || null,
+  };
+}
+
+/**
+ * JWT from a register/login response: a known key at any depth, else any JWT-shaped string.
+ */
+export function extractToken(json) {
+  if (!json || typeof json !== 'object') return null;
+
+  const queue = [json];
+  const seen  = [];
+  while (queue.length > 0) {
+    const obj = queue.shift();
+    for (const key of TOKEN_KEYS) {
+      if (typeof obj[key] === 'string' && obj[key]) return obj[key];
+    }
+    for (const value of Object.values(obj)) {
+      if (typeof value === 'string' && JWT_RE.test(value)) seen.push(value);
+      else if (value && typeof value === 'object') queue.push(value);
+    }
+  }
+  return seen[0] || null;
+}
+
+/**
+ * Login body built from the register body, so both use the same credentials
+ * (the AI may have written different example users for the two endpoints).
+ */
+export function loginBody(login, registerBody) {
+  if (!login.exampleBody || !registerBody) return login.exampleBody;
+  const body = { ...login.exampleBody };
+  for (const key of Object.keys(body)) {
+    if (registerBody[key] !== undefined) body[key] = registerBody[key];
+  }
+  return body;
+}
+
+// ─── CRUD chains ──────────────────────────────────────────────────────────────
+// POST /posts creates a record; its id fills the :id of GET/PUT/PATCH/DELETE
+// /posts/:id, and of nested collections like /posts/:postId/comments.
+
+function segments(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Collection path that produces the id of each parameter:
+ *   /posts/:postId/comments/:id → [['postId', '/posts'], ['id', '/posts/:postId/comments']]
+ */
+function paramSources(path) {
+  const parts   = segments(path);
+  const sources = [];
+  parts.forEach((part, i) => {
+    if (PARAM_RE.test(part)) sources.push([part, '/' + parts.slice(0, i).join('/')]);
+  });
+  return sources;
+}
+
+function isCreate(endpoint) {
+  const last = segments(endpoint.path).pop() || '';
+  return endpoint.method === 'POST' && !PARAM_RE.test(last);
+}
+
+/**
+ * create → read → update → delete. Parents are created before their children
+ * and deleted after them, so every chain can use the ids it depends on.
+ */
+export function orderCrud(endpoints) {
+  const depth = e => paramSources(e.path).length;
+  const stage = e => {
+    if (isCreate(e))             return 0;
+    if (e.method === 'GET')      return 1;
+    if (e.method === 'DELETE')   return 3;
+    return 2;
+  };
+
+  return endpoints
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) =>
+      stage(a.e) - stage(b.e) ||
+      (stage(a.e) === 3 ? depth(b.e) - depth(a.e) : depth(a.e) - depth(b.e)) ||
+      a.i - b.i
+    )
+    .map(({ e }) => e);
+}
+
+/**
+ * Fill the path parameters from the ids of created records.
+ * @returns {{ path: string, created: boolean }} created — every parameter came from a record we created
+ */
+export function resolvePath(path, ids) {
+  let created = true;
+  const sources = new Map(paramSources(path));
+
+  const resolved = segments(path).map(part => {
+    if (!PARAM_RE.test(part)) return part;
+    const id = ids.get(sources.get(part));
+    if (id === undefined) created = false;
+    return encodeURIComponent(id ?? FALLBACK_ID);
+  });
+
+  return { path: '/' + resolved.join('/'), created: created && sources.size > 0 };
+}
+
+/**
+ * Id of a created record: a known key at any depth, shallowest first.
+ */
+export function extractId(json) {
+  if (!json || typeof json !== 'object') return undefined;
+
+  const queue = [json];
+  while (queue.length > 0) {
+    const obj = queue.shift();
+    for (const key of ID_KEYS) {
+      if (typeof obj[key] === 'string' || typeof obj[key] === 'number') return String(obj[key]);
+    }
+    for (const value of Object.values(obj)) {
+      if (value && typeof value === 'object') queue.push(value);
+    }
+  }
+  return undefined;
+}
+
+function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, SECRET_KEY_RE.test(key) && typeof v === 'string' ? '<redacted>' : maskSecrets(v)]
+  ));
+}
+
+/**
+ * Body preview of an auth response without credentials. Masked before it is
+ * cut — a cut would leave part of the token behind.
+ */
+export function redactAuthBody(result, token) {
+  const full = result.json !== null && result.json !== undefined ? JSON.stringify(maskSecrets(result.json)) : result.body;
+  return (token ? full.split(token).join('<token>') : full).slice(0, BODY_PREVIEW);
+}
+
+/**
+ * Run register, then login, and keep the JWT from their responses.
+ *
+ * @param {string}   baseUrl
+ * @param {Array}    endpoints
+ * @param {Function} [pause] - Awaited between the requests
+ * @returns {Promise<{ token: string|null, results: Array }>}
  */
-export async function testAllEndpoints(baseUrl, endpoints) {
+export async function authenticate(baseUrl, endpoints, pause = async () => {}) {
+  const { register, login } = findAuthEndpoints(endpoints);
   const results = [];
+  let   token   = null;
 
-  for (const endpoint of endpoints) {
-    const result = await testEndpoint(baseUrl, endpoint);
+  // Re-runs (vbs test) hit an existing user: register may answer 409, login still works
+  for (const ep of [register, login].filter(Boolean)) {
+    const body   = ep === login ? loginBody(login, register?.exampleBody) : ep.exampleBody;
+    const result = await testEndpoint(baseUrl, ep, { body });
+    if (ep === register && result.status === 409) {
+      Object.assign(result, { passed: true, note: 'Exists' });
+      delete result.diff;
+    }
     results.push(result);
-    await new Promise(r => setTimeout(r, 250));
+    token = extractToken(result.json) || token;
+    result.body = redactAuthBody(result, token);   // bodies end up in test-history.json
+    await pause();
+  }
+
+  return { token, results };
+}
+
+/**
+ * Create one record per collection (parents first) so parameterised paths
+ * resolve to real ids — used by `vbs bench`. Remove them with deleteRecords().
+ *
+ * @returns {Promise<Map>} collection path → id
+ */
+export async function createRecords(baseUrl, endpoints, token) {
+  const { register, login } = findAuthEndpoints(endpoints);
+  const ids = new Map();
+
+  for (const endpoint of orderCrud(endpoints.filter(isCreate))) {
+    if (endpoint === register || endpoint === login) continue;
+
+    const { path } = resolvePath(endpoint.path, ids);
+    const result   = await testEndpoint(baseUrl, endpoint, { path, token: endpoint.requiresAuth ? token : null, contract: false });
+    const id       = result.status >= 200 && result.status < 300 ? extractId(result.json) : undefined;
+    if (id !== undefined) ids.set(endpoint.path.replace(/\/$/, ''), id);
   }
 
+  return ids;
+}
+
+/**
+ * Test all endpoints sequentially with a small delay between requests.
+ *
+ * Register and login run first; the JWT from their response is sent as a
+ * Bearer token to every `requiresAuth` endpoint. Protected endpoints are
+ * tested twice: without a token (must answer 401/403 — auth: 'guest') and
+ * with it (auth: 'token').
+ *
+ * The rest run as CRUD chains (see orderCrud): ids returned by creates fill
+ * the path parameters of later requests, a 404 on a record created in this
+ * run is a failure, and records that are still alive at the end are deleted.
+ * Responses are checked against each endpoint's contract (contract.mjs),
+ * except for tokenless guard checks and guessed path parameters.
+ *
+ * @param {string}  baseUrl
+ * @param {Array}   endpoints
+ * @param {object}  [opts]
+ * @param {boolean} [opts.requireRoutes] - Every endpoint must exist (spec builds): a 404/405/501
+ *                                         fails as "Unreachable" unless the id was guessed
+ */
+export async function testAllEndpoints(baseUrl, endpoints, { requireRoutes = false } = {}) {
+  const pause = () => new Promise(r => setTimeout(r, 250));
+
+  const { register, login } = findAuthEndpoints(endpoints);
+  const auth    = await authenticate(baseUrl, endpoints, pause);
+  const results = auth.results;
+  const token   = auth.token;
+
+  // Collection path → id of the record created there
+  const ids = new Map();
+
+  const run = async (endpoint, opts = {}) => {
+    const { path, created } = resolvePath(endpoint.path, ids);
+
+    // A fallback id may not exist — only the old "non-5xx" rule applies there
+    const guessed = !created && paramSources(endpoint.path).length > 0;
+    const result  = await testEndpoint(baseUrl, endpoint, { ...opts, path, contract: !guessed });
+
+    // The record was created moments ago — a 404 is a real bug, not a missing example id
+    if (created && result.status === 404) {
+      result.passed = false;
+      result.note   = 'Missing Record';
+    } else if (requireRoutes && [404, 405, 501].includes(result.status) && (!guessed || NO_ROUTE_RE.test(result.body))) {
+      result.passed = false;
+      result.note   = 'Unreachable';
+    }
+
+    if (result.status >= 200 && result.status < 300) {
+      if (isCreate(endpoint)) {
+        const id = extractId(result.json);
+        if (id !== undefined) ids.set(endpoint.path.replace(/\/$/, ''), id);
+      } else if (endpoint.method === 'DELETE' && created) {
+        ids.delete(paramSources(endpoint.path).pop()[1]);
+      }
+    }
+
+    results.push(result);
+    await pause();
+  };
+
+  const rest = orderCrud(endpoints.filter(e => e !== register && e !== login));
+
+  for (const endpoint of rest) {
+    await run(endpoint);
+
+    if (!endpoint.requiresAuth || (!register && !login)) continue;
+
+    if (!token) {
+      results.push({
+        method: endpoint.method, path: endpoint.path, status: 0, time: 0,
+        passed: false, note: 'No Token', body: 'register/login returned no token', auth: 'token',
+      });
+      continue;
+    }
+
+    await run(endpoint, { token });
+  }
+
+  await deleteRecords(baseUrl, rest, ids, token);
+
   return results;
 }
+
+/**
+ * Operations that never answered, or only answered "Unreachable" (see requireRoutes).
+ * @returns {string[]} "METHOD /path"
+ */
+export function unreachableOperations(results) {
+  const reached = new Map();
+  for (const r of results) {
+    const key = `${r.method} ${r.path}`;
+    reached.set(key, reached.get(key) || (r.status > 0 && r.note !== 'Unreachable'));
+  }
+  return [...reached].filter(([, ok]) => !ok).map(([key]) => key);
+}
+
+/**
+ * Delete the records a failed or missing DELETE test left behind
+ * (children first). Not reported — best effort only.
+ */
+export async function deleteRecords(baseUrl, endpoints, ids, token) {
+  const deletes = orderCrud(endpoints.filter(e => e.method === 'DELETE'));
+
+  for (const endpoint of deletes) {
+    const collection = paramSources(endpoint.path).pop()?.[1];
+    if (!ids.has(collection)) continue;
+
+    const { path, created } = resolvePath(endpoint.path, ids);
+    if (!created) continue;
+
+    const result = await testEndpoint(baseUrl, endpoint, { path, token: endpoint.requiresAuth ? token : null });
+    if ((result.status >= 200 && result.status < 300) || result.status === 404) ids.delete(collection);
+  }
+}
@@ -0,0 +1,160 @@
+import chalk   from 'chalk';
+import figures from 'figures';
+
+// ─── Unified line diff (vbs modify preview) ──────────────────────────────────
+// Common prefix/suffix are trimmed, the rest is diffed with an LCS table.
+// Changes too large for the table are shown as "replace everything".
+
+// Largest LCS table (cells) — beyond this the middle is shown as removed + added
+const MAX_CELLS = 2_000_000;
+
+// Lines printed per file before the preview is cut
+const MAX_PRINTED = 400;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff of two texts.
+ * @returns {Array<{ op: ' '|'-'|'+', line: string }>}
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(line => ({ op: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ op: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n    = midA.length;
+  const m    = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    return [...head, ...midA.map(line => ({ op: '-', line })), ...midB.map(line => ({ op: '+', line })), ...tail];
+  }
+
+  // lcs[i][j] — LCS length of midA[i..] and midB[j..]
+  const w   = m + 1;
+  const lcs = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * w + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * w + j + 1] + 1
+        : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const mid = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j])                          { mid.push({ op: ' ', line: midA[i] }); i++; j++; }
+    else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) { mid.push({ op: '-', line: midA[i++] }); }
+    else                                              { mid.push({ op: '+', line: midB[j++] }); }
+  }
+  while (i < n) mid.push({ op: '-', line: midA[i++] });
+  while (j < m) mid.push({ op: '+', line: midB[j++] });
+
+  return [...head, ...mid, ...tail];
+}
+
+/**
+ * Group a line diff into hunks with `context` unchanged lines around each
+ * change. Changes closer than 2 × context share a hunk.
+ * @returns {Array<{ oldStart, oldLines, newStart, newLines, lines }>}
+ */
+export function toHunks(diff, context = 3) {
+  // Line numbers (1-based) at each diff entry
+  const pos = [];
+  let   o   = 1;
+  let   n   = 1;
+  for (const d of diff) {
+    pos.push({ o, n });
+    if (d.op !== '+') o++;
+    if (d.op !== '-') n++;
+  }
+
+  const ranges = [];
+  diff.forEach((d, i) => {
+    if (d.op === ' ') return;
+    const start = Math.max(0, i - context);
+    const end   = Math.min(diff.length, i + context + 1);
+    const last  = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else                           ranges.push({ start, end });
+  });
+
+  return ranges.map(({ start, end }) => {
+    const lines = diff.slice(start, end);
+    return {
+      oldStart: pos[start].o,
+      oldLines: lines.filter(d => d.op !== '+').length,
+      newStart: pos[start].n,
+      newLines: lines.filter(d => d.op !== '-').length,
+      lines,
+    };
+  });
+}
+
+/**
+ * Added / removed line counts.
+ */
+export function diffStats(diff) {
+  return {
+    added:   diff.filter(d => d.op === '+').length,
+    removed: diff.filter(d => d.op === '-').length,
+  };
+}
+
+/**
+ * Colourised unified diff of one file.
+ *
+ * @param {string}      path
+ * @param {string|null} oldText      - null for a new file
+ * @param {string|null} newText      - null for a deleted file
+ * @param {object}      [opts]
+ * @param {string}      [opts.from]  - Previous path of a renamed file
+ * @returns {string}
+ */
+export function formatUnifiedDiff(path, oldText, newText, { from } = {}) {
+  const diff  = diffLines(oldText ?? '', newText ?? '');
+  const hunks = toHunks(diff);
+  const out   = [
+    ...(from ? [chalk.bold(`rename from ${from}`), chalk.bold(`rename to ${path}`)] : []),
+    chalk.bold(`--- ${oldText === null ? '/dev/null' : `a/${from || path}`}`),
+    chalk.bold(`+++ ${newText === null ? '/dev/null' : `b/${path}`}`),
+  ];
+
+  if (hunks.length === 0) {
+    out.push(chalk.gray(`  ${figures.info} ${from ? 'content unchanged' : 'no changes'}`));
+    return out.join('\n');
+  }
+
+  let printed = 0;
+  let cut     = 0;
+  for (const h of hunks) {
+    if (printed >= MAX_PRINTED) { cut += h.lines.length; continue; }
+    // An empty side starts at the line before the hunk (0 at the top of the file)
+    out.push(chalk.cyan(`@@ -${h.oldLines ? h.oldStart : h.oldStart - 1},${h.oldLines} +${h.newLines ? h.newStart : h.newStart - 1},${h.newLines} @@`));
+    for (const d of h.lines) {
+      if (printed >= MAX_PRINTED) { cut++; continue; }
+      printed++;
+      if      (d.op === '+') out.push(chalk.green(`+${d.line}`));
+      else if (d.op === '-') out.push(chalk.red(`-${d.line}`));
+      else                   out.push(chalk.gray(` ${d.line}`));
+    }
+  }
+
+  if (cut > 0) out.push(chalk.gray(`  … ${cut} more line(s) — choose "Edit" to see the whole file`));
+  return out.join('\n');
+}
@@ -159,10 +159,11 @@ export function showTestResults(results) {
     const statusColor = r.status >= 200 && r.status < 400 ? chalk.green : chalk.red;
     const icon        = r.passed ? chalk.green(figures.tick) : chalk.red(figures.cross);
     const note        = r.note || (r.passed ? 'OK' : 'Failed');
+    const authTag     = r.auth === 'token' ? chalk.yellow(' +token') : r.auth === 'guest' ? chalk.gray(' no token') : '';
 
     table.push([
       chalk.cyan(r.method),
-      chalk.white(r.path),
+      chalk.white(r.path) + authTag,
       statusColor(r.status ? String(r.status) : 'ERR'),
       chalk.gray(`${r.time}ms`),
       `${icon} ${r.passed ? chalk.green(note) : chalk.red(note)}`,
@@ -182,6 +183,20 @@ export function showTestResults(results) {
     ) +
     '\n'
   );
+
+  // Contract differences: - expected (red) / + actual (green), like a diff
+  for (const r of results.filter(r => r.diff?.length)) {
+    const tag = r.auth === 'token' ? chalk.gray(' (token)') : '';
+    console.log('  ' + chalk.red(figures.cross) + ' ' + chalk.cyan(r.method) + ' ' + chalk.white(r.path) + tag);
+    for (const d of r.diff) {
+      console.log(
+        '      ' + chalk.gray(d.path.padEnd(24)) +
+        chalk.red(`- ${d.expected}`.padEnd(20)) +
+        chalk.green(`+ ${d.actual}`)
+      );
+    }
+    console.log('');
+  }
 }
 
 // ─── File Write Progress ──────────────────────────────────────────────────────
@@ -204,6 +219,66 @@ export function showFileWrittenFinal(count, totalLines) {
   );
 }
 
+// ─── Dry-run Build Plan ───────────────────────────────────────────────────────
+
+/**
+ * Print everything a build would change on the server (vbs --dry-run).
+ *
+ * @param {object} plan
+ * @param {string} plan.projectDir
+ * @param {Array}  plan.files       - { path, content }
+ * @param {Array}  plan.installs    - { dir, build } — npm install (+ npm run build)
+ * @param {Array}  plan.ports       - Ports ufw would open
+ * @param {object} [plan.database]  - { name, user }
+ * @param {Array}  plan.processes   - { pm2Name, startCommand, cwd }
+ * @param {object} [plan.nginx]     - { path, content }
+ * @param {boolean} plan.isRoot
+ * @param {string} [plan.scratchDir]
+ */
+export function showBuildPlan({ projectDir, files, installs, ports, database, processes, nginx, isRoot, scratchDir }) {
+  const rootNote = isRoot ? '' : chalk.yellow('  (root only — skipped when not root)');
+
+  showSectionHeader(`Files — ${files.length} would be written`);
+  for (const f of files) {
+    console.log(`  ${chalk.gray(projectDir + '/')}${chalk.white(f.path)} ${chalk.gray(`(${f.content.split('\n').length}L)`)}`);
+  }
+
+  showSectionHeader('Install & build');
+  for (const step of installs) {
+    console.log(`  ${chalk.cyan('npm install')}    ${chalk.gray(step.dir)}`);
+    if (step.build) console.log(`  ${chalk.cyan('npm run build')}  ${chalk.gray(step.dir)}`);
+  }
+
+  showSectionHeader('Firewall (ufw)');
+  for (const p of ports) console.log(`  ${chalk.cyan(`ufw allow ${p}/tcp`)}${rootNote}`);
+
+  if (database) {
+    showSectionHeader('PostgreSQL');
+    console.log(`  ${chalk.bold('User:')}      ${chalk.cyan(database.user)}${rootNote}`);
+    console.log(`  ${chalk.bold('Database:')}  ${chalk.cyan(database.name)}  ${chalk.gray(`(owner ${database.user}, all privileges)`)}`);
+  }
+
+  showSectionHeader('pm2 processes');
+  if (processes.length === 0) console.log(chalk.gray('  none — nginx serves the static build'));
+  for (const proc of processes) {
+    console.log(`  ${chalk.magenta(proc.pm2Name.padEnd(24))} ${chalk.white(proc.startCommand)}  ${chalk.gray(proc.cwd)}`);
+  }
+
+  if (nginx) {
+    showSectionHeader('nginx');
+    console.log(`  ${chalk.cyan(nginx.path)}  ${chalk.gray('→ sites-enabled, nginx -t && systemctl reload nginx')}${rootNote}\n`);
+    console.log(chalk.gray('  ' + nginx.content.trimEnd().split('\n').join('\n  ')));
+  }
+
+  console.log(
+    '\n' + boxen(
+      chalk.yellow.bold(`${figures.info} Dry run — no system changes were made`) +
+      (scratchDir ? '\n\n' + chalk.white('Generated files: ') + chalk.cyan(scratchDir) : ''),
+      { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'yellow' }
+    )
+  );
+}
+
 // ─── Success Box ──────────────────────────────────────────────────────────────
 
 export function showSuccessBox({
@@ -1,6 +1,26 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import figures from 'figures';
+import { promises as fs } from 'fs';
+import { extname, isAbsolute } from 'path';
+import YAML from 'yaml';
+
+// ─── Answer Validation ────────────────────────────────────────────────────────
+
+/**
+ * Validate an input answer with the rule named in q.validate.
+ * Shared by the interactive prompts and non-interactive (--answers / --yes) builds.
+ * @returns {true|string} true, or an error message
+ */
+export function validateAnswer(q, value) {
+  if (q.validate === 'port_number') {
+    const port = parseInt(value, 10);
+    if (isNaN(port) || port < 1 || port > 65535) {
+      return 'Please enter a valid port number (1–65535)';
+    }
+  }
+  return true;
+}
 
 // ─── Ask a Single Question ────────────────────────────────────────────────────
 
@@ -42,14 +62,8 @@ export async function askQuestion(q, index, total) {
       default: q.default !== undefined ? String(q.default) : undefined,
     };
 
-    if (q.validate === 'port_number') {
-      question.validate = (val) => {
-        const port = parseInt(val, 10);
-        if (isNaN(port) || port < 1 || port > 65535) {
-          return 'Please enter a valid port number (1–65535)';
-        }
-        return true;
-      };
+    if (q.validate) {
+      question.validate = (val) => validateAnswer(q, val);
     }
   }
 
@@ -68,11 +82,139 @@ export async function askAllQuestions(questions) {
   return answers;
 }
 
+// ─── Non-interactive Answers (--answers / --yes) ──────────────────────────────
+
+/**
+ * Load a JSON or YAML answers file: { "<question_id>": value, "projectDir": "/var/www/x" }
+ * @throws if the file is missing, unparsable or not a key/value map
+ */
+export async function loadAnswersFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read answers file ${filePath}: ${err.message}`);
+  }
+
+  let data;
+  try {
+    data = ['.yaml', '.yml'].includes(extname(filePath).toLowerCase())
+      ? YAML.parse(text)
+      : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid answers file ${filePath}: ${err.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Answers file ${filePath} must contain a key/value map of question ids`);
+  }
+  return data;
+}
+
+function coerceAnswer(q, raw) {
+  if (q.type === 'confirm') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const s = String(raw).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(s))  return { value: true };
+    if (['false', 'no', 'n', '0'].includes(s)) return { value: false };
+    return { error: `expected true/false, got ${JSON.stringify(raw)}` };
+  }
+
+  if (q.type === 'list') {
+    const choices = q.choices || [];
+    const match   = choices.find(c => c === raw) ||
+                    choices.find(c => c.toLowerCase() === String(raw).trim().toLowerCase());
+    return match !== undefined
+      ? { value: match }
+      : { error: `expected one of ${choices.map(c => `"${c}"`).join(' | ')}, got ${JSON.stringify(raw)}` };
+  }
+
+  const value = String(raw);
+  const valid = validateAnswer(q, value);
+  return valid === true ? { value } : { error: valid };
+}
+
+// Answers the build reads itself, whether or not the AI asked for them
+const PIPELINE_ANSWERS = [
+  { id: 'project_name',      type: 'input' },
+  { id: 'port',              type: 'input', validate: 'port_number' },
+  { id: 'backend_port',      type: 'input', validate: 'port_number' },
+  { id: 'frontend_port',     type: 'input', validate: 'port_number' },
+  { id: 'database_name',     type: 'input' },
+  { id: 'database_user',     type: 'input' },
+  { id: 'database_password', type: 'input' },
+];
+
+/**
+ * Answer every question without prompting: the provided value for each
+ * question id, else the question's default. Values are checked with the
+ * same rules as the interactive prompts.
+ *
+ * Provided keys that match no question are dropped, except the answers the
+ * build reads itself (ports, project and database names), which are validated too.
+ *
+ * @param {Array}  questions - AI-generated questions
+ * @param {object} provided  - Values from the answers file ({} for --yes)
+ * @returns {{ answers: object, dropped: string[] }} dropped — provided keys that were ignored
+ * @throws listing every missing or invalid answer
+ */
+export function resolveAnswers(questions, provided = {}) {
+  const answers = {};
+  const errors  = [];
+
+  for (const q of questions) {
+    const raw = provided[q.id] !== undefined ? provided[q.id] : q.default;
+    if (raw === undefined || raw === null || raw === '') {
+      errors.push(`${q.id}: missing — no value provided and no default ("${q.message}")`);
+      continue;
+    }
+
+    const { value, error } = coerceAnswer(q, raw);
+    if (error) errors.push(`${q.id}: ${error}`);
+    else       answers[q.id] = value;
+  }
+
+  const asked = new Set([...questions.map(q => q.id), 'projectDir']);
+  for (const q of PIPELINE_ANSWERS) {
+    if (asked.has(q.id) || provided[q.id] === undefined || provided[q.id] === null || provided[q.id] === '') continue;
+    const { value, error } = coerceAnswer(q, provided[q.id]);
+    if (error) errors.push(`${q.id}: ${error}`);
+    else       answers[q.id] = value;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Non-interactive answers are incomplete:\n${errors.map(e => `    - ${e}`).join('\n')}`);
+  }
+
+  const known   = new Set([...asked, ...PIPELINE_ANSWERS.map(q => q.id)]);
+  const dropped = Object.keys(provided).filter(k => !known.has(k));
+
+  return { answers, dropped };
+}
+
 // ─── Project Directory Picker ─────────────────────────────────────────────────
 
+/** Default project location — the first choice offered by askProjectDirectory(). */
+export function defaultProjectDirectory(projectName) {
+  return `/var/www/${projectName}`;
+}
+
+/**
+ * Project directory for non-interactive builds: answers.projectDir, else the default.
+ * @throws if projectDir is given but not an absolute path
+ */
+export function resolveProjectDirectory(projectName, provided = {}) {
+  const dir = provided.projectDir;
+  if (dir === undefined || dir === null || dir === '') return defaultProjectDirectory(projectName);
+  if (typeof dir !== 'string' || !isAbsolute(dir)) {
+    throw new Error(`projectDir must be an absolute path, got ${JSON.stringify(dir)}`);
+  }
+  return dir;
+}
+
 export async function askProjectDirectory(projectName) {
   const homeProjects = `${process.env.HOME || '/root'}/projects/${projectName}`;
-  const varWww       = `/var/www/${projectName}`;
+  const varWww       = defaultProjectDirectory(projectName);
 
   const { location } = await inquirer.prompt([
     {
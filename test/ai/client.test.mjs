@@ -0,0 +1,80 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import os from 'os';
+
+// ~/.vbs is resolved at import time — point HOME at a scratch directory first
+const home = await fs.mkdtemp(join(os.tmpdir(), 'vbs-test-'));
+process.env.HOME = home;
+
+const { extractJSONLoose, requestJSON, TASKS } = await import('../../src/ai/client.mjs');
+const { useCassette, CASSETTES_DIR }            = await import('../../src/ai/cassette.mjs');
+const { FILE_SCHEMA, validate }                 = await import('../../src/ai/schema.mjs');
+
+const SCHEMA = {
+  type:     'object',
+  required: ['files'],
+  properties: { files: { type: 'array', items: FILE_SCHEMA } },
+};
+
+const COMPLETE  = '{"files":[{"path":"a.js","content":"a"},{"path":"b.js","content":"b"}]}';
+// Cut right after the first file — the repaired document still passes SCHEMA
+const TRUNCATED = '{"files":[{"path":"a.js","content":"a"},{"path":"b.js","con';
+const CUT_CLEAN = '{"files":[{"path":"a.js","content":"a"},';
+
+async function replayCassette(id, outputs) {
+  const dir = join(CASSETTES_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+  for (const [index, output] of outputs.entries()) {
+    const entry = { index, task: TASKS.CODEGEN, hash: 'recorded', output };
+    await fs.writeFile(join(dir, `${String(index).padStart(3, '0')}-codegen.json`), JSON.stringify(entry), 'utf8');
+  }
+  await useCassette('replay', id);
+}
+
+after(() => fs.rm(home, { recursive: true, force: true }));
+
+describe('extractJSONLoose', () => {
+  test('parses complete JSON inside markdown fences', () => {
+    assert.deepEqual(extractJSONLoose('Here you go:\n```json\n{"a":1}\n```'), { data: { a: 1 }, repaired: false });
+  });
+
+  test('flags a repaired document as repaired', () => {
+    assert.equal(extractJSONLoose(TRUNCATED).repaired, true);
+    assert.equal(extractJSONLoose('{"a":[1,2').repaired, true);
+  });
+
+  test('does not flag stray text after a complete document', () => {
+    assert.deepEqual(extractJSONLoose('{"a":1} — done!'), { data: { a: 1 }, repaired: false });
+  });
+
+  test('throws when nothing is salvageable', () => {
+    assert.throws(() => extractJSONLoose('I cannot help with that'));
+  });
+});
+
+describe('requestJSON', () => {
+  // Replay serves the retries from the next entries — silence the fallback warnings
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  test('returns a complete response', async () => {
+    await replayCassette('complete', [COMPLETE]);
+    assert.equal((await requestJSON(TASKS.CODEGEN, 'sys', 'user', 100, SCHEMA)).files.length, 2);
+  });
+
+  test('re-prompts after a truncated response that passes the schema', async () => {
+    assert.deepEqual(validate(extractJSONLoose(CUT_CLEAN).data, SCHEMA), []);
+    await replayCassette('retry', [CUT_CLEAN, COMPLETE]);
+    assert.equal((await requestJSON(TASKS.CODEGEN, 'sys', 'user', 100, SCHEMA)).files.length, 2);
+  });
+
+  test('never returns repaired data — throws after the last attempt', async () => {
+    await replayCassette('truncated', [CUT_CLEAN, TRUNCATED, CUT_CLEAN]);
+    await assert.rejects(
+      requestJSON(TASKS.CODEGEN, 'sys', 'user', 100, SCHEMA),
+      /failed validation after 3 attempts:\n {2}- response was truncated/
+    );
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import os from 'os';
+
+// ~/.vbs is resolved at import time — point HOME at a scratch directory first
+const home = await fs.mkdtemp(join(os.tmpdir(), 'vbs-test-'));
+process.env.HOME = home;
+
+const { modificationSchema }                    = await import('../../src/ai/modifier.mjs');
+const { readProjectFiles, selectContextFiles }  = await import('../../src/ai/retriever.mjs');
+const { validate }                              = await import('../../src/ai/schema.mjs');
+
+const result = (extra = {}) => ({ summary: 'change', files: [], ...extra });
+
+describe('modificationSchema', () => {
+  let dir, schema;
+
+  before(async () => {
+    dir = join(home, 'project');
+    await fs.mkdir(join(dir, 'backend/src'), { recursive: true });
+    await fs.writeFile(join(dir, 'backend/src/index.js'), 'app.listen(3000);');
+    await fs.writeFile(join(dir, 'backend/src/legacy.js'), 'module.exports = {};');
+    await fs.writeFile(join(dir, 'backend/.env'), 'JWT_SECRET=real');
+    await fs.writeFile(join(dir, 'backend/package-lock.json'), '{}');
+
+    const { shown, omitted } = selectContextFiles(await readProjectFiles(dir), 'index', 20);
+    schema = modificationSchema(shown, omitted);
+  });
+
+  after(() => fs.rm(home, { recursive: true, force: true }));
+
+  test('accepts edits of shown files and new files', () => {
+    const files = [{ path: 'backend/src/index.js', content: 'x' }, { path: 'backend/src/new.js', content: 'y' }];
+    assert.deepEqual(validate(result({ files }), schema), []);
+  });
+
+  test('rejects writing an existing .env the model was never shown', () => {
+    const errors = validate(result({ files: [{ path: 'backend/.env', content: 'JWT_SECRET=' }] }), schema);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /backend\/\.env was not shown to you/);
+  });
+
+  test('rejects deleting or renaming withheld files', () => {
+    assert.match(validate(result({ deletes: ['backend/package-lock.json'] }), schema)[0], /withheld/);
+    assert.match(validate(result({ renames: [{ from: 'backend/.env', to: 'backend/.env.old' }] }), schema)[0], /withheld/);
+  });
+
+  test('rejects edits of omitted files and operations on missing files', () => {
+    assert.match(validate(result({ files: [{ path: 'backend/src/legacy.js', content: 'x' }] }), schema)[0], /was not shown/);
+    assert.match(validate(result({ deletes: ['backend/src/missing.js'] }), schema)[0], /does not exist/);
+    assert.deepEqual(validate(result({ deletes: ['backend/src/legacy.js'] }), schema), []);
+  });
+});
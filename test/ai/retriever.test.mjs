@@ -0,0 +1,126 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+
+import { queryTerms, readProjectFiles, selectContextFiles } from '../../src/ai/retriever.mjs';
+
+const file = (path, content) => ({ path, size: content?.length ?? 200000, content });
+
+describe('queryTerms', () => {
+  test('splits camelCase and kebab-case, drops stop words and short words', () => {
+    assert.deepEqual(queryTerms('Add a commentCount to the blog-post API'), ['comment', 'count', 'blog', 'post', 'api']);
+  });
+
+  test('drops a plural "s" from longer words only', () => {
+    assert.deepEqual(queryTerms('comments tags address users'), ['comment', 'tags', 'address', 'user']);
+  });
+
+  test('deduplicates terms', () => {
+    assert.deepEqual(queryTerms('Posts post POST'), ['post']);
+  });
+});
+
+describe('selectContextFiles', () => {
+  const files = [
+    file('backend/src/routes/posts.js',    'router.get("/posts"); // post post'),
+    file('backend/src/routes/comments.js', 'router.get("/comments"); // comment on a post'),
+    file('backend/src/models/user.js',     'const User = {};'),
+    file('backend/package.json',           '{ "name": "blog" }'),
+    file('backend/src/big.js',             null),
+  ];
+
+  test('puts core files first, then files matching the request', () => {
+    const { shown } = selectContextFiles(files, 'Let users like comments');
+    assert.deepEqual(shown.map(f => f.path), ['backend/package.json', 'backend/src/routes/comments.js', 'backend/src/models/user.js']);
+  });
+
+  test('ranks a rare path match above a common content match', () => {
+    const { shown } = selectContextFiles(files, 'comment post');
+    assert.deepEqual(shown.slice(1).map(f => f.path), ['backend/src/routes/comments.js', 'backend/src/routes/posts.js']);
+  });
+
+  test('lists unmatched and oversized files as omitted', () => {
+    const { omitted } = selectContextFiles(files, 'comments');
+    assert.deepEqual(omitted, [
+      { path: 'backend/src/routes/posts.js', size: files[0].size },
+      { path: 'backend/src/models/user.js',  size: files[2].size },
+      { path: 'backend/src/big.js',          size: 200000 },
+    ]);
+  });
+
+  test('skips files that do not fit the budget and keeps filling', () => {
+    const budget    = files[3].content.length + files[2].content.length;
+    const { shown } = selectContextFiles(files, 'comment user', budget);
+    assert.deepEqual(shown.map(f => f.path), ['backend/package.json', 'backend/src/models/user.js']);
+  });
+});
+
+describe('readProjectFiles', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'vbs-retriever-'));
+    const tree = {
+      'backend/src/index.js':            'app.listen(3000);',
+      'backend/package.json':            '{}',
+      'backend/package-lock.json':       '{}',
+      'backend/.env':                    'SECRET=x',
+      'backend/.env.example':            'SECRET=',
+      'backend/Dockerfile':              'FROM node:20',
+      'backend/logo.png':                'png',
+      'backend/node_modules/x/index.js': 'module.exports = 1;',
+      'backend/docs/openapi.json':       '{}',
+      'backend/big.js':                  'x'.repeat(100 * 1024 + 1),
+      'config.vbs':                      '{}',
+      'summary.txt':                     'summary',
+      '.vbs/history.json':               '[]',
+    };
+    for (const [path, content] of Object.entries(tree)) {
+      await fs.mkdir(join(dir, dirname(path)), { recursive: true });
+      await fs.writeFile(join(dir, path), content);
+    }
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('returns project files, with content under the size limit', async () => {
+    const files  = await readProjectFiles(dir);
+    const byPath = new Map(files.map(f => [f.path, f]));
+    // Order follows localeCompare, which depends on the ICU locale
+    assert.deepEqual([...byPath.keys()].sort(), [
+      'backend/.env',
+      'backend/.env.example',
+      'backend/Dockerfile',
+      'backend/big.js',
+      'backend/logo.png',
+      'backend/package-lock.json',
+      'backend/package.json',
+      'backend/src/index.js',
+      'config.vbs',
+      'summary.txt',
+    ]);
+    assert.equal(byPath.get('backend/big.js').content, null);
+    assert.equal(byPath.get('backend/big.js').size, 100 * 1024 + 1);
+    assert.equal(byPath.get('backend/big.js').withheld, undefined);
+    assert.equal(byPath.get('backend/src/index.js').content, 'app.listen(3000);');
+  });
+
+  test('withholds secrets, lock files, VBS files and binaries', async () => {
+    const files = await readProjectFiles(dir);
+    const withheld = files.filter(f => f.withheld).map(f => f.path).sort();
+    assert.deepEqual(withheld, ['backend/.env', 'backend/logo.png', 'backend/package-lock.json', 'config.vbs', 'summary.txt']);
+    assert.ok(files.filter(f => f.withheld).every(f => f.content === null));
+  });
+
+  test('lists withheld files as omitted, never shown', async () => {
+    const { shown, omitted } = selectContextFiles(await readProjectFiles(dir), 'env secret config');
+    assert.ok(!shown.some(f => f.path === 'backend/.env'));
+    assert.deepEqual(omitted.find(f => f.path === 'backend/.env'), { path: 'backend/.env', size: 8, withheld: true });
+  });
+
+  test('returns nothing for a missing directory', async () => {
+    assert.deepEqual(await readProjectFiles(join(dir, 'missing')), []);
+  });
+});
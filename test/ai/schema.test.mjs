@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validate, repairJSON, FILE_SCHEMA, ENDPOINT_SCHEMA } from '../../src/ai/schema.mjs';
+
+describe('repairJSON', () => {
+  test('returns a complete document unchanged', () => {
+    const text = '{"files":[{"path":"a.js","content":"x"}]}';
+    assert.equal(repairJSON(text), text);
+  });
+
+  test('drops trailing text after a complete document', () => {
+    assert.equal(repairJSON('{"a":1}\nHope this helps!'), '{"a":1}');
+  });
+
+  test('cuts a string cut off mid-value back to the last complete pair', () => {
+    const fixed = repairJSON('{"summary":"ok","notes":"this was cut of');
+    assert.deepEqual(JSON.parse(fixed), { summary: 'ok' });
+  });
+
+  test('ignores brackets and escaped quotes inside strings', () => {
+    const fixed = repairJSON('{"a":"[{\\"x\\"}]","b":"unterminated [');
+    assert.deepEqual(JSON.parse(fixed), { a: '[{"x"}]' });
+  });
+
+  test('closes nested arrays and objects after the last complete pair', () => {
+    const fixed = repairJSON('{"files":[{"path":"a.js","content":"x"},{"path":"b.js","cont');
+    assert.deepEqual(JSON.parse(fixed), { files: [{ path: 'a.js', content: 'x' }, { path: 'b.js' }] });
+  });
+
+  test('closes deeply nested arrays', () => {
+    const fixed = repairJSON('{"m":[[1,2],[3,[4,5],[6');
+    assert.deepEqual(JSON.parse(fixed), { m: [[1, 2], [3, [4, 5]]] });
+  });
+
+  test('strips a trailing comma before closing', () => {
+    const fixed = repairJSON('{"allEndpoints":[{"method":"GET","path":"/a"},');
+    assert.deepEqual(JSON.parse(fixed), { allEndpoints: [{ method: 'GET', path: '/a' }] });
+  });
+
+  test('leaves a trailing comma inside a complete document to JSON.parse', () => {
+    const fixed = repairJSON('{"a":[1,2,],"b":1}');
+    assert.equal(fixed, '{"a":[1,2,],"b":1}');
+    assert.throws(() => JSON.parse(fixed));
+  });
+
+  test('returns null when nothing is salvageable', () => {
+    assert.equal(repairJSON('{"summary":"cut'), null);
+    assert.equal(repairJSON('{'), null);
+  });
+});
+
+describe('validate', () => {
+  const schema = {
+    type:     'object',
+    required: ['summary', 'files'],
+    properties: {
+      summary:  { type: 'string' },
+      files:    { type: 'array', minItems: 1, items: FILE_SCHEMA },
+      notes:    { type: 'string', nullable: true },
+      kind:     { enum: ['api', 'frontend'] },
+    },
+  };
+
+  test('accepts a valid value', () => {
+    assert.deepEqual(validate({ summary: 's', files: [{ path: 'a.js', content: '' }], notes: null, kind: 'api' }, schema), []);
+  });
+
+  test('reports missing required keys', () => {
+    assert.deepEqual(validate({ files: [{ path: 'a.js' }] }, schema), [
+      '$.summary: missing',
+      '$.files[0].content: missing',
+    ]);
+  });
+
+  test('reports type errors with the path of the value', () => {
+    assert.deepEqual(validate({ summary: 1, files: [{ path: 'a.js', content: 2 }], notes: 3 }, schema), [
+      '$.summary: expected string, got number',
+      '$.files[0].content: expected string, got number',
+      '$.notes: expected string, got number',
+    ]);
+  });
+
+  test('distinguishes arrays and null from objects', () => {
+    assert.deepEqual(validate([], schema), ['$: expected object, got array']);
+    assert.deepEqual(validate(null, schema), ['$: expected object, got null']);
+  });
+
+  test('applies minItems, enum and check rules', () => {
+    assert.deepEqual(validate({ summary: 's', files: [], kind: 'cli' }, schema), [
+      '$.files: expected at least 1 item(s), got 0',
+      '$.kind: expected one of "api" | "frontend", got "cli"',
+    ]);
+    assert.deepEqual(validate({ summary: 's', files: [{ path: '  ', content: '' }] }, schema), [
+      '$.files[0].path: empty path',
+    ]);
+  });
+
+  test('applies patterns and checks of the endpoint schema', () => {
+    assert.deepEqual(validate({ method: 'FETCH', path: 'users', expectedStatus: 700 }, ENDPOINT_SCHEMA), [
+      '$.method: expected one of "GET" | "POST" | "PUT" | "PATCH" | "DELETE" | "HEAD" | "OPTIONS", got "FETCH"',
+      '$.path: "users" does not match /^\\//',
+      '$.expectedStatus: invalid status 700',
+    ]);
+  });
+});
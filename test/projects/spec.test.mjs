@@ -0,0 +1,221 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { loadSpec, schemaExample, schemaToShape, specEndpoints, specPrompt, specForCodegen } from '../../src/projects/spec.mjs';
+
+const SPEC_YAML = `openapi: 3.0.3
+info:
+  title: Blog
+  description: Posts and comments
+servers:
+  - url: https://api.example.com/api/v1/
+security:
+  - bearer: []
+paths:
+  /posts:
+    get:
+      summary: List posts
+      security: []
+      responses:
+        '200':
+          content:
+            application/json:
+              schema:
+                type: array
+                items: { $ref: '#/components/schemas/Post' }
+    post:
+      operationId: createPost
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/NewPost' }
+      responses:
+        '201':
+          content:
+            application/json:
+              schema: { $ref: '#/components/schemas/Post' }
+        '400': { description: Bad request }
+  /posts/{postId}/comments/{id}:
+    delete:
+      description: Remove a comment
+      responses:
+        '204': { description: Deleted }
+components:
+  schemas:
+    NewPost:
+      type: object
+      required: [title]
+      properties:
+        title: { type: string, example: Hello }
+        tags: { type: array, items: { type: string } }
+    Post:
+      allOf:
+        - $ref: '#/components/schemas/NewPost'
+        - type: object
+          required: [id]
+          properties:
+            id: { type: integer, readOnly: true }
+            parent: { $ref: '#/components/schemas/Post' }
+`;
+
+describe('loadSpec', () => {
+  let dir;
+  const write = async (name, text) => {
+    const file = join(dir, name);
+    await fs.writeFile(file, text);
+    return file;
+  };
+
+  before(async () => { dir = await fs.mkdtemp(join(tmpdir(), 'vbs-spec-')); });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('parses YAML and resolves $refs, cutting cycles', async () => {
+    const { text, spec } = await loadSpec(await write('blog.yaml', SPEC_YAML));
+    assert.equal(text, SPEC_YAML);
+    const post = spec.paths['/posts'].post.responses['201'].content['application/json'].schema;
+    assert.equal(post.allOf[0].properties.title.example, 'Hello');
+    assert.deepEqual(post.allOf[1].properties.parent, {});
+  });
+
+  test('accepts JSON', async () => {
+    const file = await write('min.json', JSON.stringify({ openapi: '3.1.0', paths: { '/x': { get: {} } } }));
+    assert.deepEqual(Object.keys((await loadSpec(file)).spec.paths), ['/x']);
+  });
+
+  test('rejects missing files, Swagger 2, non-OpenAPI documents and empty paths', async () => {
+    await assert.rejects(loadSpec(join(dir, 'missing.yaml')), /Cannot read spec/);
+    await assert.rejects(loadSpec(await write('bad.yaml', 'a: [')), /Invalid spec/);
+    await assert.rejects(loadSpec(await write('swagger.yaml', 'swagger: "2.0"\npaths: {}')), /Swagger 2\.0/);
+    await assert.rejects(loadSpec(await write('other.yaml', 'name: x')), /not an OpenAPI 3 document/);
+    await assert.rejects(loadSpec(await write('empty.yaml', 'openapi: 3.0.0\npaths: {}')), /defines no paths/);
+  });
+
+  test('rejects an unresolved $ref', async () => {
+    const file = await write('ref.yaml', "openapi: 3.0.0\npaths:\n  /x:\n    get:\n      responses:\n        '200': { $ref: '#/components/responses/Nope' }\n");
+    await assert.rejects(loadSpec(file), /Unresolved \$ref #\/components\/responses\/Nope/);
+  });
+});
+
+describe('schemaExample', () => {
+  test('prefers example, default, then the first enum value', () => {
+    assert.equal(schemaExample({ type: 'string', example: 'e', default: 'd' }), 'e');
+    assert.equal(schemaExample({ type: 'string', default: 'd', enum: ['a'] }), 'd');
+    assert.equal(schemaExample({ type: 'string', enum: ['a', 'b'] }), 'a');
+  });
+
+  test('builds typed placeholders and skips readOnly properties', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        id:       { type: 'integer', readOnly: true },
+        email:    { type: 'string', format: 'email' },
+        age:      { type: 'integer', minimum: 18 },
+        active:   { type: 'boolean' },
+        tags:     { type: 'array', items: { type: 'string' } },
+        kind:     { oneOf: [{ type: 'number' }, { type: 'string' }] },
+      },
+    };
+    assert.deepEqual(schemaExample(schema), { email: 'user@example.com', age: 18, active: true, tags: ['string'], kind: 1 });
+  });
+
+  test('merges allOf', () => {
+    const schema = { allOf: [{ properties: { a: { type: 'string' } } }, { properties: { b: { type: 'number' } } }] };
+    assert.deepEqual(schemaExample(schema), { a: 'string', b: 1 });
+  });
+});
+
+describe('schemaToShape', () => {
+  test('marks optional and nullable values with "?"', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id:    { type: 'integer' },
+        name:  { type: ['string', 'null'] },
+        bio:   { type: 'string' },
+        items: { type: 'array', items: { type: 'boolean' } },
+      },
+    };
+    assert.deepEqual(schemaToShape(schema), { id: 'number', name: 'string?', bio: 'string?', items: 'array?' });
+  });
+
+  test('returns "any" for unions and untyped schemas', () => {
+    assert.equal(schemaToShape({ oneOf: [{ type: 'string' }] }), 'any');
+    assert.equal(schemaToShape({}), 'any');
+    assert.deepEqual(schemaToShape({ type: 'array', items: { type: 'string' } }), ['string']);
+  });
+});
+
+describe('specEndpoints', () => {
+  let endpoints;
+  before(async () => {
+    const dir  = await fs.mkdtemp(join(tmpdir(), 'vbs-spec-'));
+    const file = join(dir, 'blog.yaml');
+    await fs.writeFile(file, SPEC_YAML);
+    endpoints  = specEndpoints((await loadSpec(file)).spec);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('prefixes the server path and converts path parameters', () => {
+    assert.deepEqual(endpoints.map(e => `${e.method} ${e.path}`), [
+      'GET /api/v1/posts',
+      'POST /api/v1/posts',
+      'DELETE /api/v1/posts/:postId/comments/:id',
+    ]);
+  });
+
+  test('applies operation security over the global one', () => {
+    assert.deepEqual(endpoints.map(e => e.requiresAuth), [false, true, true]);
+  });
+
+  test('derives description, body, status and response shape', () => {
+    const [list, create, remove] = endpoints;
+    assert.equal(list.description, 'List posts');
+    assert.equal(list.expectedStatus, 200);
+    assert.deepEqual(list.responseShape, [{ title: 'string', tags: 'array?', id: 'number', parent: 'any' }]);
+
+    assert.equal(create.description, 'createPost');
+    assert.equal(create.operationId, 'createPost');
+    assert.deepEqual(create.exampleBody, { title: 'Hello', tags: ['string'] });
+    assert.equal(create.expectedStatus, 201);
+
+    assert.equal(remove.description, 'Remove a comment');
+    assert.equal(remove.exampleBody, null);
+    assert.equal(remove.expectedStatus, 204);
+    assert.equal(remove.responseShape, null);
+  });
+
+  test('uses the default response when there is no 2xx', () => {
+    const [e] = specEndpoints({ paths: { '/x': { get: { responses: { default: {} } } } } });
+    assert.equal(e.expectedStatus, 200);
+    const [f] = specEndpoints({ paths: { '/x': { get: {} } } });
+    assert.equal('expectedStatus' in f, false);
+  });
+});
+
+test('specPrompt lists the operations', () => {
+  const prompt = specPrompt({ info: { title: 'Blog', description: ' Posts \n' } }, [
+    { method: 'GET', path: '/posts', requiresAuth: false, description: 'List posts' },
+    { method: 'POST', path: '/posts', requiresAuth: true, description: '' },
+  ]);
+  assert.equal(prompt, 'Blog — Posts\nImplements this OpenAPI contract (2 operations):\n- GET /posts — List posts\n- POST /posts (auth)');
+});
+
+test('specForCodegen truncates long specs with a warning', () => {
+  const logged = mock.method(console, 'log', () => {});
+  try {
+    assert.equal(specForCodegen('x'.repeat(60000)).length, 60000);
+    assert.equal(logged.mock.callCount(), 0);
+
+    const long = specForCodegen('x'.repeat(70000));
+    assert.ok(long.endsWith('\n# … (truncated)'));
+    assert.equal(long.length, 60000 + '\n# … (truncated)'.length);
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments[0], /70000 characters — only the first 60000/);
+  } finally {
+    logged.mock.restore();
+  }
+});
@@ -0,0 +1,137 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultBaseUrl, toPostman, toInsomnia, toHttpFile } from '../../src/summary/collections.mjs';
+
+const BASE = 'http://localhost:4000';
+
+const CFG = {
+  name:   'My Blog',
+  prompt: 'A blog API',
+  endpoints: [
+    { method: 'DELETE', path: '/api/posts/:id', requiresAuth: true },
+    { method: 'GET',    path: '/api/posts', description: 'List posts' },
+    { method: 'POST',   path: '/api/posts', requiresAuth: true, exampleBody: { title: 'Hi' } },
+    { method: 'POST',   path: '/api/auth/login', exampleBody: { email: 'other@x.io', password: 'other' },
+      responseShape: { data: { accessToken: 'string' } } },
+    { method: 'POST',   path: '/api/auth/register', exampleBody: { name: 'A', email: 'a@x.io', password: 'secret' } },
+    { method: 'GET',    path: '/api/posts/{postId}/comments' },
+  ],
+};
+
+describe('defaultBaseUrl', () => {
+  const saved = process.env.SERVER_IPV4;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.SERVER_IPV4;
+    else process.env.SERVER_IPV4 = saved;
+  });
+
+  test('uses the server ip and backend port', () => {
+    assert.equal(defaultBaseUrl({ server: { ip: '10.0.0.5' }, backend: { port: 8080 } }), 'http://10.0.0.5:8080');
+  });
+
+  test('falls back to SERVER_IPV4, then localhost, and port 3000', () => {
+    process.env.SERVER_IPV4 = ' 1.2.3.4 ';
+    assert.equal(defaultBaseUrl({}), 'http://1.2.3.4:3000');
+    delete process.env.SERVER_IPV4;
+    assert.equal(defaultBaseUrl({}), 'http://localhost:3000');
+  });
+
+  test('goes through nginx at /api for fullstack sites', () => {
+    const cfg = { type: 'fullstack', server: { ip: '10.0.0.5', nginxConfig: '/etc/nginx/sites-enabled/x' }, backend: { port: 8080 } };
+    assert.equal(defaultBaseUrl(cfg), 'http://10.0.0.5/api');
+  });
+});
+
+describe('toPostman', () => {
+  const collection = toPostman(CFG, BASE);
+  const requests   = collection.item.flatMap(f => f.item);
+
+  test('declares baseUrl, token and one variable per path parameter', () => {
+    assert.deepEqual(collection.variable, [
+      { key: 'baseUrl', value: BASE },
+      { key: 'token',   value: '' },
+      { key: 'postId',  value: '1' },
+      { key: 'id',      value: '1' },
+    ]);
+    assert.equal(collection.info.name, 'My Blog');
+    assert.equal(collection.info.description, 'A blog API');
+  });
+
+  test('orders auth first, then create → read → delete, grouped by folder', () => {
+    assert.deepEqual(collection.item.map(f => f.name), ['auth', 'posts']);
+    assert.deepEqual(requests.map(r => r.name), [
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/posts',
+      'GET /api/posts',
+      'GET /api/posts/{postId}/comments',
+      'DELETE /api/posts/:id',
+    ]);
+  });
+
+  test('login reuses the register credentials and sets the token', () => {
+    const login = requests[1];
+    assert.deepEqual(JSON.parse(login.request.body.raw), { email: 'a@x.io', password: 'secret' });
+    assert.equal(login.event[0].listen, 'test');
+    assert.equal(requests[0].event, undefined);
+  });
+
+  test('templates paths and opts public routes out of auth', () => {
+    const comments = requests[4].request;
+    assert.equal(comments.url.raw, '{{baseUrl}}/api/posts/{{postId}}/comments');
+    assert.deepEqual(comments.url.path, ['api', 'posts', '{{postId}}', 'comments']);
+    assert.deepEqual(comments.auth, { type: 'noauth' });
+    assert.deepEqual(comments.header, []);
+
+    const create = requests[2].request;
+    assert.equal(create.auth, undefined);
+    assert.deepEqual(create.header, [{ key: 'Content-Type', value: 'application/json' }]);
+  });
+});
+
+describe('toInsomnia', () => {
+  const { resources, __export_format } = toInsomnia(CFG, BASE);
+  const byType = type => resources.filter(r => r._type === type);
+
+  test('exports a workspace, environment, folders and requests', () => {
+    assert.equal(__export_format, 4);
+    assert.equal(byType('workspace')[0]._id, 'wrk_vbs_my_blog');
+    assert.deepEqual(byType('request_group').map(f => f.name), ['auth', 'posts']);
+    assert.equal(byType('request').length, 6);
+  });
+
+  test('reads the token from the login response at its responseShape path', () => {
+    const { data } = byType('environment')[0];
+    const arg      = Buffer.from('$.data.accessToken').toString('base64');
+    assert.equal(data.token, `{% response 'body', 'req_vbs_my_blog_1', 'b64::${arg}::46b', 'no-history', 60 %}`);
+    assert.equal(data.baseUrl, BASE);
+    assert.equal(data.postId, '1');
+  });
+
+  test('sends the token only to protected requests', () => {
+    const [, , create, list] = byType('request');
+    assert.equal(create.url, '{{ _.baseUrl }}/api/posts');
+    assert.deepEqual(create.authentication, { type: 'bearer', token: '{{ _.token }}' });
+    assert.deepEqual(list.authentication, {});
+    assert.equal(list.parentId, 'fld_vbs_my_blog_1');
+  });
+});
+
+describe('toHttpFile', () => {
+  test('names the token request and references it in @token', () => {
+    const text = toHttpFile(CFG, BASE);
+    assert.match(text, /^# My Blog — 6 endpoint\(s\)\n# Generated by VBS\. Send "POST \/api\/auth\/login" first/);
+    assert.match(text, /\n@baseUrl = http:\/\/localhost:4000\n@token = \{\{auth\.response\.body\.\$\.data\.accessToken\}\}\n@postId = 1\n@id = 1\n/);
+    assert.match(text, /### POST \/api\/auth\/login\n# @name auth\nPOST \{\{baseUrl\}\}\/api\/auth\/login\nContent-Type: application\/json/);
+    assert.match(text, /### POST \/api\/posts\nPOST \{\{baseUrl\}\}\/api\/posts\nAuthorization: Bearer \{\{token\}\}\n/);
+    assert.match(text, /### List posts\nGET \{\{baseUrl\}\}\/api\/posts\n/);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  test('falls back to a deep token search and an empty @token', () => {
+    const register = { method: 'POST', path: '/register', exampleBody: {} };
+    assert.match(toHttpFile({ name: 'x', endpoints: [register] }, BASE), /@token = \{\{auth\.response\.body\.\$\.\.token\}\}/);
+    assert.match(toHttpFile({ name: 'x', endpoints: [{ method: 'GET', path: '/x' }] }, BASE), /\n@token =\n/);
+  });
+});
@@ -0,0 +1,138 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { apiDocsDir, tagOf, buildOpenApi, swaggerHtml, writeApiDocs } from '../../src/summary/openapi.mjs';
+
+const CFG = {
+  name:   'Blog',
+  type:   'api',
+  prompt: 'A blog API',
+  endpoints: [
+    { method: 'GET',    path: '/api/posts', description: 'List posts', responseShape: [{ id: 'number', title: 'string', bio: 'string?' }] },
+    { method: 'POST',   path: '/api/posts', requiresAuth: true, expectedStatus: 201, exampleBody: { title: 'Hi', tags: ['a'], draft: null } },
+    { method: 'DELETE', path: '/api/posts/:id', requiresAuth: true },
+    { method: 'GET',    path: '/api/v1/posts/{postId}/comments' },
+  ],
+};
+
+describe('helpers', () => {
+  test('apiDocsDir is the backend package root', () => {
+    assert.equal(apiDocsDir('/p', 'api'), join('/p', 'docs'));
+    assert.equal(apiDocsDir('/p', 'fullstack'), join('/p', 'backend', 'docs'));
+    assert.equal(apiDocsDir('/p', 'frontend'), null);
+  });
+
+  test('tagOf skips api, versions and parameters', () => {
+    assert.equal(tagOf('/api/v2/posts/:id'), 'posts');
+    assert.equal(tagOf('/api'), 'default');
+  });
+});
+
+describe('buildOpenApi', () => {
+  const doc = buildOpenApi(CFG);
+
+  test('describes the project', () => {
+    assert.equal(doc.openapi, '3.0.3');
+    assert.deepEqual(doc.info, { title: 'Blog', version: '1.0.0', description: 'A blog API' });
+    assert.deepEqual(doc.servers, [{ url: '/' }]);
+    assert.deepEqual(buildOpenApi({ ...CFG, type: 'fullstack' }).servers, [{ url: '/api' }]);
+  });
+
+  test('takes info.version from the argument or the input spec', () => {
+    assert.equal(buildOpenApi(CFG, '2.3.0').info.version, '2.3.0');
+    assert.equal(buildOpenApi({ ...CFG, spec: { version: '0.9' } }).info.version, '0.9');
+  });
+
+  test('converts paths and declares path parameters', () => {
+    assert.deepEqual(Object.keys(doc.paths), ['/api/posts', '/api/posts/{id}', '/api/v1/posts/{postId}/comments']);
+    assert.deepEqual(doc.paths['/api/posts/{id}'].delete.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  });
+
+  test('builds unique operation ids and tags', () => {
+    const ops = Object.values(doc.paths).flatMap(Object.values);
+    assert.deepEqual(ops.map(o => o.operationId), ['getApiPosts', 'postApiPosts', 'deleteApiPostsById', 'getApiV1PostsByPostIdComments']);
+    assert.ok(ops.every(o => o.tags[0] === 'posts'));
+
+    const twice = buildOpenApi({ name: 'x', endpoints: [{ method: 'GET', path: '/a-b' }, { method: 'GET', path: '/a_b' }] });
+    assert.deepEqual(Object.values(twice.paths).map(p => p.get.operationId), ['getAB', 'getAB2']);
+  });
+
+  test('maps responseShape to a response schema', () => {
+    const list = doc.paths['/api/posts'].get;
+    assert.equal(list.summary, 'List posts');
+    assert.deepEqual(list.responses['200'].content['application/json'].schema, {
+      type:  'array',
+      items: {
+        type:       'object',
+        properties: { id: { type: 'number' }, title: { type: 'string' }, bio: { type: 'string', nullable: true } },
+        required:   ['id', 'title'],
+      },
+    });
+  });
+
+  test('maps exampleBody to a request body and secures requiresAuth routes', () => {
+    const create = doc.paths['/api/posts'].post;
+    assert.equal(create.summary, 'POST /api/posts');
+    assert.deepEqual(create.requestBody.content['application/json'], {
+      schema: {
+        type:       'object',
+        properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } }, draft: { nullable: true } },
+      },
+      example: CFG.endpoints[1].exampleBody,
+    });
+    assert.deepEqual(create.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(Object.keys(create.responses), ['201', '401']);
+    assert.equal(doc.components.securitySchemes.bearerAuth.scheme, 'bearer');
+    assert.equal(buildOpenApi({ name: 'x', endpoints: [CFG.endpoints[0]] }).components, undefined);
+  });
+});
+
+test('swaggerHtml pins Swagger UI with integrity hashes and escapes the title', () => {
+  const html = swaggerHtml('<Blog>');
+  assert.match(html, /<title>&lt;Blog> — API docs<\/title>/);
+
+  const assets = [...html.matchAll(/(?:href|src)="(https:\/\/unpkg\.com\/[^"]+)" integrity="(sha384-[A-Za-z0-9+/=]+)" crossorigin="anonymous"/g)];
+  assert.equal(assets.length, 2);
+  for (const [, url] of assets) assert.match(url, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+});
+
+describe('writeApiDocs', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'vbs-openapi-'));
+    await fs.mkdir(join(dir, 'backend'));
+    await fs.writeFile(join(dir, 'backend', 'package.json'), JSON.stringify({ version: '1.4.2' }));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('writes openapi.json and index.html with the backend package version', async () => {
+    const specPath = await writeApiDocs(dir, { ...CFG, type: 'fullstack' });
+    assert.equal(specPath, join(dir, 'backend', 'docs', 'openapi.json'));
+
+    const spec = JSON.parse(await fs.readFile(specPath, 'utf8'));
+    assert.equal(spec.info.version, '1.4.2');
+    assert.match(await fs.readFile(join(dir, 'backend', 'docs', 'index.html'), 'utf8'), /SwaggerUIBundle/);
+  });
+
+  test('prefers the input spec version', async () => {
+    const specPath = await writeApiDocs(dir, { ...CFG, type: 'fullstack', spec: { version: '3.0.0' } });
+    assert.equal(JSON.parse(await fs.readFile(specPath, 'utf8')).info.version, '3.0.0');
+  });
+
+  test('writes nothing for frontends or projects without endpoints', async () => {
+    assert.equal(await writeApiDocs(dir, { ...CFG, type: 'frontend' }), null);
+    assert.equal(await writeApiDocs(dir, { ...CFG, endpoints: [] }), null);
+  });
+});
+
+test('integrity hashes are well-formed sha384 digests', () => {
+  for (const [, hash] of swaggerHtml('x').matchAll(/integrity="sha384-([^"]+)"/g)) {
+    assert.equal(Buffer.from(hash, 'base64').length, createHash('sha384').digest().length);
+  }
+});
@@ -0,0 +1,90 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { parseMix, percentile, runBenchmark, deleteCreated } from '../../src/system/bench.mjs';
+
+const ep = (method, path, extra = {}) => ({ method, path, ...extra });
+
+const ENDPOINTS = [
+  ep('POST', '/auth/login'),
+  ep('GET', '/posts'),
+  ep('GET', '/posts/:id'),
+  ep('POST', '/posts', { exampleBody: { title: 'Bench' } }),
+  ep('DELETE', '/posts/:id'),
+  ep('POST', '/tags', { exampleBody: { name: 'x' } }),
+];
+
+describe('parseMix', () => {
+  test('defaults to every GET endpoint except auth', () => {
+    assert.deepEqual(parseMix(undefined, ENDPOINTS).map(m => m.endpoint.path), ['/posts', '/posts/:id']);
+  });
+
+  test('reads weights and defaults them to 1', () => {
+    const mix = parseMix('get /posts=3, POST /posts', ENDPOINTS);
+    assert.deepEqual(mix.map(m => [m.endpoint, m.weight]), [[ENDPOINTS[1], 3], [ENDPOINTS[3], 1]]);
+  });
+
+  test('rejects unknown endpoints, bad entries and zero weights', () => {
+    assert.throws(() => parseMix('GET /users', ENDPOINTS), /not an endpoint/);
+    assert.throws(() => parseMix('/posts=1', ENDPOINTS), /Invalid --mix entry/);
+    assert.throws(() => parseMix('GET /posts=0', ENDPOINTS), /greater than 0/);
+  });
+});
+
+test('percentile uses the nearest rank', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  assert.equal(percentile(sorted, 50), 5);
+  assert.equal(percentile(sorted, 95), 10);
+  assert.equal(percentile([], 99), 0);
+});
+
+describe('records created by the mix', () => {
+  let server, baseUrl;
+  const posts = new Map();
+  let nextId  = 1;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const send = (status, body) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+        const [, resource, id] = req.url.split('/');
+        if (resource === 'tags')                    return send(201, { data: { id: 'tag' } });
+        if (req.method === 'POST' && !id) {
+          const post = { id: nextId++ };
+          posts.set(String(post.id), post);
+          return send(201, { data: post });
+        }
+        if (req.method === 'DELETE' && posts.delete(id)) return send(204);
+        if (req.method === 'GET' && !id)             return send(200, [...posts.values()]);
+        return send(404, { error: 'Not found' });
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(r => server.close(r)));
+
+  test('runBenchmark tracks created ids and deleteCreated removes them', async () => {
+    const created = new Map();
+    const result  = await runBenchmark(baseUrl, parseMix('POST /posts=2, GET /posts=1, POST /tags=1', ENDPOINTS), {
+      concurrency: 2, durationMs: 200, created,
+    });
+
+    assert.ok(result.total.requests > 0);
+    assert.equal(created.get('/posts').length, posts.size);
+    assert.ok(posts.size > 0);
+
+    // /tags has no DELETE endpoint — its records are reported as remaining
+    const tags    = created.get('/tags')?.length ?? 0;
+    const cleanup = await deleteCreated(baseUrl, ENDPOINTS, created, new Map(), null);
+    assert.equal(posts.size, 0);
+    assert.equal(cleanup.remaining, tags);
+    assert.equal(cleanup.deleted, result.endpoints.find(e => e.key === 'POST /posts').statuses[201]);
+  });
+});
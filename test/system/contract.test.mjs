@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hasContract, checkContract, contractNote, formatDiff } from '../../src/system/contract.mjs';
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+function check(endpoint, json, { status = 200, contentType = JSON_TYPE } = {}) {
+  return checkContract(endpoint, { status, contentType, json });
+}
+
+describe('checkContract', () => {
+  test('accepts a matching response, with extra keys allowed', () => {
+    const endpoint = { expectedStatus: 200, responseShape: { data: [{ id: 'number', title: 'string' }], total: 'number' } };
+    assert.deepEqual(check(endpoint, { data: [{ id: 1, title: 'a', extra: true }], total: 1, page: 1 }), []);
+  });
+
+  test('reports a wrong status and skips the shape', () => {
+    const endpoint = { expectedStatus: 201, responseShape: { id: 'number' } };
+    assert.deepEqual(check(endpoint, {}, { status: 200 }), [{ path: 'status', expected: '201', actual: '200' }]);
+  });
+
+  test('requires a JSON content type and a parsable body', () => {
+    const endpoint = { responseShape: { id: 'number' } };
+    assert.deepEqual(check(endpoint, null, { contentType: 'text/html' }), [{ path: 'content-type', expected: 'application/json', actual: 'text/html' }]);
+    assert.deepEqual(check(endpoint, null, { contentType: null }), [{ path: 'content-type', expected: 'application/json', actual: 'none' }]);
+    assert.deepEqual(check(endpoint, null), [{ path: 'body', expected: 'JSON', actual: 'unparsable' }]);
+    assert.deepEqual(check(endpoint, { id: 1 }, { contentType: 'application/problem+json' }), []);
+  });
+
+  test('reports type mismatches and missing keys with their paths', () => {
+    const endpoint = { responseShape: { user: { id: 'number', name: 'string' }, tags: ['string'] } };
+    assert.deepEqual(check(endpoint, { user: { id: '1' }, tags: [3] }), [
+      { path: '$.user.id', expected: 'number', actual: 'string' },
+      { path: '$.user.name', expected: 'string', actual: 'missing' },
+      { path: '$.tags[0]', expected: 'string', actual: 'number' },
+    ]);
+  });
+
+  test('"?" allows null or missing values', () => {
+    const endpoint = { responseShape: { note: 'string?', deletedAt: 'string?' } };
+    assert.deepEqual(check(endpoint, { note: null }), []);
+    assert.deepEqual(check({ responseShape: { note: 'string' } }, { note: null }), [{ path: '$.note', expected: 'string', actual: 'null' }]);
+  });
+
+  test('checks only the first array element; empty arrays pass', () => {
+    const endpoint = { responseShape: [{ id: 'number' }] };
+    assert.deepEqual(check(endpoint, []), []);
+    assert.deepEqual(check(endpoint, [{ id: 1 }, { id: 'x' }]), []);
+    assert.deepEqual(check(endpoint, { id: 1 }), [{ path: '$', expected: 'array', actual: 'object' }]);
+  });
+
+  test('treats integer as number and ignores any / free-text types', () => {
+    const endpoint = { responseShape: { count: 'integer', meta: 'any', label: 'the display name' } };
+    assert.deepEqual(check(endpoint, { count: 2, meta: [1], label: 5 }), []);
+  });
+
+  test('reports nested objects that are missing or of the wrong type', () => {
+    const endpoint = { responseShape: { data: { id: 'number' }, items: ['number'] } };
+    assert.deepEqual(check(endpoint, { items: 'none' }), [
+      { path: '$.data', expected: 'object', actual: 'missing' },
+      { path: '$.items', expected: 'array', actual: 'string' },
+    ]);
+  });
+
+  test('stops after 8 differences', () => {
+    const shape = Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`k${i}`, 'number']));
+    assert.equal(check({ responseShape: shape }, {}).length, 8);
+  });
+
+  test('null responseShape only checks the status', () => {
+    assert.deepEqual(check({ expectedStatus: 204, responseShape: null }, null, { status: 204, contentType: null }), []);
+  });
+});
+
+describe('contract helpers', () => {
+  test('hasContract is false for endpoints from older config.vbs files', () => {
+    assert.equal(hasContract({ method: 'GET', path: '/a' }), false);
+    assert.equal(hasContract({ expectedStatus: 200 }), true);
+    assert.equal(hasContract({ responseShape: null }), true);
+  });
+
+  test('contractNote names the first difference', () => {
+    assert.equal(contractNote([{ path: 'status' }]), 'Wrong Status');
+    assert.equal(contractNote([{ path: 'content-type' }]), 'Not JSON');
+    assert.equal(contractNote([{ path: 'body' }]), 'Bad JSON');
+    assert.equal(contractNote([{ path: '$.id' }]), 'Shape Mismatch');
+  });
+
+  test('formatDiff renders one line', () => {
+    assert.equal(formatDiff({ path: '$.data.id', expected: 'number', actual: 'string' }), '$.data.id: expected number, got string');
+  });
+});
@@ -0,0 +1,181 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import {
+  findAuthEndpoints, extractToken, loginBody, orderCrud, resolvePath, extractId,
+  redactAuthBody, authenticate, testAllEndpoints, unreachableOperations,
+} from '../../src/system/tester.mjs';
+
+const TOKEN = `eyJhbGciOiJIUzI1NiJ9.${'a'.repeat(80)}.${'b'.repeat(40)}`;
+
+const ep = (method, path, extra = {}) => ({ method, path, ...extra });
+
+describe('auth helpers', () => {
+  test('findAuthEndpoints matches POST register / login paths only', () => {
+    const endpoints = [ep('GET', '/auth/login'), ep('POST', '/auth/signup'), ep('POST', '/auth/sign-in'), ep('POST', '/posts')];
+    assert.deepEqual(findAuthEndpoints(endpoints), { register: endpoints[1], login: endpoints[2] });
+    assert.deepEqual(findAuthEndpoints([ep('POST', '/posts')]), { register: null, login: null });
+  });
+
+  test('extractToken prefers a known key at any depth', () => {
+    assert.equal(extractToken({ data: { user: { id: 1 }, accessToken: 'abc' } }), 'abc');
+    assert.equal(extractToken({ access_token: 'x', nested: { token: 'y' } }), 'x');
+  });
+
+  test('extractToken falls back to a JWT-shaped string', () => {
+    assert.equal(extractToken({ result: { value: TOKEN } }), TOKEN);
+    assert.equal(extractToken({ message: 'ok' }), null);
+    assert.equal(extractToken(null), null);
+  });
+
+  test('loginBody reuses the register credentials', () => {
+    const login = ep('POST', '/login', { exampleBody: { email: 'other@x.io', password: 'other' } });
+    assert.deepEqual(loginBody(login, { name: 'A', email: 'a@x.io', password: 'secret' }), { email: 'a@x.io', password: 'secret' });
+    assert.deepEqual(loginBody(login, null), login.exampleBody);
+  });
+
+  test('redactAuthBody masks credentials before cutting the body', () => {
+    const json   = { user: { id: 1, name: 'x'.repeat(90) }, token: TOKEN, refreshToken: 'r'.repeat(30) };
+    const result = { body: JSON.stringify(json).slice(0, 120), json };
+    const body   = redactAuthBody(result, TOKEN);
+    assert.ok(!body.includes(TOKEN.slice(0, 10)));
+    assert.ok(!body.includes('rrrr'));
+    assert.ok(body.length <= 120);
+  });
+
+  test('redactAuthBody replaces the token in a non-JSON body', () => {
+    assert.equal(redactAuthBody({ body: `token=${TOKEN}`, json: null }, TOKEN), 'token=<token>');
+  });
+});
+
+describe('CRUD chains', () => {
+  test('orderCrud runs creates, reads, updates, then deletes children first', () => {
+    const endpoints = [
+      ep('DELETE', '/posts/:id'),
+      ep('GET', '/posts/:postId/comments'),
+      ep('DELETE', '/posts/:postId/comments/:id'),
+      ep('PUT', '/posts/:id'),
+      ep('POST', '/posts/:postId/comments'),
+      ep('GET', '/posts'),
+      ep('POST', '/posts'),
+    ];
+    assert.deepEqual(orderCrud(endpoints).map(e => `${e.method} ${e.path}`), [
+      'POST /posts',
+      'POST /posts/:postId/comments',
+      'GET /posts',
+      'GET /posts/:postId/comments',
+      'PUT /posts/:id',
+      'DELETE /posts/:postId/comments/:id',
+      'DELETE /posts/:id',
+    ]);
+  });
+
+  test('resolvePath fills parameters from created ids', () => {
+    const ids = new Map([['/posts', '7'], ['/posts/:postId/comments', 'a b']]);
+    assert.deepEqual(resolvePath('/posts/:postId/comments/{id}', ids), { path: '/posts/7/comments/a%20b', created: true });
+    assert.deepEqual(resolvePath('/users/:id', ids), { path: '/users/1', created: false });
+    assert.deepEqual(resolvePath('/posts', ids), { path: '/posts', created: false });
+  });
+
+  test('extractId takes the shallowest id key', () => {
+    assert.equal(extractId({ data: { id: 5, author: { id: 9 } } }), '5');
+    assert.equal(extractId({ _id: 'abc' }), 'abc');
+    assert.equal(extractId({ ok: true }), undefined);
+  });
+
+  test('unreachableOperations lists operations that never answered', () => {
+    const results = [
+      { method: 'GET', path: '/a', status: 200, note: 'OK' },
+      { method: 'GET', path: '/b', status: 404, note: 'Unreachable' },
+      { method: 'POST', path: '/c', status: 0, note: 'Connection Error' },
+    ];
+    assert.deepEqual(unreachableOperations(results), ['GET /b', 'POST /c']);
+  });
+});
+
+describe('against a live API', () => {
+  let server;
+  let baseUrl;
+  const posts   = new Map();
+  let   nextId  = 1;
+  let   dropGet = false;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', c => { raw += c; });
+      req.on('end', () => {
+        const send = (status, body) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+        const [, resource, id] = req.url.split('/');
+        // The bio pushes the token across the 120-character body preview
+        if (req.url === '/auth/register') return send(201, { user: { id: 1, bio: 'x'.repeat(70) }, token: TOKEN });
+        if (req.url === '/auth/login')    return send(200, { user: { id: 1, bio: 'x'.repeat(70) }, token: TOKEN });
+        if (resource !== 'posts')         return send(404, { error: 'Not found' });
+        if (req.headers.authorization !== `Bearer ${TOKEN}` && req.method !== 'GET') return send(401, { error: 'Unauthorized' });
+
+        if (req.method === 'POST' && !id) {
+          const post = { id: nextId++, ...JSON.parse(raw || '{}') };
+          posts.set(String(post.id), post);
+          return send(201, post);
+        }
+        if (!posts.has(id) || (dropGet && req.method === 'GET')) return send(404, { error: 'Not found' });
+        if (req.method === 'GET')    return send(200, posts.get(id));
+        if (req.method === 'DELETE') { posts.delete(id); return send(204); }
+        return send(405, { error: 'Method not allowed' });
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(r => server.close(r)));
+
+  const endpoints = [
+    ep('POST', '/auth/register', { exampleBody: { email: 'a@x.io', password: 'pw' } }),
+    ep('POST', '/auth/login',    { exampleBody: { email: 'a@x.io', password: 'pw' } }),
+    ep('POST', '/posts',         { requiresAuth: true, exampleBody: { title: 'Hi' }, expectedStatus: 201, responseShape: { id: 'number', title: 'string' } }),
+    ep('GET', '/posts/:id',      { expectedStatus: 200, responseShape: { id: 'number', title: 'string' } }),
+    ep('DELETE', '/posts/:id',   { requiresAuth: true }),
+  ];
+
+  test('authenticate keeps the token out of the stored bodies', async () => {
+    const { token, results } = await authenticate(baseUrl, endpoints);
+    assert.equal(token, TOKEN);
+    assert.equal(results.length, 2);
+    for (const r of results) {
+      assert.ok(!r.body.includes(TOKEN.slice(0, 12)), r.body);
+      assert.ok(!JSON.stringify(r).includes(TOKEN.slice(0, 12)));
+    }
+  });
+
+  test('testAllEndpoints chains created ids, checks guards and cleans up', async () => {
+    const results = await testAllEndpoints(baseUrl, endpoints);
+    const rows    = results.map(r => `${r.method} ${r.path}${r.auth ? ` [${r.auth}]` : ''} ${r.status} ${r.passed ? 'pass' : 'fail'}`);
+    assert.deepEqual(rows, [
+      'POST /auth/register 201 pass',
+      'POST /auth/login 200 pass',
+      'POST /posts [guest] 401 pass',
+      'POST /posts [token] 201 pass',
+      'GET /posts/:id 200 pass',
+      'DELETE /posts/:id [guest] 401 pass',
+      'DELETE /posts/:id [token] 204 pass',
+    ]);
+    assert.equal(posts.size, 0);
+  });
+
+  test('a 404 on a record created in the run is a failure', async () => {
+    dropGet = true;
+    try {
+      const results = await testAllEndpoints(baseUrl, endpoints);
+      const read    = results.find(r => r.method === 'GET');
+      assert.equal(read.passed, false);
+      assert.equal(read.note, 'Missing Record');
+    } finally {
+      dropGet = false;
+    }
+  });
+});
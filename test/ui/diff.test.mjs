@@ -0,0 +1,93 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import chalk   from 'chalk';
+import figures from 'figures';
+
+import { diffLines, toHunks, diffStats, formatUnifiedDiff } from '../../src/ui/diff.mjs';
+
+const lines = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`).join('\n') + '\n';
+
+const show = diff => diff.map(d => d.op + d.line);
+
+describe('diffLines', () => {
+  test('keeps the common prefix and suffix and diffs the middle', () => {
+    assert.deepEqual(show(diffLines('a\nb\nc\nd\n', 'a\nx\nc\nd\ny\n')), [' a', '-b', '+x', ' c', ' d', '+y']);
+  });
+
+  test('finds the longest common subsequence', () => {
+    assert.deepEqual(show(diffLines('a\nb\nc\n', 'b\nc\na\n')), ['-a', ' b', ' c', '+a']);
+  });
+
+  test('treats empty and null texts as no lines', () => {
+    assert.deepEqual(show(diffLines('', 'a\n')), ['+a']);
+    assert.deepEqual(show(diffLines('a', null)), ['-a']);
+    assert.deepEqual(diffLines('same\n', 'same'), [{ op: ' ', line: 'same' }]);
+  });
+
+  test('shows changes too large for the LCS table as remove + add', () => {
+    const a = lines(1, 1500).replace('line 1\n', 'first\n');
+    const b = lines(1, 1500).replace('line 1\n', 'start\n').replace('line 1500\n', 'end\n');
+    const diff = diffLines(a, b);
+    assert.deepEqual(diffStats(diff), { added: 1500, removed: 1500 });
+    assert.deepEqual(show(diff.slice(1499, 1501)), ['-line 1500', '+start']);
+  });
+});
+
+describe('toHunks', () => {
+  test('adds context and numbers lines from 1', () => {
+    const hunks = toHunks(diffLines(lines(1, 10), lines(1, 10).replace('line 5', 'five')));
+    assert.equal(hunks.length, 1);
+    assert.deepEqual(
+      { ...hunks[0], lines: show(hunks[0].lines) },
+      { oldStart: 2, oldLines: 7, newStart: 2, newLines: 7, lines: [' line 2', ' line 3', ' line 4', '-line 5', '+five', ' line 6', ' line 7', ' line 8'] }
+    );
+  });
+
+  test('merges nearby changes and splits distant ones', () => {
+    const near = lines(1, 20).replace('line 5\n', 'x\n').replace('line 10\n', 'y\n');
+    assert.equal(toHunks(diffLines(lines(1, 20), near)).length, 1);
+
+    const far   = lines(1, 20).replace('line 2\n', 'x\n').replace('line 18\n', 'y\n');
+    const hunks = toHunks(diffLines(lines(1, 20), far));
+    assert.deepEqual(hunks.map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines]), [[1, 5, 1, 5], [15, 6, 15, 6]]);
+  });
+
+  test('tracks line numbers across inserted lines', () => {
+    const hunks = toHunks(diffLines(lines(1, 20), 'new\n' + lines(1, 20).replace('line 18\n', '')), 1);
+    assert.deepEqual(hunks.map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines]), [[1, 1, 1, 2], [17, 3, 18, 2]]);
+  });
+
+  test('returns no hunks for identical texts', () => {
+    assert.deepEqual(toHunks(diffLines('a\n', 'a\n')), []);
+  });
+});
+
+describe('formatUnifiedDiff', () => {
+  before(() => { chalk.level = 0; });
+
+  test('prints headers and hunks', () => {
+    assert.equal(
+      formatUnifiedDiff('src/a.js', 'a\nb\n', 'a\nc\n'),
+      '--- a/src/a.js\n+++ b/src/a.js\n@@ -1,2 +1,2 @@\n a\n-b\n+c'
+    );
+  });
+
+  test('uses /dev/null and line 0 for new and deleted files', () => {
+    assert.equal(formatUnifiedDiff('new.js', null, 'x\n'), '--- /dev/null\n+++ b/new.js\n@@ -0,0 +1,1 @@\n+x');
+    assert.equal(formatUnifiedDiff('old.js', 'x\n', null), '--- a/old.js\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-x');
+  });
+
+  test('shows renames', () => {
+    assert.equal(
+      formatUnifiedDiff('b.js', 'x\n', 'x\n', { from: 'a.js' }),
+      `rename from a.js\nrename to b.js\n--- a/a.js\n+++ b/b.js\n  ${figures.info} content unchanged`
+    );
+    assert.match(formatUnifiedDiff('a.js', 'x\n', 'x\n'), /no changes$/);
+  });
+
+  test('cuts long previews', () => {
+    const out = formatUnifiedDiff('big.js', '', lines(1, 450)).split('\n');
+    assert.equal(out.length, 3 + 400 + 1);
+    assert.equal(out[out.length - 1], '  … 50 more line(s) — choose "Edit" to see the whole file');
+  });
+});
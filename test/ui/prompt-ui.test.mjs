@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveAnswers, resolveProjectDirectory } from '../../src/ui/prompt-ui.mjs';
+
+const QUESTIONS = [
+  { id: 'project_name', type: 'input',   message: 'Project name?', default: 'my-blog' },
+  { id: 'port',         type: 'input',   message: 'Port?', validate: 'port_number' },
+  { id: 'styling',      type: 'list',    message: 'Styling?', choices: ['Tailwind CSS', 'Plain CSS'] },
+  { id: 'auth',         type: 'confirm', message: 'Auth?', default: false },
+];
+
+describe('resolveAnswers', () => {
+  test('uses provided values, then defaults, and coerces them', () => {
+    const { answers, dropped } = resolveAnswers(QUESTIONS, { port: 8080, styling: 'tailwind css', auth: 'yes' });
+    assert.deepEqual(answers, { project_name: 'my-blog', port: '8080', styling: 'Tailwind CSS', auth: true });
+    assert.deepEqual(dropped, []);
+  });
+
+  test('lists every missing or invalid answer', () => {
+    assert.throws(
+      () => resolveAnswers(QUESTIONS, { port: '70000', styling: 'Sass', auth: 'maybe' }),
+      err => /port: Please enter a valid port/.test(err.message) &&
+             /styling: expected one of "Tailwind CSS" \| "Plain CSS"/.test(err.message) &&
+             /auth: expected true\/false/.test(err.message)
+    );
+    assert.throws(() => resolveAnswers(QUESTIONS, { styling: 'Plain CSS' }), /port: missing/);
+  });
+
+  test('drops keys that match no question', () => {
+    const { answers, dropped } = resolveAnswers(QUESTIONS, { port: 3000, styling: 'Plain CSS', admin: true, nginxConfig: '/etc/x' });
+    assert.deepEqual(dropped, ['admin', 'nginxConfig']);
+    assert.equal('admin' in answers, false);
+    assert.equal('nginxConfig' in answers, false);
+  });
+
+  test('keeps the answers the build reads itself, validated', () => {
+    const provided = { port: 3000, styling: 'Plain CSS', database_name: 'blog_db', backend_port: '4000', projectDir: '/srv/blog' };
+    const { answers, dropped } = resolveAnswers(QUESTIONS, provided);
+    assert.equal(answers.database_name, 'blog_db');
+    assert.equal(answers.backend_port, '4000');
+    assert.equal('projectDir' in answers, false);
+    assert.deepEqual(dropped, []);
+
+    assert.throws(() => resolveAnswers(QUESTIONS, { ...provided, frontend_port: 'http' }), /frontend_port: Please enter a valid port/);
+  });
+});
+
+describe('resolveProjectDirectory', () => {
+  test('defaults to /var/www/<name> and requires an absolute path', () => {
+    assert.equal(resolveProjectDirectory('blog', {}), '/var/www/blog');
+    assert.equal(resolveProjectDirectory('blog', { projectDir: '/srv/blog' }), '/srv/blog');
+    assert.throws(() => resolveProjectDirectory('blog', { projectDir: 'blog' }), /must be an absolute path/);
+  });
+});